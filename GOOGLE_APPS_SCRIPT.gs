@@ -7,22 +7,110 @@
  * 1. Open Google Sheets → Extensions → Apps Script
  * 2. Delete any existing code
  * 3. Paste this entire script
- * 4. Save (Ctrl+S)
- * 5. Deploy → New Deployment → Web App
+ * 4. Add the shared files from the site (Files → + → Script, then paste
+ *    the file's contents):
+ *    - "phone"        ← phone.js (phone number validation)
+ *    - "service-area" ← service-area.js (ZIP → city/state/travel zone)
+ * 5. Save (Ctrl+S)
+ * 6. Deploy → New Deployment → Web App
  *    - Execute as: Me
  *    - Who has access: Anyone
- * 6. Copy the deployment URL and update CONFIG in your script.js
+ * 7. Copy the deployment URL and update CONFIG in your script.js
+ * 8. (Optional) Server-side Meta conversions: Project Settings → Script
+ *    Properties → add META_PIXEL_ID and META_CAPI_ACCESS_TOKEN
+ *    (META_TEST_EVENT_CODE while testing in Events Manager)
+ * 9. Run initializeSheets, fill in the Settings sheet, then run
+ *    installDigestTrigger once to schedule the daily digest email
  * 
  * SHEET REQUIREMENTS:
  * - Sheet named "Leads" with headers in row 1
  * - Sheet named "Webhook Errors" with headers in row 1
+ * - Sheet named "Partial Leads" (created automatically)
+ * - Sheet named "Rejected Leads" (created automatically)
+ * - Sheet named "Completed Jobs" (created by initializeSheets) - add a
+ *   row per finished job to feed the page's recent-customer popup. Put
+ *   "No" under Show On Site for customers who don't want to be featured.
+ * - Sheet named "Schedule" (created by initializeSheets) - when owners
+ *   can take quote visits, one row per block of time:
+ *     Day    "Monday".."Sunday" for every week, or a date for that day
+ *            only (a dated row with no Start/End closes the day)
+ *     Start  / End  times such as 9:00 and 17:00
+ *     Owner  who takes the visits
+ * - Sheet named "Bookings" (created automatically) - visits booked from
+ *   the thank-you page. Set Status to "Cancelled" to free the slot.
+ * - Sheet named "Settings" (created by initializeSheets) - who gets new
+ *   leads, one row per owner:
+ *     Owner      name, written to the lead's Assigned To column
+ *     Email      where lead alerts and the daily digest go
+ *     Markets    market ids they cover, e.g. "ithaca, elmira"
+ *     Zip Codes  ZIP codes or prefixes they cover, e.g. "13850, 139"
+ *     Default    "Yes" for the owner who gets everything else
+ * - Sheet named "Client Errors" (created automatically) - JS errors and
+ *   failed submissions reported by visitors' browsers. If it fills up,
+ *   the form is probably broken for someone.
+ * - Leads move through the Status dropdown: New → Contacted → Quoted →
+ *   Booked → Lost. Changing it stamps Last Contacted. A visit booked
+ *   from the thank-you page sets it to Booked.
+ * - Leads that came in over a rate limit are saved with a Review Reason
+ *   (e.g. "rate_limited_global") - check them before calling.
  */
 
 // ==================== CONFIGURATION ====================
 const LEADS_SHEET_NAME = "Leads";
 const ERRORS_SHEET_NAME = "Webhook Errors";
+const PARTIAL_LEADS_SHEET_NAME = "Partial Leads";
 
-// Column order for Leads sheet (must match headers exactly)
+// Repeat submissions by the same phone or email within this many hours
+// update the original row instead of creating a new lead
+const DUPLICATE_WINDOW_HOURS = 72;
+
+// ==================== META CONVERSIONS API ====================
+const META_GRAPH_ENDPOINT = "https://graph.facebook.com/v19.0";
+
+// ==================== SPAM PROTECTION ====================
+const REJECTED_LEADS_SHEET_NAME = "Rejected Leads";
+
+// A person can't finish the quiz faster than this. The page holds leads
+// replayed with a fresh token this long too (FORM_TOKEN_MIN_AGE_MS in script.js)
+const MIN_COMPLETION_SECONDS = 8;
+
+// Max requests per key within the window (counted in the script cache)
+const RATE_LIMITS = {
+  phone:  { max: 3,  windowSeconds: 60 * 60 },
+  email:  { max: 3,  windowSeconds: 60 * 60 },
+  client: { max: 5,  windowSeconds: 60 * 60 },    // browser fingerprint
+  token:  { max: 3,  windowSeconds: 6 * 60 * 60 }, // one page load
+  global: { max: 60, windowSeconds: 60 * 60 },    // whole site
+  errorSession: { max: 10, windowSeconds: 60 * 60 },  // client error reports per session
+  errorGlobal:  { max: 200, windowSeconds: 60 * 60 }, // client error reports, whole site
+  partialClient: { max: 60, windowSeconds: 60 * 60 },   // partial lead updates per browser
+  partialGlobal: { max: 1000, windowSeconds: 60 * 60 }, // partial lead updates, whole site
+  bookingClient: { max: 10, windowSeconds: 60 * 60 },   // booking attempts per browser
+  bookingGlobal: { max: 100, windowSeconds: 60 * 60 }   // booking attempts, whole site
+};
+
+const DISPOSABLE_EMAIL_DOMAINS = [
+  "mailinator.com", "guerrillamail.com", "guerrillamail.net", "sharklasers.com",
+  "10minutemail.com", "temp-mail.org", "tempmail.com", "tempmailo.com",
+  "yopmail.com", "trashmail.com", "getnada.com", "dispostable.com",
+  "maildrop.cc", "throwawaymail.com", "fakeinbox.com", "mailnesia.com",
+  "mintemail.com", "emailondeck.com", "spamgourmet.com", "moakt.com"
+];
+
+const REJECTED_LEAD_COLUMNS = [
+  "Timestamp",
+  "Reason",
+  "First Name",
+  "Last Name",
+  "Phone",
+  "Email",
+  "Zip Code",
+  "Submission ID",
+  "Raw Payload"
+];
+
+// Columns for Leads sheet. Rows are matched to headers by name, and
+// columns missing from an existing sheet are appended on the right.
 const LEAD_COLUMNS = [
   "Timestamp",
   "First Name", 
@@ -31,8 +119,166 @@ const LEAD_COLUMNS = [
   "Email",
   "Zip Code",
   "Quiz Answers",
-  "Source URL"
+  "Source URL",
+  "Submission ID",
+  "Street",
+  "City",
+  "State",
+  "Project Type",
+  "Approx Sq Ft",
+  "Timeline",
+  "Owns Home",
+  "Notes",
+  "Experiments",
+  "First Touch Source",
+  "First Touch Medium",
+  "First Touch Campaign",
+  "First Touch Term",
+  "First Touch Content",
+  "First Touch Referrer",
+  "First Touch Landing Page",
+  "First Touch At",
+  "Last Touch Source",
+  "Last Touch Medium",
+  "Last Touch Campaign",
+  "Last Touch Term",
+  "Last Touch Content",
+  "Last Touch Referrer",
+  "Last Touch Landing Page",
+  "Last Touch At",
+  "GCLID",
+  "FBCLID",
+  "FBP",
+  "FBC",
+  "Resubmitted Count",
+  "Last Resubmitted At",
+  "Service Zone",
+  "Phone Extension",
+  "Market",
+  "Surface Condition",
+  "Finish Type",
+  "Estimate Low",
+  "Estimate High",
+  "Appointment Start",
+  "Appointment Owner",
+  "Consent Text",
+  "Consent Version",
+  "Consent Timestamp",
+  "Consent URL",
+  "Status",
+  "Assigned To",
+  "Last Contacted",
+  "Review Reason",
+  "Resubmission IDs"
+];
+
+// Touch fields sent by the page -> column suffix
+const TOUCH_FIELDS = {
+  source: "Source",
+  medium: "Medium",
+  campaign: "Campaign",
+  term: "Term",
+  content: "Content",
+  referrer: "Referrer",
+  landing_page: "Landing Page",
+  captured_at: "At"
+};
+
+// Columns for Partial Leads sheet (one row per quiz session)
+const PARTIAL_LEAD_COLUMNS = [
+  "Session ID",
+  "First Seen",
+  "Last Updated",
+  "Last Step",
+  "Steps Completed",
+  "Name",
+  "Email",
+  "Phone",
+  "Zip Code",
+  "Street",
+  "Project Type",
+  "Approx Sq Ft",
+  "Timeline",
+  "Notes",
+  "Source URL",
+  "Status",
+  "Completed At"
+];
+
+// Maps quiz answer keys to Partial Leads columns
+const PARTIAL_ANSWER_COLUMNS = {
+  name: "Name",
+  email: "Email",
+  phone: "Phone",
+  zip: "Zip Code",
+  street: "Street",
+  project_type: "Project Type",
+  approx_sqft: "Approx Sq Ft",
+  timeline: "Timeline",
+  notes: "Notes"
+};
+
+// Finished jobs, entered by the crew. Only the first name, town, state,
+// service and date are ever published (see getRecentJobs).
+const COMPLETED_JOBS_SHEET_NAME = "Completed Jobs";
+const COMPLETED_JOB_COLUMNS = [
+  "Completed On",
+  "First Name",
+  "Town",
+  "State",
+  "Service Type",
+  "Show On Site"
+];
+const RECENT_JOBS_LIMIT = 10;
+const RECENT_JOBS_MAX_AGE_DAYS = 90;
+const RECENT_JOBS_CACHE_SECONDS = 10 * 60;
+
+// Quote-visit booking from the thank-you page
+const SCHEDULE_SHEET_NAME = "Schedule";
+const SCHEDULE_COLUMNS = ["Day", "Start", "End", "Owner"];
+const BOOKINGS_SHEET_NAME = "Bookings";
+const BOOKING_COLUMNS = [
+  "Booked At",
+  "Slot Start",
+  "Slot End",
+  "Owner",
+  "Submission ID",
+  "Name",
+  "Phone",
+  "Email",
+  "Address",
+  "Status"
+];
+const BOOKING_SLOT_MINUTES = 60;
+const BOOKING_DAYS_AHEAD = 14;
+const BOOKING_MIN_NOTICE_HOURS = 12;
+
+// Errors the page reports about itself
+const CLIENT_ERRORS_SHEET_NAME = "Client Errors";
+const CLIENT_ERROR_COLUMNS = [
+  "Timestamp",
+  "Kind",
+  "Message",
+  "Details",
+  "Stack",
+  "Page URL",
+  "Market",
+  "Step",
+  "Session ID",
+  "User Agent",
+  "Client Timestamp"
 ];
+const CLIENT_ERROR_MAX_LENGTH = 2000;
+
+// Lead routing and owner notifications
+const SETTINGS_SHEET_NAME = "Settings";
+const SETTINGS_COLUMNS = ["Owner", "Email", "Markets", "Zip Codes", "Default"];
+const LEAD_STATUSES = ["New", "Contacted", "Quoted", "Booked", "Lost"];
+const NOTIFICATION_SENDER_NAME = "Doski Leads";
+
+// Leads still "New" this many hours after they came in go in the digest
+const STALE_LEAD_HOURS = 24;
+const DIGEST_HOUR = 8;
 
 // ==================== MAIN HANDLER ====================
 
@@ -57,66 +303,22 @@ function doPost(e) {
       throw new Error("Invalid JSON payload: " + parseError.message);
     }
     
-    // Validate required fields
-    const requiredFields = ['first_name', 'email', 'phone', 'zip'];
-    for (const field of requiredFields) {
-      if (!payload[field]) {
-        throw new Error("Missing required field: " + field);
-      }
+    // Progress updates from a quiz that hasn't been finished yet
+    if (payload.type === 'partial') {
+      return jsonResponse(savePartialLead(payload));
     }
     
-    // Get or create the Leads sheet
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    let leadsSheet = ss.getSheetByName(LEADS_SHEET_NAME);
-    
-    if (!leadsSheet) {
-      leadsSheet = ss.insertSheet(LEADS_SHEET_NAME);
-      // Add headers
-      leadsSheet.getRange(1, 1, 1, LEAD_COLUMNS.length).setValues([LEAD_COLUMNS]);
-      leadsSheet.getRange(1, 1, 1, LEAD_COLUMNS.length).setFontWeight("bold");
-      // Protect header row
-      const protection = leadsSheet.getRange(1, 1, 1, LEAD_COLUMNS.length).protect();
-      protection.setDescription("Header row - protected");
-    }
-    
-    // Format phone to E.164 if not already
-    let phone = payload.phone || '';
-    if (phone && !phone.startsWith('+')) {
-      const digits = phone.replace(/\D/g, '');
-      if (digits.length === 10) {
-        phone = '+1' + digits;
-      } else if (digits.length === 11 && digits.startsWith('1')) {
-        phone = '+' + digits;
-      }
+    // A quote visit picked on the thank-you page
+    if (payload.type === 'booking') {
+      return jsonResponse(saveBooking(payload));
     }
     
-    // Build the row data
-    const rowData = [
-      payload.timestamp || new Date().toISOString(),  // Timestamp
-      payload.first_name || '',                       // First Name
-      payload.last_name || '',                        // Last Name
-      phone,                                          // Phone (E.164)
-      payload.email || '',                            // Email
-      payload.zip || '',                              // Zip Code
-      payload.quiz_answers || '',                     // Quiz Answers (JSON string)
-      payload.page_url || ''                          // Source URL
-    ];
-    
-    // Append the row
-    leadsSheet.appendRow(rowData);
-    
-    // Log success
-    const duration = new Date() - startTime;
-    console.log(`✅ Lead saved successfully in ${duration}ms: ${payload.first_name} ${payload.last_name} - ${payload.email}`);
+    // The page reporting its own failures
+    if (payload.type === 'client_error') {
+      return jsonResponse(saveClientError(payload));
+    }
     
-    // Return success response
-    return ContentService
-      .createTextOutput(JSON.stringify({ 
-        success: true,
-        message: "Lead saved successfully",
-        timestamp: new Date().toISOString()
-      }))
-      .setMimeType(ContentService.MimeType.JSON);
+    return jsonResponse(saveLead(payload, startTime));
       
   } catch (error) {
     // Log error
@@ -124,28 +326,1370 @@ function doPost(e) {
     logError(error, e);
     
     // Return error response
-    return ContentService
-      .createTextOutput(JSON.stringify({ 
-        success: false, 
-        error: error.message 
-      }))
-      .setMimeType(ContentService.MimeType.JSON);
+    return jsonResponse({ 
+      success: false, 
+      error: error.message 
+    });
   }
 }
 
+
+/**
+ * Saves a completed quiz lead. Writes are serialized with a script lock
+ * so two requests for the same visitor can't both append a row.
+ * Repeats - a retry with the same submission id, or the same phone or
+ * email within DUPLICATE_WINDOW_HOURS - update the existing row instead.
+ * @returns {Object} Response body; status is "new" or "duplicate"
+ */
+function saveLead(payload, startTime) {
+  // Validate required fields
+  const requiredFields = ['first_name', 'email', 'phone', 'zip'];
+  for (const field of requiredFields) {
+    if (!payload[field]) {
+      throw new Error("Missing required field: " + field);
+    }
+  }
+  
+  // Same validation as the page (phone.js); invalid numbers are
+  // rejected by screenLead
+  const parsedPhone = parsePhone(payload.phone);
+  const phone = parsedPhone.e164 || String(payload.phone);
+  
+  const submissionId = payload.submission_id || '';
+  const email = String(payload.email).trim().toLowerCase();
+  
+  // Re-check the ZIP here rather than trusting the page's lookup
+  const area = lookupServiceArea(payload.zip);
+  
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  let savedRecord;
+  let reviewReason = '';
+  
+  try {
+    // Get or create the Leads sheet
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const leadsSheet = getLeadsSheet(ss);
+    
+    const duplicate = findDuplicateLead(leadsSheet, submissionId, phone, email);
+    
+    // Retries of a saved lead skip screening so they can't trip the rate limits
+    if (!duplicate || duplicate.reason !== "submission_id") {
+      const rejection = screenLead(payload, parsedPhone, email);
+      if (rejection && rejection.indexOf("rate_limited_") === 0) {
+        // Anyone can use up a rate limit, so a lead over one may be real -
+        // save it for an owner to check instead of throwing it away
+        reviewReason = rejection;
+        console.log(`🚩 Lead flagged for review (${rejection}): ${email}`);
+      } else if (rejection) {
+        logRejectedLead(ss, payload, rejection);
+        console.log(`🚫 Lead rejected (${rejection}): ${email}`);
+        return {
+          success: false,
+          rejected: true,
+          error: "Submission rejected"
+        };
+      }
+    }
+    
+    if (duplicate) {
+      if (duplicate.reason !== "submission_id") {
+        // Same person submitting the quiz again. The page books visits
+        // under the new submission id, so keep it with the row.
+        const existing = readRecord(leadsSheet, duplicate.row);
+        const resubmissionIds = String(existing["Resubmission IDs"] || '').split(',').filter(String);
+        if (submissionId) resubmissionIds.push(submissionId);
+        updateRecord(leadsSheet, duplicate.row, {
+          "Resubmitted Count": (Number(existing["Resubmitted Count"]) || 0) + 1,
+          "Last Resubmitted At": new Date().toISOString(),
+          "Resubmission IDs": resubmissionIds.join(',')
+        });
+      }
+      console.log(`↩️ Duplicate lead (${duplicate.reason}) matched row ${duplicate.row}: ${email}`);
+      
+      // This session converted too, even though it added no row
+      completePartialLead(ss, payload.session_id);
+      
+      return { 
+        success: true,
+        duplicate: true,
+        status: "duplicate",
+        reason: duplicate.reason,
+        message: "Lead already saved",
+        timestamp: new Date().toISOString()
+      };
+    }
+    
+    // Build the row data, keyed by column header
+    const record = {
+      "Timestamp": payload.timestamp || new Date().toISOString(),
+      "First Name": payload.first_name || '',
+      "Last Name": payload.last_name || '',
+      "Phone": phone,                                 // E.164
+      "Phone Extension": parsedPhone.extension || payload.phone_extension || '',
+      "Email": email,
+      "Zip Code": payload.zip || '',
+      "Quiz Answers": payload.quiz_answers || '',     // JSON string
+      "Source URL": payload.page_url || '',
+      "Submission ID": submissionId,
+      "Street": payload.street || '',
+      "City": area.city || payload.city || '',        // The page's value only for ZIPs we don't know
+      "State": area.state || payload.state || '',
+      "Project Type": payload.project_type || '',
+      "Approx Sq Ft": payload.approx_sqft || '',
+      "Timeline": payload.timeline || '',
+      "Owns Home": payload.owns_home || '',
+      "Notes": payload.notes || '',
+      "Experiments": formatExperiments(payload.experiments),
+      "Resubmitted Count": 0,
+      "Service Zone": area.zone,
+      "Market": payload.market || '',
+      "Surface Condition": payload.surface_condition || '',
+      "Finish Type": payload.finish_type || '',
+      "Estimate Low": payload.estimate_low || '',
+      "Estimate High": payload.estimate_high || '',
+      "Consent Text": payload.consent_text || '',           // Exact call/text wording the visitor agreed to
+      "Consent Version": payload.consent_version || '',
+      "Consent Timestamp": payload.consent_timestamp || '',
+      "Consent URL": payload.consent_url || '',
+      "Status": "New",
+      "Review Reason": reviewReason
+    };
+    Object.assign(record, attributionRecord(payload.attribution));
+    
+    const owner = routeLead(ss, payload);
+    record["Assigned To"] = owner ? owner.name : '';
+    
+    // Append the row
+    leadsSheet.appendRow(buildRow(leadsSheet, record));
+    savedRecord = record;
+    
+    completePartialLead(ss, payload.session_id);
+  } finally {
+    lock.releaseLock();
+  }
+  
+  // The owners hear about the lead even if the Zap is down
+  try {
+    sendLeadAlert(SpreadsheetApp.getActiveSpreadsheet(), savedRecord);
+  } catch (alertError) {
+    console.error("❌ Lead alert failed:", alertError.message);
+    logError(alertError, null);
+  }
+  
+  // Server-side copy of the browser's Meta Lead event. Leads flagged for
+  // review may be junk, so they aren't reported as conversions.
+  try {
+    if (!reviewReason) sendMetaLeadEvent(payload);
+  } catch (metaError) {
+    console.error("❌ Meta Conversions API error:", metaError.message);
+    logError(metaError, null);
+  }
+  
+  // Log success
+  const duration = new Date() - startTime;
+  console.log(`✅ Lead saved successfully in ${duration}ms: ${payload.first_name} ${payload.last_name} - ${email}`);
+  
+  return { 
+    success: true,
+    duplicate: false,
+    status: "new",
+    flagged: Boolean(reviewReason),
+    message: "Lead saved successfully",
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Closes out the session's partial lead - never fails the lead over it
+ */
+function completePartialLead(ss, sessionId) {
+  try {
+    markPartialLeadCompleted(ss, sessionId);
+  } catch (partialError) {
+    console.error("Failed to complete partial lead:", partialError);
+  }
+}
+
+/**
+ * Looks for an earlier row for the same lead
+ * @returns {{row: number, reason: string}|null} reason is "submission_id",
+ *   "phone" or "email"
+ */
+function findDuplicateLead(sheet, submissionId, phone, email) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 2) return null;
+  
+  const headers = getHeaders(sheet);
+  const values = sheet.getRange(2, 1, lastRow - 1, headers.length).getValues();
+  const col = name => headers.indexOf(name);
+  const cutoff = Date.now() - DUPLICATE_WINDOW_HOURS * 60 * 60 * 1000;
+  const phoneKey = normalizePhoneKey(phone);
+  
+  // Newest rows first, so a match points at the latest submission
+  for (let i = values.length - 1; i >= 0; i--) {
+    const row = values[i];
+    if (submissionId && String(row[col("Submission ID")]) === submissionId) {
+      return { row: i + 2, reason: "submission_id" };
+    }
+    
+    const savedAt = new Date(row[col("Timestamp")]).getTime();
+    if (!(savedAt >= cutoff)) continue;
+    
+    if (phoneKey && normalizePhoneKey(row[col("Phone")]) === phoneKey) {
+      return { row: i + 2, reason: "phone" };
+    }
+    if (email && String(row[col("Email")]).trim().toLowerCase() === email) {
+      return { row: i + 2, reason: "email" };
+    }
+  }
+  return null;
+}
+
+/**
+ * Last 10 digits of a phone number, for comparing differently formatted numbers
+ */
+function normalizePhoneKey(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 10 ? digits.slice(-10) : '';
+}
+
 /**
  * Handles GET requests (for testing the endpoint)
  */
 function doGet(e) {
+  const action = e && e.parameter ? e.parameter.action : '';
+  
+  // Signed token for the page's form guard
+  if (action === 'token') {
+    return jsonResponse({ token: createFormToken() });
+  }
+  
+  // Anonymized feed for the page's social-proof popup
+  if (action === 'recent_jobs') {
+    return jsonResponse({ jobs: getRecentJobs() });
+  }
+  
+  // Open quote-visit slots for the thank-you page
+  if (action === 'booking_slots') {
+    return jsonResponse({ slots: getAvailableSlots() });
+  }
+  
+  return jsonResponse({ 
+    status: "ok",
+    message: "Webhook is active. Use POST to submit leads.",
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Formats the page's A/B exposures as "experiment:variant, ..."
+ */
+function formatExperiments(experiments) {
+  if (!Array.isArray(experiments)) return '';
+  return experiments
+    .map(exposure => exposure.experiment + ':' + exposure.variant)
+    .join(', ');
+}
+
+/**
+ * Flattens the page's attribution block into Leads columns
+ */
+function attributionRecord(attribution) {
+  const record = {};
+  if (!attribution) return record;
+  
+  const touches = { "First Touch": attribution.first_touch, "Last Touch": attribution.last_touch };
+  Object.keys(touches).forEach(prefix => {
+    const touch = touches[prefix] || {};
+    Object.keys(TOUCH_FIELDS).forEach(field => {
+      record[prefix + " " + TOUCH_FIELDS[field]] = touch[field] || '';
+    });
+  });
+  
+  // Click ids from the most recent touch that carried one
+  const first = attribution.first_touch || {};
+  const last = attribution.last_touch || {};
+  record["GCLID"] = last.gclid || first.gclid || '';
+  record["FBCLID"] = last.fbclid || first.fbclid || '';
+  record["FBP"] = attribution.fbp || '';
+  record["FBC"] = attribution.fbc || '';
+  
+  return record;
+}
+
+/**
+ * Wraps an object as a JSON ContentService response
+ */
+function jsonResponse(body) {
   return ContentService
-    .createTextOutput(JSON.stringify({ 
-      status: "ok",
-      message: "Webhook is active. Use POST to submit leads.",
-      timestamp: new Date().toISOString()
-    }))
+    .createTextOutput(JSON.stringify(body))
     .setMimeType(ContentService.MimeType.JSON);
 }
 
+// ==================== META CONVERSIONS API ====================
+
+/**
+ * Sends the server-side Lead event for a newly saved lead, if the Meta
+ * script properties are set and the visitor accepted tracking on the
+ * page's banner. Its event_id is the submission id, which the page also
+ * passes to fbq() as eventID, so Meta counts the pair once.
+ * @returns {Object|null} The API response, or null when not sent
+ */
+function sendMetaLeadEvent(payload) {
+  if (payload.tracking_consent !== "accepted") return null;
+  
+  const sender = getMetaConversionsSender();
+  if (!sender) return null;
+  return sender.send(buildMetaLeadEvent(payload));
+}
+
+/**
+ * Builds a sender from the script properties
+ * @returns {Object|null} null when META_PIXEL_ID or the token is missing
+ */
+function getMetaConversionsSender() {
+  const properties = PropertiesService.getScriptProperties();
+  const pixelId = properties.getProperty("META_PIXEL_ID");
+  const accessToken = properties.getProperty("META_CAPI_ACCESS_TOKEN");
+  if (!pixelId || !accessToken) return null;
+  
+  return createMetaConversionsSender({
+    pixelId: pixelId,
+    accessToken: accessToken,
+    testEventCode: properties.getProperty("META_TEST_EVENT_CODE") || '',
+    endpoint: properties.getProperty("META_CAPI_ENDPOINT") || META_GRAPH_ENDPOINT
+  });
+}
+
+/**
+ * Creates a Conversions API sender.
+ * @param {Object} options
+ *   pixelId, accessToken - required
+ *   testEventCode        - routes events to Events Manager's test tab
+ *   endpoint             - base URL (point it at a mock server in tests)
+ *   transport            - function(url, request) => {status, body};
+ *                          defaults to UrlFetchApp
+ */
+function createMetaConversionsSender(options) {
+  const endpoint = options.endpoint || META_GRAPH_ENDPOINT;
+  const transport = options.transport || urlFetchTransport;
+  
+  return {
+    send: function(event) {
+      const body = { data: [event] };
+      if (options.testEventCode) body.test_event_code = options.testEventCode;
+      
+      const url = endpoint + "/" + options.pixelId + "/events?access_token=" + encodeURIComponent(options.accessToken);
+      const response = transport(url, {
+        method: "post",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body)
+      });
+      
+      if (response.status < 200 || response.status >= 300) {
+        throw new Error("Meta Conversions API HTTP " + response.status + ": " + response.body);
+      }
+      console.log(`📡 Meta Lead event sent: ${event.event_id}`);
+      return JSON.parse(response.body || "{}");
+    }
+  };
+}
+
+/**
+ * Default transport: a POST through UrlFetchApp
+ */
+function urlFetchTransport(url, request) {
+  const response = UrlFetchApp.fetch(url, {
+    method: request.method,
+    contentType: request.headers["Content-Type"],
+    payload: request.body,
+    muteHttpExceptions: true
+  });
+  return { status: response.getResponseCode(), body: response.getContentText() };
+}
+
+/**
+ * Maps a lead payload to a Conversions API Lead event, hashing the
+ * customer details as Meta requires
+ */
+function buildMetaLeadEvent(payload) {
+  const attribution = payload.attribution || {};
+  const digits = String(payload.phone || '').replace(/\D/g, '');
+  const userData = {
+    em: [sha256Hex(String(payload.email || '').trim().toLowerCase())],
+    ph: [sha256Hex(digits.length === 10 ? "1" + digits : digits)],
+    fn: [sha256Hex(String(payload.first_name || '').trim().toLowerCase())],
+    ln: [sha256Hex(String(payload.last_name || '').trim().toLowerCase())],
+    zp: [sha256Hex(String(payload.zip || '').trim().slice(0, 5))],
+    country: [sha256Hex("us")]
+  };
+  if (payload.city) userData.ct = [sha256Hex(String(payload.city).toLowerCase().replace(/[^a-z]/g, ''))];
+  if (payload.state) userData.st = [sha256Hex(String(payload.state).toLowerCase())];
+  if (attribution.fbp) userData.fbp = attribution.fbp;
+  if (attribution.fbc) userData.fbc = attribution.fbc;
+  if (payload.user_agent) userData.client_user_agent = payload.user_agent;
+  
+  // Drop fields that hashed an empty value
+  const emptyHash = sha256Hex('');
+  Object.keys(userData).forEach(key => {
+    if (Array.isArray(userData[key]) && userData[key][0] === emptyHash) delete userData[key];
+  });
+  
+  const eventTime = Date.parse(payload.timestamp) || Date.now();
+  
+  return {
+    event_name: "Lead",
+    event_time: Math.floor(eventTime / 1000),
+    event_id: payload.submission_id,
+    event_source_url: payload.page_url || '',
+    action_source: "website",
+    user_data: userData,
+    custom_data: { value: 0, currency: "USD" }
+  };
+}
+
+/**
+ * Lowercase hex SHA-256 of a UTF-8 string
+ */
+function sha256Hex(value) {
+  const bytes = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, value, Utilities.Charset.UTF_8);
+  return bytes.map(b => ((b + 256) % 256).toString(16).padStart(2, '0')).join('');
+}
+
+// ==================== SPAM SCREENING ====================
+
+/**
+ * Runs the bot and abuse checks on a lead
+ * @returns {string|null} Rejection reason, or null if the lead is fine.
+ *   "rate_limited_<kind>" reasons flag the lead rather than reject it.
+ */
+function screenLead(payload, parsedPhone, email) {
+  const guard = payload.guard || {};
+  
+  if (guard.honeypot) return "honeypot";
+  
+  const token = verifyFormToken(guard.token);
+  if (!token) return "invalid_token";
+  
+  // Measured in the browser from the first answer, and on the server
+  // from when the page load's token was issued
+  const minMs = MIN_COMPLETION_SECONDS * 1000;
+  if (!(Number(guard.elapsed_ms) >= minMs) || Date.now() - token.issuedAt < minMs) {
+    return "too_fast";
+  }
+  
+  const domain = email.split('@')[1] || '';
+  if (DISPOSABLE_EMAIL_DOMAINS.indexOf(domain) !== -1) return "disposable_email";
+  
+  if (!parsedPhone.valid) return "invalid_phone_" + parsedPhone.reason;
+  
+  const limits = [
+    ["phone", parsedPhone.e164],
+    ["email", email],
+    ["client", guard.client_id || ''],
+    ["token", token.nonce],
+    ["global", "all"]
+  ];
+  for (const [kind, key] of limits) {
+    if (key && !checkRateLimit(kind, key)) return "rate_limited_" + kind;
+  }
+  
+  return null;
+}
+
+/**
+ * Counts a hit against a rate limit
+ * @returns {boolean} false once the limit is exceeded
+ */
+function checkRateLimit(kind, key) {
+  const limit = RATE_LIMITS[kind];
+  const cache = CacheService.getScriptCache();
+  const cacheKey = "rl:" + kind + ":" + key;
+  const count = (Number(cache.get(cacheKey)) || 0) + 1;
+  cache.put(cacheKey, String(count), limit.windowSeconds);
+  return count <= limit.max;
+}
+
+/**
+ * Issues a token for one page load: "<nonce>.<issuedAt>.<signature>".
+ * It has no expiry, so leads replayed from the page's outbox on a later
+ * visit still verify.
+ */
+function createFormToken() {
+  const nonce = Utilities.getUuid();
+  const issuedAt = Date.now();
+  return nonce + "." + issuedAt + "." + signFormToken(nonce + "." + issuedAt);
+}
+
+/**
+ * @returns {{nonce: string, issuedAt: number}|null} null if missing or forged
+ */
+function verifyFormToken(token) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) return null;
+  if (signFormToken(parts[0] + "." + parts[1]) !== parts[2]) return null;
+  return { nonce: parts[0], issuedAt: Number(parts[1]) };
+}
+
+function signFormToken(value) {
+  const signature = Utilities.computeHmacSha256Signature(value, getFormTokenSecret());
+  return Utilities.base64EncodeWebSafe(signature).replace(/=+$/, '');
+}
+
+/**
+ * Secret for signing form tokens, generated on first use
+ */
+function getFormTokenSecret() {
+  const properties = PropertiesService.getScriptProperties();
+  let secret = properties.getProperty("FORM_TOKEN_SECRET");
+  if (!secret) {
+    secret = Utilities.getUuid() + Utilities.getUuid();
+    properties.setProperty("FORM_TOKEN_SECRET", secret);
+  }
+  return secret;
+}
+
+/**
+ * Records a screened-out lead with the reason, instead of in Leads
+ */
+function logRejectedLead(ss, payload, reason) {
+  const sheet = getSheet(ss, REJECTED_LEADS_SHEET_NAME, REJECTED_LEAD_COLUMNS);
+  sheet.appendRow(buildRow(sheet, {
+    "Timestamp": new Date().toISOString(),
+    "Reason": reason,
+    "First Name": payload.first_name || '',
+    "Last Name": payload.last_name || '',
+    "Phone": payload.phone || '',
+    "Email": payload.email || '',
+    "Zip Code": payload.zip || '',
+    "Submission ID": payload.submission_id || '',
+    "Raw Payload": JSON.stringify(payload)
+  }));
+}
+
+// ==================== PARTIAL LEADS ====================
+
+/**
+ * Upserts the Partial Leads row for a quiz session with the answers
+ * confirmed so far. Answers already recorded are kept if missing from
+ * the update.
+ */
+function savePartialLead(payload) {
+  if (!payload.session_id) {
+    throw new Error("Missing required field: session_id");
+  }
+  
+  const clientId = String(payload.client_id || payload.session_id);
+  if (!checkRateLimit("partialClient", clientId) || !checkRateLimit("partialGlobal", "all")) {
+    return { success: true, status: "rate_limited" };
+  }
+  
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = getSheet(ss, PARTIAL_LEADS_SHEET_NAME, PARTIAL_LEAD_COLUMNS);
+    const row = findRowByColumnValue(sheet, "Session ID", payload.session_id);
+    const now = new Date().toISOString();
+    const answers = payload.answers || {};
+    
+    const record = {
+      "Last Updated": now,
+      "Last Step": payload.step || '',
+      "Source URL": payload.page_url || ''
+    };
+    Object.keys(PARTIAL_ANSWER_COLUMNS).forEach(key => {
+      if (answers[key]) {
+        record[PARTIAL_ANSWER_COLUMNS[key]] = key === 'email'
+          ? String(answers[key]).trim().toLowerCase()
+          : answers[key];
+      }
+    });
+    
+    if (row > 0) {
+      const existing = readRecord(sheet, row);
+      if (existing["Status"] === "Completed") {
+        return { success: true, status: "completed" };
+      }
+      const steps = String(existing["Steps Completed"] || '').split(',').filter(String);
+      if (payload.step && steps.indexOf(payload.step) === -1) steps.push(payload.step);
+      record["Steps Completed"] = steps.join(',');
+      updateRecord(sheet, row, record);
+    } else {
+      record["Session ID"] = payload.session_id;
+      record["First Seen"] = now;
+      record["Steps Completed"] = payload.step || '';
+      record["Status"] = "In Progress";
+      sheet.appendRow(buildRow(sheet, record));
+    }
+    
+    return { success: true, status: "in_progress" };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Marks a session's partial lead as completed once the full lead lands
+ */
+function markPartialLeadCompleted(ss, sessionId) {
+  if (!sessionId) return;
+  
+  const sheet = ss.getSheetByName(PARTIAL_LEADS_SHEET_NAME);
+  if (!sheet) return;
+  
+  const row = findRowByColumnValue(sheet, "Session ID", sessionId);
+  if (row > 0) {
+    updateRecord(sheet, row, {
+      "Status": "Completed",
+      "Completed At": new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Counts abandoned quiz sessions by the last step they completed and
+ * writes the result to a "Funnel Report" sheet.
+ * Run manually to see which step loses the most people.
+ */
+function funnelReport() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(PARTIAL_LEADS_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) {
+    console.log("No partial leads recorded yet");
+    return;
+  }
+  
+  // One read for the whole sheet - a range read per row times out on a big one
+  const headers = getHeaders(sheet);
+  const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, headers.length).getValues();
+  const col = name => headers.indexOf(name);
+  
+  const counts = {};
+  let completed = 0;
+  values.forEach(row => {
+    if (row[col("Status")] === "Completed") {
+      completed++;
+    } else {
+      const step = row[col("Last Step")] || "(unknown)";
+      counts[step] = (counts[step] || 0) + 1;
+    }
+  });
+  
+  const rows = Object.keys(counts)
+    .sort((a, b) => counts[b] - counts[a])
+    .map(step => [step, counts[step]]);
+  rows.push(["(completed)", completed]);
+  
+  let report = ss.getSheetByName("Funnel Report");
+  if (report) {
+    report.clear();
+  } else {
+    report = ss.insertSheet("Funnel Report");
+  }
+  report.getRange(1, 1, 1, 2).setValues([["Abandoned After Step", "Sessions"]]).setFontWeight("bold");
+  report.getRange(2, 1, rows.length, 2).setValues(rows);
+  
+  console.log("Funnel report:", JSON.stringify(rows));
+}
+
+// ==================== RECENT JOBS ====================
+
+/**
+ * Recent completed jobs for the social-proof popup, newest first.
+ * Skips jobs marked "No" under Show On Site and jobs older than
+ * RECENT_JOBS_MAX_AGE_DAYS. Cached briefly, since every page view asks.
+ * @returns {Array<{first_name: string, town: string, state: string, service: string, completed_on: string}>}
+ *   completed_on is "YYYY-MM-DD"
+ */
+function getRecentJobs() {
+  const cache = CacheService.getScriptCache();
+  const cached = cache.get("recent_jobs");
+  if (cached) return JSON.parse(cached);
+  
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(COMPLETED_JOBS_SHEET_NAME);
+  const jobs = [];
+  
+  if (sheet && sheet.getLastRow() >= 2) {
+    const headers = getHeaders(sheet);
+    const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, headers.length).getValues();
+    const col = name => headers.indexOf(name);
+    const cutoff = Date.now() - RECENT_JOBS_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+    
+    values.forEach(row => {
+      const completedOn = new Date(row[col("Completed On")]);
+      const town = String(row[col("Town")] || '').trim();
+      const show = String(row[col("Show On Site")] || '').trim().toLowerCase();
+      if (isNaN(completedOn.getTime()) || completedOn.getTime() < cutoff || !town || show === "no") return;
+      
+      jobs.push({
+        first_name: publicFirstName(row[col("First Name")]),
+        town: town,
+        state: String(row[col("State")] || '').trim(),
+        service: String(row[col("Service Type")] || '').trim(),
+        completed_on: formatDay(completedOn)
+      });
+    });
+  }
+  
+  jobs.sort((a, b) => (a.completed_on < b.completed_on ? 1 : a.completed_on > b.completed_on ? -1 : 0));
+  const recent = jobs.slice(0, RECENT_JOBS_LIMIT);
+  cache.put("recent_jobs", JSON.stringify(recent), RECENT_JOBS_CACHE_SECONDS);
+  return recent;
+}
+
+/**
+ * "mary ann smith" → "Mary": first word only, so a full name typed
+ * into the sheet is never published
+ */
+function publicFirstName(name) {
+  const first = String(name || '').trim().split(/\s+/)[0] || '';
+  return first.charAt(0).toUpperCase() + first.slice(1).toLowerCase();
+}
+
+/**
+ * Date as "YYYY-MM-DD" in the script's time zone
+ */
+function formatDay(date) {
+  const pad = n => (n < 10 ? "0" : "") + n;
+  return date.getFullYear() + "-" + pad(date.getMonth() + 1) + "-" + pad(date.getDate());
+}
+
+// ==================== BOOKINGS ====================
+
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+/**
+ * Open quote-visit slots for the next BOOKING_DAYS_AHEAD days
+ * @returns {Array<{start: string, end: string}>} ISO times, soonest first
+ */
+function getAvailableSlots() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  return findOpenSlots(ss, new Date()).map(slot => ({
+    start: slot.start.toISOString(),
+    end: slot.end.toISOString()
+  }));
+}
+
+/**
+ * Reserves a slot for a saved lead. Runs under the script lock and
+ * re-checks the slot, so two visitors can't book the same time.
+ * @returns {Object} Response body; status is "booked", "slot_taken",
+ *   "already_booked" or "lead_not_found"
+ */
+function saveBooking(payload) {
+  const requiredFields = ['submission_id', 'slot_start'];
+  for (const field of requiredFields) {
+    if (!payload[field]) {
+      throw new Error("Missing required field: " + field);
+    }
+  }
+  
+  const slotStart = new Date(payload.slot_start);
+  if (isNaN(slotStart.getTime())) {
+    throw new Error("Invalid slot_start: " + payload.slot_start);
+  }
+  
+  const clientId = String(payload.client_id || payload.submission_id);
+  if (!checkRateLimit("bookingClient", clientId) || !checkRateLimit("bookingGlobal", "all")) {
+    return { success: false, status: "rate_limited", error: "Too many booking attempts" };
+  }
+  
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const leadsSheet = getLeadsSheet(ss);
+    const leadRow = findLeadRow(leadsSheet, payload.submission_id);
+    if (leadRow < 0) {
+      return { success: false, status: "lead_not_found", error: "Lead not found" };
+    }
+    
+    // A repeat lead books under the row it was matched to
+    const lead = readRecord(leadsSheet, leadRow);
+    const leadId = String(lead["Submission ID"]);
+    
+    const bookingsSheet = getSheet(ss, BOOKINGS_SHEET_NAME, BOOKING_COLUMNS);
+    const existing = getActiveBookings(bookingsSheet)
+      .filter(booking => booking["Submission ID"] === leadId)[0];
+    if (existing) {
+      // A retry of this same booking succeeds again
+      if (existing.start.getTime() === slotStart.getTime()) {
+        return { success: true, status: "booked", booking: bookingResponse(existing) };
+      }
+      return { success: false, status: "already_booked", error: "This lead already has a visit booked" };
+    }
+    
+    const slot = findOpenSlots(ss, new Date())
+      .filter(open => open.start.getTime() === slotStart.getTime())[0];
+    if (!slot) {
+      return { success: false, status: "slot_taken", error: "That time is no longer available" };
+    }
+    
+    const owner = slot.owners[0];
+    const address = [lead["Street"], lead["City"], lead["State"], lead["Zip Code"]].filter(String).join(', ');
+    
+    bookingsSheet.appendRow(buildRow(bookingsSheet, {
+      "Booked At": new Date().toISOString(),
+      "Slot Start": slot.start.toISOString(),
+      "Slot End": slot.end.toISOString(),
+      "Owner": owner,
+      "Submission ID": leadId,
+      "Name": [lead["First Name"], lead["Last Name"]].filter(String).join(' '),
+      "Phone": lead["Phone"],
+      "Email": lead["Email"],
+      "Address": address,
+      "Status": "Booked"
+    }));
+    
+    updateRecord(leadsSheet, leadRow, {
+      "Appointment Start": slot.start.toISOString(),
+      "Appointment Owner": owner,
+      "Status": "Booked"
+    });
+    
+    console.log(`📅 Visit booked for ${slot.start.toISOString()} with ${owner}: ${leadId}`);
+    
+    return {
+      success: true,
+      status: "booked",
+      booking: { start: slot.start.toISOString(), end: slot.end.toISOString(), owner: owner, address: address }
+    };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Finds a lead's row by its submission id, or by the id of a repeat
+ * submission that was matched to it
+ * @returns {number} 1-based row number, or -1 if not found
+ */
+function findLeadRow(sheet, submissionId) {
+  const row = findRowByColumnValue(sheet, "Submission ID", submissionId);
+  if (row > 0) return row;
+  
+  const columnIndex = getHeaders(sheet).indexOf("Resubmission IDs");
+  const lastRow = sheet.getLastRow();
+  if (columnIndex === -1 || lastRow < 2) return -1;
+  
+  const values = sheet.getRange(2, columnIndex + 1, lastRow - 1, 1).getValues();
+  for (let i = values.length - 1; i >= 0; i--) {
+    if (String(values[i][0]).split(',').indexOf(String(submissionId)) !== -1) {
+      return i + 2;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Slots the Schedule sheet offers that have at least one owner free
+ * @returns {Array<{start: Date, end: Date, owners: string[]}>} soonest first
+ */
+function findOpenSlots(ss, now) {
+  const schedule = ss.getSheetByName(SCHEDULE_SHEET_NAME);
+  if (!schedule || schedule.getLastRow() < 2) return [];
+  
+  const blocks = readSchedule(schedule);
+  const bookingsSheet = ss.getSheetByName(BOOKINGS_SHEET_NAME);
+  const taken = {};
+  if (bookingsSheet) {
+    getActiveBookings(bookingsSheet).forEach(booking => {
+      taken[booking.start.getTime() + "|" + booking["Owner"]] = true;
+    });
+  }
+  
+  const earliest = now.getTime() + BOOKING_MIN_NOTICE_HOURS * 60 * 60 * 1000;
+  const slotsByStart = {};
+  
+  for (let offset = 0; offset <= BOOKING_DAYS_AHEAD; offset++) {
+    const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+    const dated = blocks.filter(block => block.day === formatDay(day));
+    const todays = dated.length ? dated : blocks.filter(block => block.day === WEEKDAYS[day.getDay()]);
+    
+    todays.forEach(block => {
+      for (let minute = block.start; minute + BOOKING_SLOT_MINUTES <= block.end; minute += BOOKING_SLOT_MINUTES) {
+        const start = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minute);
+        if (start.getTime() < earliest || taken[start.getTime() + "|" + block.owner]) continue;
+        
+        const key = start.getTime();
+        if (!slotsByStart[key]) {
+          slotsByStart[key] = {
+            start: start,
+            end: new Date(key + BOOKING_SLOT_MINUTES * 60 * 1000),
+            owners: []
+          };
+        }
+        if (slotsByStart[key].owners.indexOf(block.owner) === -1) {
+          slotsByStart[key].owners.push(block.owner);
+        }
+      }
+    });
+  }
+  
+  return Object.keys(slotsByStart)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map(key => slotsByStart[key]);
+}
+
+/**
+ * Schedule rows as blocks of minutes since midnight
+ * @returns {Array<{day: string, start: number, end: number, owner: string}>}
+ *   day is a lowercase weekday or "YYYY-MM-DD"; a closed day has NaN times
+ */
+function readSchedule(sheet) {
+  const headers = getHeaders(sheet);
+  const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, headers.length).getValues();
+  const col = name => headers.indexOf(name);
+  
+  return values.map(row => {
+    const day = row[col("Day")];
+    return {
+      day: day instanceof Date ? formatDay(day) : String(day).trim().toLowerCase(),
+      start: parseTimeOfDay(row[col("Start")]),
+      end: parseTimeOfDay(row[col("End")]),
+      owner: String(row[col("Owner")] || '').trim()
+    };
+  }).filter(block => block.day);
+}
+
+/**
+ * "9:00", "17:30", "2pm" or a Sheets time cell -> minutes since midnight
+ * @returns {number} NaN when blank or unreadable
+ */
+function parseTimeOfDay(value) {
+  if (value instanceof Date) {
+    return value.getHours() * 60 + value.getMinutes();
+  }
+  
+  const match = String(value || '').trim().toLowerCase().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+  if (!match) return NaN;
+  
+  let hours = Number(match[1]) % (match[3] ? 12 : 24);
+  if (match[3] === "pm") hours += 12;
+  return hours * 60 + Number(match[2] || 0);
+}
+
+/**
+ * Bookings that still hold their slot, with the start parsed
+ */
+function getActiveBookings(sheet) {
+  if (sheet.getLastRow() < 2) return [];
+  
+  const headers = getHeaders(sheet);
+  const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, headers.length).getValues();
+  
+  return values.map(row => {
+    const booking = {};
+    headers.forEach((header, i) => { booking[header] = row[i]; });
+    booking.start = new Date(booking["Slot Start"]);
+    booking["Submission ID"] = String(booking["Submission ID"]);
+    return booking;
+  }).filter(booking => String(booking["Status"]).toLowerCase() !== "cancelled" && !isNaN(booking.start.getTime()));
+}
+
+function bookingResponse(booking) {
+  return {
+    start: booking.start.toISOString(),
+    end: new Date(booking["Slot End"]).toISOString(),
+    owner: booking["Owner"],
+    address: booking["Address"]
+  };
+}
+
+// ==================== CLIENT ERRORS ====================
+
+/**
+ * Records an error the page reported (see the page's ERROR REPORTING
+ * section). The page has already masked personal data. Reports are
+ * capped per session and site-wide, so a crash loop can't fill the sheet.
+ * @returns {Object} Response body; status is "logged" or "rate_limited"
+ */
+function saveClientError(payload) {
+  const sessionId = String(payload.session_id || "unknown");
+  if (!checkRateLimit("errorSession", sessionId) || !checkRateLimit("errorGlobal", "all")) {
+    return { success: true, status: "rate_limited" };
+  }
+  
+  const clip = value => String(value === undefined || value === null ? '' : value).slice(0, CLIENT_ERROR_MAX_LENGTH);
+  const details = payload.details && typeof payload.details === "object" ? JSON.stringify(payload.details) : payload.details;
+  
+  // appendRow is atomic, so reports don't wait on the lead lock
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = getSheet(ss, CLIENT_ERRORS_SHEET_NAME, CLIENT_ERROR_COLUMNS);
+  sheet.appendRow(buildRow(sheet, {
+    "Timestamp": new Date().toISOString(),
+    "Kind": clip(payload.kind),
+    "Message": clip(payload.message),
+    "Details": clip(details),
+    "Stack": clip(payload.stack),
+    "Page URL": clip(payload.page_url),
+    "Market": clip(payload.market),
+    "Step": clip(payload.step),
+    "Session ID": clip(sessionId),
+    "User Agent": clip(payload.user_agent),
+    "Client Timestamp": clip(payload.timestamp)
+  }));
+  
+  console.log(`🐞 Client error (${payload.kind}): ${payload.message}`);
+  return { success: true, status: "logged" };
+}
+
+// ==================== ROUTING & NOTIFICATIONS ====================
+
+/**
+ * Picks the owner for a lead from the Settings sheet: a ZIP code match
+ * first, then a market match, then the default owner. Within each kind
+ * of match the first row wins, so put narrower rules higher up.
+ * @returns {Object|null} An owner from readOwners, or null if none fits
+ */
+function routeLead(ss, lead) {
+  const owners = readOwners(ss);
+  const zip = String(lead.zip || '').trim();
+  const market = String(lead.market || '').trim().toLowerCase();
+  
+  return owners.filter(owner => zip && owner.zips.some(prefix => zip.indexOf(prefix) === 0))[0] ||
+    owners.filter(owner => market && owner.markets.indexOf(market) !== -1)[0] ||
+    owners.filter(owner => owner.isDefault)[0] ||
+    null;
+}
+
+/**
+ * Owners listed in the Settings sheet
+ * @returns {Array<{name: string, email: string, markets: string[], zips: string[], isDefault: boolean}>}
+ */
+function readOwners(ss) {
+  const sheet = ss.getSheetByName(SETTINGS_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+  
+  const headers = getHeaders(sheet);
+  const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, headers.length).getValues();
+  const col = name => headers.indexOf(name);
+  const list = value => String(value || '').split(',').map(item => item.trim().toLowerCase()).filter(String);
+  
+  return values.map(row => ({
+    name: String(row[col("Owner")] || '').trim(),
+    email: String(row[col("Email")] || '').trim(),
+    markets: list(row[col("Markets")]),
+    zips: list(row[col("Zip Codes")]),
+    isDefault: String(row[col("Default")] || '').trim().toLowerCase() === "yes"
+  })).filter(owner => owner.name && owner.email);
+}
+
+/**
+ * Emails the assigned owner about a lead that was just saved
+ * @param {Object} record - The Leads row, keyed by column header
+ * @returns {boolean} Whether an alert was sent
+ */
+function sendLeadAlert(ss, record) {
+  const owner = readOwners(ss).filter(candidate => candidate.name === record["Assigned To"])[0];
+  if (!owner) {
+    console.warn(`⚠️ No owner to alert for ${record["Submission ID"]} - check the Settings sheet`);
+    return false;
+  }
+  
+  const name = [record["First Name"], record["Last Name"]].filter(String).join(' ');
+  const place = [record["City"], record["State"]].filter(String).join(', ') || record["Zip Code"];
+  const waitlist = record["Service Zone"] === "Out of area" ? "[Waitlist] " : "";
+  const review = record["Review Reason"] ? "[Check: " + record["Review Reason"] + "] " : "";
+  
+  getNotifier().send({
+    to: owner.email,
+    subject: `${review}${waitlist}New lead: ${name} - ${place}${record["Project Type"] ? " (" + record["Project Type"] + ")" : ""}`,
+    lines: leadSummaryLines(record).concat(["", "Sheet: " + ss.getUrl()])
+  });
+  console.log(`📧 Lead alert sent to ${owner.name}: ${record["Submission ID"]}`);
+  return true;
+}
+
+/**
+ * "Label: value" lines describing a lead, skipping empty fields
+ */
+function leadSummaryLines(record) {
+  const estimate = record["Estimate Low"] && record["Estimate High"]
+    ? "$" + record["Estimate Low"] + "-$" + record["Estimate High"]
+    : '';
+  const fields = [
+    ["Name", [record["First Name"], record["Last Name"]].filter(String).join(' ')],
+    ["Phone", record["Phone"] + (record["Phone Extension"] ? " ext. " + record["Phone Extension"] : '')],
+    ["Email", record["Email"]],
+    ["Address", [record["Street"], record["City"], record["State"], record["Zip Code"]].filter(String).join(', ')],
+    ["Project", record["Project Type"]],
+    ["Sq Ft", record["Approx Sq Ft"]],
+    ["Condition / Finish", [record["Surface Condition"], record["Finish Type"]].filter(String).join(' / ')],
+    ["Estimate Shown", estimate],
+    ["Timeline", record["Timeline"]],
+    ["Notes", record["Notes"]],
+    ["Received", record["Timestamp"]]
+  ];
+  return fields.filter(field => field[1]).map(field => field[0] + ": " + field[1]);
+}
+
+/**
+ * Emails each owner the leads assigned to them that are still "New"
+ * STALE_LEAD_HOURS after they came in. Unassigned leads go to the
+ * default owner. Runs daily once installDigestTrigger has been run.
+ * @returns {number} How many digests were sent
+ */
+function sendDailyDigest() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(LEADS_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return 0;
+  
+  const owners = readOwners(ss);
+  const fallback = owners.filter(owner => owner.isDefault)[0];
+  const cutoff = Date.now() - STALE_LEAD_HOURS * 60 * 60 * 1000;
+  const byOwner = {};
+  
+  // One read for the whole sheet - a range read per row times out on a big one
+  const headers = getHeaders(sheet);
+  const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, headers.length).getValues();
+  
+  values.forEach(row => {
+    const record = {};
+    headers.forEach((header, i) => { record[header] = row[i]; });
+    const receivedAt = new Date(record["Timestamp"]).getTime();
+    if (record["Status"] !== "New" || !(receivedAt <= cutoff)) return;
+    
+    const owner = owners.filter(candidate => candidate.name === record["Assigned To"])[0] || fallback;
+    if (!owner) return;
+    (byOwner[owner.email] = byOwner[owner.email] || { owner: owner, leads: [] }).leads.push(record);
+  });
+  
+  const notifier = getNotifier();
+  Object.keys(byOwner).forEach(email => {
+    const digest = byOwner[email];
+    const lines = [`${digest.leads.length} lead${digest.leads.length === 1 ? " is" : "s are"} still marked New after ${STALE_LEAD_HOURS} hours:`];
+    digest.leads.forEach(record => {
+      lines.push("", leadSummaryLines(record).slice(0, 4).join("\n"));
+    });
+    lines.push("", "Update the Status column once you've reached out: " + ss.getUrl());
+    
+    notifier.send({
+      to: email,
+      subject: `Daily digest: ${digest.leads.length} lead${digest.leads.length === 1 ? "" : "s"} waiting for a call`,
+      lines: lines
+    });
+  });
+  
+  console.log(`📬 Daily digest sent to ${Object.keys(byOwner).length} owner(s)`);
+  return Object.keys(byOwner).length;
+}
+
+/**
+ * Schedules sendDailyDigest for DIGEST_HOUR every morning, replacing
+ * any earlier schedule. Run once after deploying.
+ */
+function installDigestTrigger() {
+  ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getHandlerFunction() === "sendDailyDigest")
+    .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+  
+  ScriptApp.newTrigger("sendDailyDigest").timeBased().everyDays(1).atHour(DIGEST_HOUR).create();
+  console.log(`⏰ Daily digest scheduled for ${DIGEST_HOUR}:00`);
+}
+
+/**
+ * Simple trigger: stamps Last Contacted when an owner moves a lead
+ * along the Status pipeline
+ */
+function onEdit(e) {
+  if (!e || !e.range || e.value === undefined) return;
+  
+  const sheet = e.range.getSheet();
+  if (sheet.getName() !== LEADS_SHEET_NAME || e.range.getRow() < 2) return;
+  if (getHeaders(sheet)[e.range.getColumn() - 1] !== "Status" || e.value === "New") return;
+  
+  updateRecord(sheet, e.range.getRow(), { "Last Contacted": new Date().toISOString() });
+}
+
+/**
+ * Restricts the Leads Status column to LEAD_STATUSES
+ */
+function applyStatusDropdown(sheet) {
+  const column = getHeaders(sheet).indexOf("Status") + 1;
+  if (column === 0) return;
+  
+  const rule = SpreadsheetApp.newDataValidation()
+    .requireValueInList(LEAD_STATUSES, true)
+    .setAllowInvalid(false)
+    .build();
+  sheet.getRange(2, column, sheet.getMaxRows() - 1, 1).setDataValidation(rule);
+}
+
+// Where notifications go - see setNotifier
+let activeNotifier = null;
+
+/**
+ * The notifier in use: email through MailApp unless setNotifier has
+ * swapped it. A notifier has one method, send({to, subject, lines}).
+ */
+function getNotifier() {
+  return activeNotifier || createEmailNotifier();
+}
+
+/**
+ * Replaces the notifier, e.g. with a fake in tests. null restores email.
+ */
+function setNotifier(notifier) {
+  activeNotifier = notifier;
+}
+
+/**
+ * Notifier that sends plain-text and HTML email
+ * @param {Object} [options]
+ *   mailer - object with sendEmail(message); defaults to MailApp
+ */
+function createEmailNotifier(options) {
+  const mailer = (options && options.mailer) || MailApp;
+  
+  return {
+    send: function(message) {
+      mailer.sendEmail({
+        to: message.to,
+        subject: message.subject,
+        name: NOTIFICATION_SENDER_NAME,
+        body: message.lines.join("\n"),
+        htmlBody: message.lines.map(line => escapeHtml(line).replace(/\n/g, "<br>")).join("<br>")
+      });
+    }
+  };
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// ==================== SHEET HELPERS ====================
+
+/**
+ * Returns the named sheet, creating it with the given header columns
+ * or adding any columns it is missing
+ */
+function getSheet(ss, name, columns) {
+  let sheet = ss.getSheetByName(name);
+  if (!sheet) {
+    sheet = ss.insertSheet(name);
+    ensureHeaders(sheet, columns);
+    sheet.setFrozenRows(1);
+  } else {
+    ensureHeaders(sheet, columns);
+  }
+  return sheet;
+}
+
+/**
+ * Returns the Leads sheet, creating it (with a protected header row)
+ * or adding any header columns it is missing
+ */
+function getLeadsSheet(ss) {
+  let leadsSheet = ss.getSheetByName(LEADS_SHEET_NAME);
+  
+  if (!leadsSheet) {
+    leadsSheet = ss.insertSheet(LEADS_SHEET_NAME);
+    ensureHeaders(leadsSheet, LEAD_COLUMNS);
+    // Protect header row
+    const protection = leadsSheet.getRange(1, 1, 1, LEAD_COLUMNS.length).protect();
+    protection.setDescription("Header row - protected");
+    applyStatusDropdown(leadsSheet);
+  } else {
+    ensureHeaders(leadsSheet, LEAD_COLUMNS);
+  }
+  
+  return leadsSheet;
+}
+
+/**
+ * Writes the header row on an empty sheet, or appends any missing
+ * columns to the right of an existing header row. Existing columns are
+ * never moved, so older sheets keep working as new fields are added.
+ */
+function ensureHeaders(sheet, columns) {
+  if (sheet.getLastRow() === 0) {
+    sheet.getRange(1, 1, 1, columns.length).setValues([columns]);
+    sheet.getRange(1, 1, 1, columns.length).setFontWeight("bold");
+    return;
+  }
+  
+  const headers = getHeaders(sheet);
+  const missing = columns.filter(column => headers.indexOf(column) === -1);
+  if (missing.length) {
+    const range = sheet.getRange(1, headers.length + 1, 1, missing.length);
+    range.setValues([missing]);
+    range.setFontWeight("bold");
+  }
+}
+
+/**
+ * Reads the header row of a sheet
+ */
+function getHeaders(sheet) {
+  const lastColumn = sheet.getLastColumn();
+  if (lastColumn === 0) return [];
+  return sheet.getRange(1, 1, 1, lastColumn).getValues()[0].map(String);
+}
+
+/**
+ * Orders a record's values to match the sheet's header row
+ */
+function buildRow(sheet, record) {
+  return getHeaders(sheet).map(header =>
+    record[header] === undefined || record[header] === null ? '' : record[header]
+  );
+}
+
+/**
+ * Reads a data row as a record keyed by column header
+ */
+function readRecord(sheet, row) {
+  const headers = getHeaders(sheet);
+  const values = sheet.getRange(row, 1, 1, headers.length).getValues()[0];
+  const record = {};
+  headers.forEach((header, i) => { record[header] = values[i]; });
+  return record;
+}
+
+/**
+ * Writes the given fields of a record into an existing row, leaving
+ * the other cells untouched
+ */
+function updateRecord(sheet, row, record) {
+  const headers = getHeaders(sheet);
+  Object.keys(record).forEach(key => {
+    const column = headers.indexOf(key);
+    if (column !== -1) {
+      sheet.getRange(row, column + 1).setValue(record[key]);
+    }
+  });
+}
+
+/**
+ * Finds the first data row whose cell in the given column equals value
+ * @returns {number} 1-based row number, or -1 if not found
+ */
+function findRowByColumnValue(sheet, column, value) {
+  const columnIndex = getHeaders(sheet).indexOf(column);
+  const lastRow = sheet.getLastRow();
+  if (columnIndex === -1 || lastRow < 2) return -1;
+  
+  const values = sheet.getRange(2, columnIndex + 1, lastRow - 1, 1).getValues();
+  for (let i = 0; i < values.length; i++) {
+    if (String(values[i][0]) === String(value)) {
+      return i + 2;
+    }
+  }
+  return -1;
+}
+
 // ==================== ERROR LOGGING ====================
 
 /**
@@ -185,12 +1729,29 @@ function testWebhook() {
   const testPayload = {
     postData: {
       contents: JSON.stringify({
+        submission_id: "test-" + Utilities.getUuid(),
         first_name: "Test",
         last_name: "User",
-        phone: "+16071234567",
+        full_name: "Test User",
+        phone: "+16072345678",
         email: "test@example.com",
+        street: "123 Test St",
+        city: "Binghamton",
+        state: "NY",
         zip: "13901",
+        project_type: "Garage Floor Coating",
+        approx_sqft: "2-car garage",
+        timeline: "Before Winter",
+        owns_home: "Yes",
+        notes: "This is a test lead",
         quiz_answers: '{"homeowner":"yes","ab_variant":"A"}',
+        experiments: [{ experiment: "headline_test_2", variant: "A", exposed_at: new Date().toISOString() }],
+        guard: {
+          token: createTestFormToken(),
+          elapsed_ms: MIN_COMPLETION_SECONDS * 1000,
+          honeypot: "",
+          client_id: "test"
+        },
         page_url: "https://example.com/test",
         timestamp: new Date().toISOString()
       })
@@ -201,6 +1762,15 @@ function testWebhook() {
   console.log("Test result:", result.getContent());
 }
 
+/**
+ * A form token backdated past MIN_COMPLETION_SECONDS, for testWebhook
+ */
+function createTestFormToken() {
+  const nonce = Utilities.getUuid();
+  const issuedAt = Date.now() - MIN_COMPLETION_SECONDS * 1000;
+  return nonce + "." + issuedAt + "." + signFormToken(nonce + "." + issuedAt);
+}
+
 /**
  * Initialize sheets with proper headers
  * Run this once to set up the spreadsheet
@@ -215,13 +1785,11 @@ function initializeSheets() {
     console.log("Created Leads sheet");
   }
   
-  // Set up headers if empty
-  if (leadsSheet.getLastRow() === 0) {
-    leadsSheet.getRange(1, 1, 1, LEAD_COLUMNS.length).setValues([LEAD_COLUMNS]);
-    leadsSheet.getRange(1, 1, 1, LEAD_COLUMNS.length).setFontWeight("bold");
-    leadsSheet.setFrozenRows(1);
-    console.log("Added headers to Leads sheet");
-  }
+  // Set up headers if empty, or add any new columns
+  ensureHeaders(leadsSheet, LEAD_COLUMNS);
+  leadsSheet.setFrozenRows(1);
+  applyStatusDropdown(leadsSheet);
+  console.log("Leads sheet headers up to date");
   
   // Create Errors sheet
   let errorsSheet = ss.getSheetByName(ERRORS_SHEET_NAME);
@@ -233,5 +1801,14 @@ function initializeSheets() {
     console.log("Created Webhook Errors sheet");
   }
   
+  // Create Partial Leads, Rejected Leads and Completed Jobs sheets
+  getSheet(ss, PARTIAL_LEADS_SHEET_NAME, PARTIAL_LEAD_COLUMNS);
+  getSheet(ss, REJECTED_LEADS_SHEET_NAME, REJECTED_LEAD_COLUMNS);
+  getSheet(ss, COMPLETED_JOBS_SHEET_NAME, COMPLETED_JOB_COLUMNS);
+  getSheet(ss, SCHEDULE_SHEET_NAME, SCHEDULE_COLUMNS);
+  getSheet(ss, BOOKINGS_SHEET_NAME, BOOKING_COLUMNS);
+  getSheet(ss, SETTINGS_SHEET_NAME, SETTINGS_COLUMNS);
+  console.log("Partial Leads, Rejected Leads, Completed Jobs, Schedule, Bookings and Settings sheets ready");
+  
   console.log("✅ Sheets initialized successfully!");
 }
@@ -0,0 +1,110 @@
+// =============================================================
+//          PHONE - North American number validation
+// =============================================================
+// Shared by the landing page (loaded before script.js) and the Apps
+// Script webhook (add it to the project as a script file named
+// "phone"). Plain functions only, so it runs in both.
+
+/**
+ * Parses and validates a North American (NANP) phone number.
+ * Accepts the usual ways people type one - "(607) 234-5678",
+ * "607.234.5678", "+1 607 234 5678" - and strips an extension.
+ * @param {string} input - Phone number as typed
+ * @returns {{valid: boolean, e164: string, national: string, extension: string, reason: string}}
+ *   reason is '' when valid, otherwise one of: empty, invalid_characters,
+ *   invalid_country, too_short, too_long, invalid_area_code,
+ *   invalid_exchange, fictional, repeated_digits, sequential_digits
+ */
+function parsePhone(input) {
+    const result = { valid: false, e164: '', national: '', extension: '', reason: '' };
+    let value = String(input || '').trim();
+
+    if (!value) {
+        result.reason = 'empty';
+        return result;
+    }
+
+    // "ext. 12", "x12", "#12" at the end
+    const extMatch = value.match(/\s*(?:ext\.?|extension|x|#)\s*(\d{1,6})$/i);
+    if (extMatch) {
+        result.extension = extMatch[1];
+        value = value.slice(0, extMatch.index);
+    }
+
+    if (/[^\d\s().+\-]/.test(value)) {
+        result.reason = 'invalid_characters';
+        return result;
+    }
+
+    let digits = value.replace(/\D/g, '');
+    if (value.charAt(0) === '+' && digits.charAt(0) !== '1') {
+        result.reason = 'invalid_country';
+        return result;
+    }
+    if (digits.length === 11 && digits.charAt(0) === '1') {
+        digits = digits.slice(1);
+    }
+
+    if (digits.length < 10) {
+        result.reason = 'too_short';
+        return result;
+    }
+    if (digits.length > 10) {
+        result.reason = 'too_long';
+        return result;
+    }
+
+    const areaCode = digits.slice(0, 3);
+    const exchange = digits.slice(3, 6);
+    const line = digits.slice(6);
+
+    // NPA: [2-9][0-8][0-9], and never an N11 service code like 911
+    if (!/^[2-9][0-8]\d$/.test(areaCode) || areaCode.slice(1) === '11') {
+        result.reason = 'invalid_area_code';
+        return result;
+    }
+    // NXX: [2-9]XX, and never N11
+    if (!/^[2-9]\d\d$/.test(exchange) || exchange.slice(1) === '11') {
+        result.reason = 'invalid_exchange';
+        return result;
+    }
+    // 555-0100 through 555-0199 are reserved for fiction
+    if (exchange === '555' && /^01\d\d$/.test(line)) {
+        result.reason = 'fictional';
+        return result;
+    }
+    if (/^(\d)\1+$/.test(digits) || /^(\d)\1+$/.test(exchange + line)) {
+        result.reason = 'repeated_digits';
+        return result;
+    }
+    if ('01234567890123456789'.indexOf(digits) !== -1 || '98765432109876543210'.indexOf(digits) !== -1) {
+        result.reason = 'sequential_digits';
+        return result;
+    }
+
+    result.valid = true;
+    result.e164 = '+1' + digits;
+    result.national = '(' + areaCode + ') ' + exchange + '-' + line;
+    return result;
+}
+
+/**
+ * Formats a phone number as it is typed: "(607) 234-5678".
+ * Separators are only added in front of digits, so backspacing works.
+ * A leading country code 1 is dropped; digits past ten become " x123".
+ * @param {string} value - Current input value
+ * @returns {string}
+ */
+function formatPhoneInput(value) {
+    let digits = String(value || '').replace(/\D/g, '');
+    if (digits.charAt(0) === '1') {
+        digits = digits.slice(1);
+    }
+
+    if (!digits) return '';
+    if (digits.length <= 3) return '(' + digits;
+    if (digits.length <= 6) return '(' + digits.slice(0, 3) + ') ' + digits.slice(3);
+
+    const formatted = '(' + digits.slice(0, 3) + ') ' + digits.slice(3, 6) + '-' + digits.slice(6, 10);
+    return digits.length > 10 ? formatted + ' x' + digits.slice(10) : formatted;
+}
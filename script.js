@@ -5,22 +5,184 @@
 const CONFIG = {
     GOOGLE_SHEETS_WEBHOOK: "https://script.google.com/macros/s/AKfycbxdrg96cCthZEp2SbOlLmJQw1OE3tnDb8i8u6xPdnmqbi_0ICPDX02RI0D3HyCCVS1d/exec",
     ZAPIER_WEBHOOK: "https://hooks.zapier.com/hooks/catch/23450484/u8v689f/",
-    DEBUG: true
+    LOG_LEVEL: 'silent', // See LOGGING
+    REQUEST_TIMEOUT_MS: 10000,
+    OUTBOX_STORAGE_KEY: 'doski_lead_outbox',
+    OUTBOX_RETRY_BASE_MS: 5000,
+    OUTBOX_RETRY_MAX_MS: 5 * 60 * 1000,
+    OUTBOX_MAX_AGE_MS: 30 * 24 * 60 * 60 * 1000
 };
 
+// -------------------------------------------------
+//          LOGGING - Console output by level, without personal data
+// -------------------------------------------------
+// Production is silent: CONFIG.LOG_LEVEL is 'silent'. Add ?log=debug
+// (or info, warn, error) to the URL to see the console for the rest of
+// the tab's session, and ?log=silent to quiet it again. Emails, phone
+// numbers, names and addresses are masked whatever the level.
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const LOG_LEVEL_STORAGE_KEY = 'doski_log_level';
+
+// Payload fields that identify the visitor
+const PII_FIELDS = ['email', 'phone', 'phone_extension', 'name', 'first_name', 'last_name', 'full_name', 'street', 'notes'];
+
+(function() {
+    try {
+        const param = new URLSearchParams(window.location.search).get('log');
+        if (param && LOG_LEVELS[param]) sessionStorage.setItem(LOG_LEVEL_STORAGE_KEY, param);
+    } catch (error) {
+        // Storage unavailable - CONFIG.LOG_LEVEL applies
+    }
+})();
+
+function getLogLevel() {
+    try {
+        return sessionStorage.getItem(LOG_LEVEL_STORAGE_KEY) || CONFIG.LOG_LEVEL;
+    } catch (error) {
+        return CONFIG.LOG_LEVEL;
+    }
+}
+
+/**
+ * Copy of a value with personal data masked: PII_FIELDS are replaced
+ * and emails or phone numbers inside strings are blanked out
+ */
+function redactPII(value, depth = 0) {
+    if (typeof value === 'string') {
+        return value
+            .replace(/[^\s@<>"',;:]+@[^\s@<>"',;:]+\.[a-z]{2,}/gi, '[email]')
+            .replace(/\+?\(?\d[\d\s().-]{8,}\d/g, match => {
+                const digits = match.replace(/\D/g, '');
+                return digits.length === 10 || (digits.length === 11 && digits[0] === '1') ? '[phone]' : match;
+            });
+    }
+    if (value instanceof Error) {
+        return `${value.name}: ${redactPII(value.message)}`;
+    }
+    if (!value || typeof value !== 'object' || depth > 5) {
+        return value;
+    }
+
+    const copy = Array.isArray(value) ? [] : {};
+    Object.keys(value).forEach(key => {
+        copy[key] = PII_FIELDS.indexOf(key) !== -1 && value[key]
+            ? '[redacted]'
+            : redactPII(value[key], depth + 1);
+    });
+    return copy;
+}
+
+function writeLog(level, args) {
+    if (LOG_LEVELS[level] < LOG_LEVELS[getLogLevel()]) return;
+    console[level === 'debug' ? 'log' : level].apply(console, args.map(arg => redactPII(arg)));
+}
+
+const log = {
+    debug: (...args) => writeLog('debug', args),
+    info: (...args) => writeLog('info', args),
+    warn: (...args) => writeLog('warn', args),
+    error: (...args) => writeLog('error', args)
+};
+
+// -------------------------------------------------
+//          ERROR REPORTING - Client failures to the "Client Errors" sheet
+// -------------------------------------------------
+// Uncaught errors, unhandled rejections and failed submissions are
+// beaconed to the Sheets webhook as type 'client_error', so a broken
+// form shows up in the sheet instead of as a quiet phone. Reports are
+// sampled per page view, each distinct error is sent once per session,
+// and a page view sends at most MAX_PER_PAGE.
+
+const ERROR_REPORTING = {
+    ENABLED: true,
+    SAMPLE_RATE: 1,          // Share of page views that report, 0-1
+    MAX_PER_PAGE: 5,
+    MAX_STACK_LENGTH: 2000,
+    STORAGE_KEY: 'doski_reported_errors'
+};
+
+let errorReportingSampled = null;
+let errorsReportedThisPage = 0;
+
+/**
+ * Reports a client-side failure
+ * @param {string} kind - e.g. 'js_error', 'lead_failed', 'webhook_error'
+ * @param {Error|string} error - What went wrong
+ * @param {Object} [details] - Extra context; personal data is masked
+ * @returns {boolean} Whether a report was sent
+ */
+function reportClientError(kind, error, details) {
+    try {
+        if (!ERROR_REPORTING.ENABLED || errorsReportedThisPage >= ERROR_REPORTING.MAX_PER_PAGE) return false;
+        if (errorReportingSampled === null) errorReportingSampled = Math.random() < ERROR_REPORTING.SAMPLE_RATE;
+        if (!errorReportingSampled) return false;
+
+        const message = redactPII(error && error.message ? error.message : String(error || 'Unknown error'));
+        const safeDetails = redactPII(details || {});
+        if (!rememberErrorFingerprint(kind + '|' + message + '|' + JSON.stringify(safeDetails))) return false;
+        errorsReportedThisPage++;
+
+        beaconToSheets(Object.assign({
+            type: 'client_error',
+            kind: kind,
+            message: message,
+            stack: redactPII(error && error.stack ? String(error.stack) : '').slice(0, ERROR_REPORTING.MAX_STACK_LENGTH),
+            details: safeDetails,
+            session_id: getSessionId(),
+            page_url: redactPII(window.location.href),
+            user_agent: navigator.userAgent,
+            timestamp: new Date().toISOString()
+        }, getErrorContext())).catch(() => {});
+        return true;
+    } catch (reportError) {
+        return false; // Never let reporting become the failure
+    }
+}
+
+/**
+ * @returns {boolean} false if this error was already reported this session
+ */
+function rememberErrorFingerprint(fingerprint) {
+    let seen = [];
+    try {
+        seen = JSON.parse(sessionStorage.getItem(ERROR_REPORTING.STORAGE_KEY) || '[]');
+    } catch (error) {
+        seen = window.doskiReportedErrors || [];
+    }
+    if (seen.indexOf(fingerprint) !== -1) return false;
+
+    seen = seen.concat(fingerprint).slice(-50);
+    window.doskiReportedErrors = seen;
+    try {
+        sessionStorage.setItem(ERROR_REPORTING.STORAGE_KEY, JSON.stringify(seen));
+    } catch (error) {
+        // Kept in memory for this page instead
+    }
+    return true;
+}
+
 /**
- * Formats phone number to E.164 format (+1XXXXXXXXXX)
+ * Market and quiz step from the analytics context, when it's ready
  */
-function formatPhoneE164(phone) {
-    const digits = phone.replace(/\D/g, '');
-    if (digits.length === 10) {
-        return '+1' + digits;
-    } else if (digits.length === 11 && digits.startsWith('1')) {
-        return '+' + digits;
+function getErrorContext() {
+    try {
+        return { market: analyticsContext.market || '', step: analyticsContext.step || '' };
+    } catch (error) {
+        return { market: '', step: '' }; // Failed before the analytics section ran
     }
-    return '+1' + digits; // Fallback
 }
 
+window.addEventListener('error', function(e) {
+    // Errors from other origins' scripts arrive without any detail
+    if (!e.error && e.message === 'Script error.') return;
+    reportClientError('js_error', e.error || e.message, { source: e.filename, line: e.lineno, column: e.colno });
+});
+
+window.addEventListener('unhandledrejection', function(e) {
+    reportClientError('unhandled_rejection', e.reason);
+});
+
 /**
  * Splits name into first and last name
  */
@@ -33,52 +195,71 @@ function splitName(fullName) {
 }
 
 /**
- * Main lead submission function - sends via POST to webhook
- * @param {Object} userData - User data from quiz
- * @returns {Promise<boolean>} - Success status
+ * Generates a unique id for a submission. The webhook uses it to
+ * recognise retries of a lead it has already saved.
  */
-async function submitLead(userData) {
-    // VALIDATION: Ensure all required fields
-    const requiredFields = ['name', 'zip', 'email', 'phone'];
-    for (const field of requiredFields) {
-        if (!userData[field] || !userData[field].trim()) {
-            console.error(`❌ BLOCKED: Missing required field: ${field}`, userData);
-            return { success: false, error: `Missing required field: ${field}` };
-        }
+function generateSubmissionId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+        return window.crypto.randomUUID();
     }
+    return 'sub-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 12);
+}
 
-    // Parse name into first/last
-    const { first_name, last_name } = splitName(userData.name);
+/**
+ * Returns the id of this browser tab's quiz session, creating it on
+ * first use. Partial and completed leads share it so they can be joined.
+ */
+function getSessionId() {
+    const key = 'doski_session_id';
+    try {
+        let sessionId = sessionStorage.getItem(key);
+        if (!sessionId) {
+            sessionId = generateSubmissionId();
+            sessionStorage.setItem(key, sessionId);
+        }
+        return sessionId;
+    } catch (error) {
+        window.doskiSessionId = window.doskiSessionId || generateSubmissionId();
+        return window.doskiSessionId;
+    }
+}
 
-    // Build the payload
-    const payload = {
-        first_name: first_name,
-        last_name: last_name,
-        phone: formatPhoneE164(userData.phone),
-        email: userData.email.trim().toLowerCase(),
-        zip: userData.zip.trim(),
-        quiz_answers: JSON.stringify({
-            homeowner: userData.homeowner || 'yes',
-            ab_variant: window.abTestVariant || 'unknown'
-        }),
-        page_url: window.location.href,
-        timestamp: new Date().toISOString()
-    };
+/**
+ * fetch() that gives up after CONFIG.REQUEST_TIMEOUT_MS
+ */
+async function fetchWithTimeout(url, options) {
+    if (typeof AbortController !== 'function') {
+        return fetch(url, options);
+    }
 
-    if (CONFIG.DEBUG) {
-        console.log('📤 SUBMITTING LEAD VIA POST');
-        console.log('Payload:', JSON.stringify(payload, null, 2));
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), CONFIG.REQUEST_TIMEOUT_MS);
+    try {
+        return await fetch(url, Object.assign({}, options, { signal: controller.signal }));
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new Error(`Request timed out after ${CONFIG.REQUEST_TIMEOUT_MS}ms`);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
     }
+}
 
-    // Track submission results
-    let googleSheetsResult = { success: false, error: null };
-    let zapierResult = { success: false, error: null };
+/**
+ * Sends a payload to the Google Sheets webhook
+ * @returns {Promise<{success: boolean, duplicate: boolean, reason: string|null, rejected: boolean, error: string|null}>}
+ *   duplicate is true when the webhook already had this lead, with the
+ *   reason it matched ("submission_id", "phone" or "email"); rejected
+ *   when it was screened out as spam (retrying won't help)
+ */
+async function sendToGoogleSheets(payload) {
+    const result = { success: false, duplicate: false, reason: null, rejected: false, error: null };
 
-    // ========== SEND TO GOOGLE SHEETS (PRIMARY) ==========
     try {
-        console.log('📊 Sending to Google Sheets webhook...');
+        log.info('📊 Sending to Google Sheets webhook...');
         
-        const response = await fetch(CONFIG.GOOGLE_SHEETS_WEBHOOK, {
+        const response = await fetchWithTimeout(CONFIG.GOOGLE_SHEETS_WEBHOOK, {
             method: 'POST',
             headers: {
                 'Content-Type': 'text/plain', // Required for Google Apps Script
@@ -86,444 +267,2528 @@ async function submitLead(userData) {
             body: JSON.stringify(payload)
         });
 
-        console.log(`📊 Google Sheets response status: ${response.status}`);
+        log.info(`📊 Google Sheets response status: ${response.status}`);
 
         if (!response.ok) {
             throw new Error(`HTTP ${response.status}: ${response.statusText}`);
         }
 
         const data = await response.json();
-        console.log('📊 Google Sheets response:', data);
+        log.debug('📊 Google Sheets response:', data);
 
         if (data.success) {
-            googleSheetsResult.success = true;
-            console.log('✅ GOOGLE SHEETS: Lead saved successfully');
+            result.success = true;
+            result.duplicate = data.duplicate === true;
+            result.reason = data.reason || null;
+            log.info(result.duplicate
+                ? `↩️ GOOGLE SHEETS: Lead already on file (${data.reason})`
+                : '✅ GOOGLE SHEETS: Lead saved successfully');
         } else {
+            result.rejected = data.rejected === true;
             throw new Error(data.error || 'Unknown error from webhook');
         }
     } catch (error) {
-        googleSheetsResult.error = error.message;
-        console.error('❌ GOOGLE SHEETS ERROR:', error.message);
+        result.error = error.message;
+        log.error('❌ GOOGLE SHEETS ERROR:', error.message);
+        if (!result.rejected) reportClientError('webhook_error', error, { webhook: 'sheets' });
     }
 
-    // ========== SEND TO ZAPIER (BACKUP) ==========
+    return result;
+}
+
+/**
+ * Sends a payload to the Zapier webhook
+ * @returns {Promise<{success: boolean, error: string|null}>}
+ */
+async function sendToZapier(payload) {
+    const result = { success: false, error: null };
+
     try {
-        console.log('⚡ Sending to Zapier webhook...');
+        log.info('⚡ Sending to Zapier webhook...');
         
-        const response = await fetch(CONFIG.ZAPIER_WEBHOOK, {
+        const response = await fetchWithTimeout(CONFIG.ZAPIER_WEBHOOK, {
             method: 'POST',
             body: JSON.stringify(payload)
         });
 
-        console.log(`⚡ Zapier response status: ${response.status}`);
+        log.info(`⚡ Zapier response status: ${response.status}`);
 
         if (!response.ok) {
             throw new Error(`HTTP ${response.status}: ${response.statusText}`);
         }
 
         const data = await response.text();
-        console.log('⚡ Zapier response:', data);
+        log.debug('⚡ Zapier response:', data);
         
-        zapierResult.success = true;
-        console.log('✅ ZAPIER: Lead sent successfully');
+        result.success = true;
+        log.info('✅ ZAPIER: Lead sent successfully');
     } catch (error) {
-        zapierResult.error = error.message;
-        console.error('❌ ZAPIER ERROR:', error.message);
+        result.error = error.message;
+        log.error('❌ ZAPIER ERROR:', error.message);
+        reportClientError('webhook_error', error, { webhook: 'zapier' });
     }
 
-    // ========== FINAL STATUS ==========
-    const overallSuccess = googleSheetsResult.success || zapierResult.success;
+    return result;
+}
 
-    if (CONFIG.DEBUG) {
-        console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-        console.log('📋 SUBMISSION SUMMARY');
-        console.log(`   Google Sheets: ${googleSheetsResult.success ? '✅ SUCCESS' : '❌ FAILED'}`);
-        if (googleSheetsResult.error) console.log(`      Error: ${googleSheetsResult.error}`);
-        console.log(`   Zapier: ${zapierResult.success ? '✅ SUCCESS' : '❌ FAILED'}`);
-        if (zapierResult.error) console.log(`      Error: ${zapierResult.error}`);
-        console.log(`   Overall: ${overallSuccess ? '✅ AT LEAST ONE SUCCEEDED' : '❌ ALL FAILED'}`);
-        console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+// -------------------------------------------------
+//          FORM GUARD - Bot signals sent with each lead
+// -------------------------------------------------
+// The webhook rejects leads that fill the hidden honeypot field, finish
+// the quiz faster than a person could, or lack the signed token issued
+// to this page load. See screenLead() in GOOGLE_APPS_SCRIPT.gs.
+//
+// The token and start time are kept in sessionStorage, so a quiz resumed
+// after a reload is still timed from its first answer.
+
+const FORM_GUARD_STORAGE_KEY = 'doski_form_guard';
+const BROWSER_ID_STORAGE_KEY = 'doski_browser_id';
+
+// The webhook also times a lead from when its token was issued - keep in
+// step with MIN_COMPLETION_SECONDS in GOOGLE_APPS_SCRIPT.gs
+const FORM_TOKEN_MIN_AGE_MS = 8 * 1000;
+
+const formGuard = {
+    token: '',
+    tokenReceivedAt: 0,
+    quizStartedAt: 0
+};
+
+try {
+    Object.assign(formGuard, JSON.parse(sessionStorage.getItem(FORM_GUARD_STORAGE_KEY) || '{}'));
+} catch (error) {
+    // Storage unavailable - this page load gets its own token
+}
+
+function saveFormGuard() {
+    try {
+        sessionStorage.setItem(FORM_GUARD_STORAGE_KEY, JSON.stringify(formGuard));
+    } catch (error) {
+        // Not critical - the guard still works for this page load
     }
+}
 
-    // FAIL LOUDLY if both fail
-    if (!overallSuccess) {
-        console.error('🚨 CRITICAL: BOTH WEBHOOKS FAILED - LEAD NOT SAVED!');
-        return { 
-            success: false, 
-            error: 'Failed to save lead. Please try again or call us directly.',
-            details: { googleSheetsResult, zapierResult }
-        };
+/**
+ * Requests a signed page-load token from the webhook
+ * @returns {Promise<string>} - The token, or '' if it could not be fetched
+ */
+async function fetchFormToken() {
+    try {
+        const response = await fetchWithTimeout(CONFIG.GOOGLE_SHEETS_WEBHOOK + '?action=token', { method: 'GET' });
+        const data = await response.json();
+        formGuard.token = data.token || '';
+        formGuard.tokenReceivedAt = Date.now();
+        saveFormGuard();
+    } catch (error) {
+        log.warn('⚠️ Form token unavailable:', error.message);
     }
+    return formGuard.token;
+}
 
-    return { success: true, details: { googleSheetsResult, zapierResult } };
+/**
+ * Called by the quiz when the first question is answered
+ */
+function markQuizStarted() {
+    if (!formGuard.quizStartedAt) {
+        formGuard.quizStartedAt = Date.now();
+        saveFormGuard();
+    }
 }
 
-// Legacy function for backwards compatibility
-function sendLeadToZapier(userData) {
-    submitLead(userData);
-    return true;
+/**
+ * Random id kept for this browser, so visitors whose devices look alike
+ * don't share a fingerprint
+ */
+function getBrowserId() {
+    try {
+        let browserId = localStorage.getItem(BROWSER_ID_STORAGE_KEY);
+        if (!browserId) {
+            browserId = generateSubmissionId();
+            localStorage.setItem(BROWSER_ID_STORAGE_KEY, browserId);
+        }
+        return browserId;
+    } catch (error) {
+        window.doskiBrowserId = window.doskiBrowserId || generateSubmissionId();
+        return window.doskiBrowserId;
+    }
 }
 
-console.log("🚀 Script loaded - v4.0 (Enhanced Lead Submission)");
+/**
+ * Rough per-browser key the webhook rate-limits on, since Apps Script
+ * never sees the visitor's IP address
+ */
+function getClientFingerprint() {
+    const source = [
+        getBrowserId(),
+        navigator.userAgent,
+        navigator.language,
+        window.screen ? window.screen.width + 'x' + window.screen.height : '',
+        new Date().getTimezoneOffset()
+    ].join('|');
+
+    let hash = 5381;
+    for (let i = 0; i < source.length; i++) {
+        hash = ((hash << 5) + hash + source.charCodeAt(i)) >>> 0;
+    }
+    return hash.toString(36);
+}
 
-// -------------------------------------------------
-//          A/B TEST LOGIC - HEADLINE TEST (Test #2)
-// -------------------------------------------------
+/**
+ * Guard block for the lead payload
+ */
+async function getFormGuardPayload() {
+    const honeypot = document.getElementById('companyWebsite');
 
-(function initABTest() {
-    // Headlines for the test
-    const headlines = {
-        A: 'Binghamton — Set Up Your <span class="text-gradient">Dream Garage Floor</span> Today',
-        B: 'Binghamton — Set Up Your <span class="text-gradient">Dream Garage Floor</span> Today'
+    return {
+        token: formGuard.token || await fetchFormToken(),
+        elapsed_ms: formGuard.quizStartedAt ? Date.now() - formGuard.quizStartedAt : 0,
+        honeypot: honeypot ? honeypot.value : '',
+        client_id: getClientFingerprint()
     };
-    
-    function applyHeadline(v) {
-        const apply = function() {
-            const heroHeadline = document.getElementById('heroHeadline');
-            if (heroHeadline && v === 'B') {
-                heroHeadline.innerHTML = headlines.B;
-                console.log('🧪 Headline Test: Showing Variant B headline');
-            } else if (heroHeadline) {
-                console.log('🧪 Headline Test: Showing Variant A headline (control)');
-            }
-        };
-        
-        if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', apply);
-        } else {
-            apply();
-        }
-    }
-    
-    // Check for URL parameter override (for previewing variants)
-    const urlParams = new URLSearchParams(window.location.search);
-    const forceVariant = urlParams.get('variant');
-    
-    if (forceVariant === 'A' || forceVariant === 'B') {
-        window.abTestVariant = forceVariant;
-        console.log('🧪 Headline Test: FORCED to Variant', forceVariant, '(via URL)');
-        applyHeadline(forceVariant);
-        return;
-    }
-    
-    // Clear old test data to start fresh headline test
-    const currentTest = localStorage.getItem('ab_test_name');
-    if (currentTest !== 'headline_test_2') {
-        localStorage.removeItem('ab_test_variant');
-        localStorage.setItem('ab_test_name', 'headline_test_2');
-    }
-    
-    let variant = localStorage.getItem('ab_test_variant');
-    
-    if (!variant) {
-        variant = Math.random() < 0.5 ? 'A' : 'B';
-        localStorage.setItem('ab_test_variant', variant);
-        console.log('🧪 Headline Test: New visitor assigned to Variant', variant);
-    } else {
-        console.log('🧪 Headline Test: Returning visitor - Variant', variant);
-    }
-    
-    window.abTestVariant = variant;
-    applyHeadline(variant);
-    
-    if (typeof gtag === 'function') {
-        gtag('event', 'ab_test_variant', {
-            'event_category': 'A/B Test',
-            'event_label': 'Headline Test 2',
-            'value': variant === 'A' ? 0 : 1,
-            'variant': variant
-        });
-        console.log('🧪 Headline Test: Sent variant to Google Analytics');
-    }
-})();
+}
+
+if (!formGuard.token) {
+    fetchFormToken();
+}
 
 // -------------------------------------------------
-//          QUIZ LOGIC
+//          LEAD OUTBOX - Durable retry queue
 // -------------------------------------------------
+// Every lead is written to localStorage before it is sent and only
+// removed once both webhooks have accepted it. Failed destinations are
+// retried with exponential backoff, beaconed on pagehide and replayed
+// on the visitor's next page load.
+
+let memoryOutbox = [];
+let outboxPersistent = true;
+let outboxFlushing = false;
+let outboxTimer = null;
+const outboxInFlight = new Set(); // ids of entries being delivered right now
+
+function readOutbox() {
+    try {
+        const raw = localStorage.getItem(CONFIG.OUTBOX_STORAGE_KEY);
+        return raw ? JSON.parse(raw) : [];
+    } catch (error) {
+        outboxPersistent = false;
+        return memoryOutbox;
+    }
+}
 
-(function() {
-    'use strict';
+function writeOutbox(entries) {
+    memoryOutbox = entries;
+    try {
+        if (entries.length) {
+            localStorage.setItem(CONFIG.OUTBOX_STORAGE_KEY, JSON.stringify(entries));
+        } else {
+            localStorage.removeItem(CONFIG.OUTBOX_STORAGE_KEY);
+        }
+        outboxPersistent = true;
+    } catch (error) {
+        outboxPersistent = false;
+        log.warn('⚠️ Outbox could not be persisted, keeping it in memory:', error.message);
+    }
+}
 
-    let currentStep = 0;
-    let userData = {};
+function saveOutboxEntry(entry) {
+    const entries = readOutbox().filter(e => e.id !== entry.id);
+    const done = entry.delivered.sheets && entry.delivered.zapier;
+    writeOutbox(done ? entries : entries.concat(entry));
+}
 
-    const quizData = {
-        steps: ['step0', 'step1', 'step2', 'step3', 'step4', 'step5'],
-        progress: [0, 20, 40, 60, 80, 100]
+/**
+ * Queues a lead payload for delivery
+ * @returns {Object} - The outbox entry
+ */
+function enqueueLead(payload) {
+    const entry = {
+        id: payload.submission_id,
+        payload: payload,
+        createdAt: Date.now(),
+        attempts: 0,
+        nextAttemptAt: Date.now() + CONFIG.OUTBOX_RETRY_BASE_MS,
+        delivered: { sheets: false, zapier: false }
     };
+    saveOutboxEntry(entry);
+    return entry;
+}
 
-    function initQuiz() {
-        const quizOptions = document.querySelectorAll('.quiz-option[data-answer]');
-        const nextButtons = document.querySelectorAll('.quiz-btn-next');
-
-        quizOptions.forEach(option => {
-            option.addEventListener('click', function(e) {
-                e.preventDefault();
-                e.stopPropagation();
-                handleInitialQuestion.call(this, e);
-            });
-        });
-
-        nextButtons.forEach((btn, index) => {
-            btn.addEventListener('click', function(e) {
-                e.preventDefault();
-                e.stopPropagation();
-                handleNextStep(index + 1);
-            });
-        });
+function getRetryDelay(attempts) {
+    const delay = CONFIG.OUTBOX_RETRY_BASE_MS * Math.pow(2, Math.max(0, attempts - 1));
+    return Math.min(delay, CONFIG.OUTBOX_RETRY_MAX_MS);
+}
 
-        const inputs = document.querySelectorAll('.quiz-input');
-        inputs.forEach((input, index) => {
-            input.addEventListener('keypress', (e) => {
-                if (e.key === 'Enter') {
-                    e.preventDefault();
-                    handleNextStep(index + 1);
-                }
-            });
-        });
+/**
+ * Attempts delivery of every destination the entry has not reached yet.
+ * While it runs the entry is marked in flight, so a flush doesn't send
+ * it a second time (a first delivery can outlast its retry delay).
+ * @returns {Promise<Object>} - Per-destination results
+ */
+async function deliverOutboxEntry(entry) {
+    outboxInFlight.add(entry.id);
+    try {
+        return await sendOutboxEntry(entry);
+    } finally {
+        outboxInFlight.delete(entry.id);
     }
+}
 
-    function handleInitialQuestion(e) {
-        if (e) {
-            e.preventDefault();
-            e.stopPropagation();
-        }
-
-        const answer = this.getAttribute('data-answer');
+async function sendOutboxEntry(entry) {
+    const wasInSheet = entry.delivered.sheets;
+    const results = {
+        googleSheetsResult: { success: entry.delivered.sheets, error: null },
+        zapierResult: { success: entry.delivered.zapier, error: null }
+    };
 
-        if (answer === 'no') {
-            alert('We primarily work with homeowners.');
-            return;
+    // Leads queued before a token was available borrow this page's token.
+    // A token that new would fail the webhook's timing check, so the
+    // replay waits until it is old enough.
+    const guard = entry.payload.guard;
+    if (guard && !guard.token && !entry.delivered.sheets) {
+        guard.token = formGuard.token || await fetchFormToken();
+        const readyAt = formGuard.tokenReceivedAt + FORM_TOKEN_MIN_AGE_MS;
+        if (guard.token && readyAt > Date.now()) {
+            log.info(`📮 Holding queued lead ${entry.id} until its form token is old enough`);
+            entry.nextAttemptAt = readyAt;
+            saveOutboxEntry(entry);
+            results.googleSheetsResult.error = 'Waiting for form token';
+            return results;
         }
+    }
 
-        document.querySelectorAll('.quiz-option').forEach(opt => {
-            opt.classList.remove('quiz-option-primary');
-        });
+    if (!entry.delivered.sheets) {
+        // Without a token the webhook would reject the lead as spam - retry later
+        results.googleSheetsResult = guard && !guard.token
+            ? { success: false, duplicate: false, reason: null, rejected: false, error: 'No form token' }
+            : await sendToGoogleSheets(entry.payload);
+        entry.delivered.sheets = results.googleSheetsResult.success;
+    }
 
-        this.classList.add('quiz-option-primary');
+    // Screened out as spam - don't retry and don't forward to Zapier
+    if (results.googleSheetsResult.rejected) {
+        results.zapierResult = { success: false, skipped: true, error: 'Rejected by webhook' };
+        entry.delivered.sheets = true;
+        entry.delivered.zapier = true;
+    }
 
-        userData.homeowner = answer;
-        
-        setTimeout(() => {
-            makeQuizSticky();
-            showStep(1);
-        }, 300);
+    // The same person sending the quiz again was forwarded to Zapier with
+    // their first lead. A submission_id match is this lead being replayed
+    // (e.g. the first reply was lost), so it may never have reached Zapier.
+    const repeatLead = results.googleSheetsResult.duplicate &&
+        results.googleSheetsResult.reason !== 'submission_id';
+    if (!entry.delivered.zapier && repeatLead) {
+        log.info('⚡ Zapier skipped - duplicate lead');
+        results.zapierResult = { success: true, skipped: true, error: null };
+        entry.delivered.zapier = true;
     }
 
-    function makeQuizSticky() {
-        const quizCard = document.getElementById('quizCard');
-        const body = document.body;
-        
-        const overlay = document.createElement('div');
-        overlay.id = 'quiz-overlay';
-        overlay.className = 'quiz-sticky-overlay';
-        
-        quizCard.classList.add('quiz-sticky-active');
-        body.classList.add('quiz-modal-open');
-        
-        quizCard.parentNode.insertBefore(overlay, quizCard);
-        
-        console.log('✅ Quiz is now sticky - user locked in!');
+    if (!entry.delivered.zapier) {
+        results.zapierResult = await sendToZapier(entry.payload);
+        entry.delivered.zapier = results.zapierResult.success;
     }
 
-    let isSubmitting = false;
+    entry.attempts += 1;
+    entry.nextAttemptAt = Date.now() + getRetryDelay(entry.attempts);
+    saveOutboxEntry(entry);
 
-    async function handleNextStep(stepIndex) {
-        if (isSubmitting && stepIndex === 4) {
-            console.log("⚠️ Submission already in progress...");
-            return;
-        }
+    // The booking widget waits for this - bookings are matched to the sheet's row
+    if (!wasInSheet && results.googleSheetsResult.success) {
+        window.dispatchEvent(new CustomEvent('leadsaved', { detail: { submissionId: entry.id } }));
+    }
 
-        const input = getInputForStep(stepIndex);
-        if (!input) return;
+    return results;
+}
 
-        const value = input.value.trim();
-        
-        if (!value || value.length === 0) {
-            input.focus();
-            input.style.borderColor = '#ef4444';
-            input.placeholder = stepIndex === 1 ? 'Please enter your name' : 
-                               stepIndex === 2 ? 'Please enter your zip code' :
-                               stepIndex === 3 ? 'Please enter a valid email' :
-                               'Please enter your phone number';
-            setTimeout(() => {
-                input.style.borderColor = '';
-                input.placeholder = stepIndex === 1 ? 'Enter your name' : 
-                                   stepIndex === 2 ? 'Enter zip code' :
-                                   stepIndex === 3 ? 'your@email.com' :
-                                   '(607) 123-4567';
-            }, 2000);
-            return;
-        }
+/**
+ * True once the Google Sheet has the lead (it is no longer waiting in
+ * the outbox for Sheets delivery)
+ */
+function isLeadInSheet(submissionId) {
+    return !readOutbox().some(entry => entry.id === submissionId && !entry.delivered.sheets);
+}
 
-        if (stepIndex === 1 && value.length < 2) {
-            input.focus();
-            input.style.borderColor = '#ef4444';
-            input.placeholder = 'Name must be at least 2 characters';
-            setTimeout(() => {
-                input.style.borderColor = '';
-                input.placeholder = 'Enter your name';
-            }, 2000);
-            return;
-        }
+/**
+ * Retries every queued lead that is due, then schedules the next run
+ */
+async function flushOutbox() {
+    if (outboxFlushing) return;
+    outboxFlushing = true;
 
-        if (stepIndex === 2) {
-            const zipRegex = /^\d{5}$/;
-            if (!zipRegex.test(value)) {
-                input.focus();
-                input.style.borderColor = '#ef4444';
-                input.placeholder = 'Please enter a valid 5-digit zip code';
-                setTimeout(() => {
-                    input.style.borderColor = '';
-                    input.placeholder = 'Enter zip code';
-                }, 2000);
-                return;
-            }
+    try {
+        const now = Date.now();
+        const entries = readOutbox();
+        const expired = entries.filter(e => now - e.createdAt > CONFIG.OUTBOX_MAX_AGE_MS);
+        if (expired.length) {
+            log.warn(`⚠️ Dropping ${expired.length} expired lead(s) from outbox`);
+            writeOutbox(entries.filter(e => expired.indexOf(e) === -1));
         }
 
-        if (stepIndex === 3) {
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            if (!emailRegex.test(value)) {
-                input.focus();
-                input.style.borderColor = '#ef4444';
-                input.placeholder = 'Please enter a valid email';
-                setTimeout(() => {
-                    input.style.borderColor = '';
-                    input.placeholder = 'your@email.com';
-                }, 2000);
-                return;
-            }
+        for (const entry of readOutbox()) {
+            if (entry.nextAttemptAt > now || outboxInFlight.has(entry.id)) continue;
+            log.info(`📮 Retrying queued lead ${entry.id} (attempt ${entry.attempts + 1})`);
+            await deliverOutboxEntry(entry);
         }
+    } finally {
+        outboxFlushing = false;
+        scheduleOutboxFlush();
+    }
+}
 
-        if (stepIndex === 4) {
-            const phoneRegex = /[\d\(\)\-\s]{10,}/;
-            if (!phoneRegex.test(value)) {
-                input.focus();
-                input.style.borderColor = '#ef4444';
-                input.placeholder = 'Please enter a valid phone number';
-                setTimeout(() => {
-                    input.style.borderColor = '';
-                    input.placeholder = '(607) 123-4567';
-                }, 2000);
-                return;
-            }
-        }
+function scheduleOutboxFlush() {
+    clearTimeout(outboxTimer);
+    // Entries in flight are rescheduled once their delivery finishes
+    const entries = readOutbox().filter(e => !outboxInFlight.has(e.id));
+    if (!entries.length) return;
 
-        if (stepIndex === 1) {
-            userData.name = value;
-            updatePersonalizedMessages(value);
-        } else if (stepIndex === 2) {
-            userData.zip = value;
-        } else if (stepIndex === 3) {
-            userData.email = value;
-        } else if (stepIndex === 4) {
-            userData.phone = value;
-
-            // Set loading state
-            isSubmitting = true;
-            const btn = document.querySelector('.quiz-btn-next');
-            const originalText = btn ? btn.textContent : '';
-            if (btn) {
-                btn.disabled = true;
-                btn.style.opacity = '0.6';
-                btn.textContent = '⏳ Submitting...';
-            }
+    const nextAt = Math.min.apply(null, entries.map(e => e.nextAttemptAt));
+    outboxTimer = setTimeout(flushOutbox, Math.max(0, nextAt - Date.now()));
+}
 
-            // SUBMIT LEAD
-            const result = await submitLead(userData);
-            
-            if (!result.success) {
-                isSubmitting = false;
-                if (btn) {
-                    btn.disabled = false;
-                    btn.style.opacity = '1';
-                    btn.textContent = originalText;
-                }
-                console.error("❌ Failed to submit lead:", result.error);
-                alert(result.error || "There was an error submitting your information. Please try again or call us directly.");
+/**
+ * Last-chance delivery while the page is being unloaded. Beacons give no
+ * response, so Google Sheets stays queued (the webhook ignores repeated
+ * submission ids). Zapier cannot de-duplicate, so a beaconed Zapier
+ * delivery is treated as done, and entries still being delivered are
+ * left to that delivery (or to the next visit's replay).
+ */
+function beaconOutbox() {
+    if (!navigator.sendBeacon) return;
+
+    readOutbox().forEach(entry => {
+        if (outboxInFlight.has(entry.id)) return;
+
+        const body = new Blob([JSON.stringify(entry.payload)], { type: 'text/plain' });
+
+        if (!entry.delivered.sheets) {
+            navigator.sendBeacon(CONFIG.GOOGLE_SHEETS_WEBHOOK, body);
+        }
+        if (!entry.delivered.zapier && navigator.sendBeacon(CONFIG.ZAPIER_WEBHOOK, body)) {
+            entry.delivered.zapier = true;
+            saveOutboxEntry(entry);
+        }
+    });
+}
+
+window.addEventListener('pagehide', beaconOutbox);
+window.addEventListener('online', flushOutbox);
+setTimeout(flushOutbox, 0); // Replay anything left over from a previous visit
+
+/**
+ * Main lead submission function - sends via POST to webhook
+ * @param {Object} userData - User data from quiz
+ * @returns {Promise<Object>} - Success status
+ */
+async function submitLead(userData) {
+    // VALIDATION: Ensure all required fields
+    const requiredFields = ['name', 'zip', 'email', 'phone'];
+    for (const field of requiredFields) {
+        if (!userData[field] || !userData[field].trim()) {
+            log.error(`❌ BLOCKED: Missing required field: ${field}`, userData);
+            reportClientError('lead_failed', `Missing required field: ${field}`, { outcome: 'blocked' });
+            return { success: false, error: `Missing required field: ${field}` };
+        }
+    }
+
+    // Phone validation lives in phone.js, shared with the webhook
+    const phone = parsePhone(userData.phone);
+    if (!phone.valid) {
+        log.error(`❌ BLOCKED: Invalid phone number (${phone.reason})`);
+        reportClientError('lead_failed', `Invalid phone number (${phone.reason})`, { outcome: 'blocked' });
+        return { success: false, error: 'Please enter a valid phone number' };
+    }
+
+    // Parse name into first/last
+    const { first_name, last_name } = splitName(userData.name);
+    const optional = field => (userData[field] || '').trim();
+    const consent = userData.call_consent || {};
+
+    // Build the payload - project fields follow ZAPIER_AUTOMATION_SPEC.md
+    const payload = {
+        submission_id: generateSubmissionId(),
+        session_id: getSessionId(),
+        first_name: first_name,
+        last_name: last_name,
+        full_name: userData.name.trim(),
+        phone: phone.e164,
+        phone_extension: phone.extension,
+        email: userData.email.trim().toLowerCase(),
+        street: optional('street'),
+        city: optional('city'),
+        state: optional('state'),
+        zip: userData.zip.trim(),
+        project_type: optional('project_type'),
+        approx_sqft: userData.approx_sqft === 'custom' ? optional('sqft_custom') : optional('approx_sqft'),
+        surface_condition: optional('surface_condition'),
+        finish_type: optional('finish_type'),
+        estimate_low: userData.estimate_low || '',
+        estimate_high: userData.estimate_high || '',
+        timeline: optional('timeline'),
+        owns_home: userData.homeowner === 'no' ? 'No' : 'Yes',
+        notes: optional('notes'),
+        out_of_area: userData.in_service_area === false,
+        service_zone: userData.service_zone || '',
+        market: MARKET.id,
+        consent_text: consent.text || '',
+        consent_version: consent.version || '',
+        consent_timestamp: consent.timestamp || '',
+        consent_url: consent.url || '',
+        tracking_consent: getTrackingConsent(),
+        quiz_answers: JSON.stringify({
+            homeowner: userData.homeowner || 'yes',
+            ab_variant: window.abTestVariant || 'unknown'
+        }),
+        experiments: getExperimentPayload(),
+        attribution: getAttributionPayload(),
+        guard: await getFormGuardPayload(),
+        user_agent: navigator.userAgent,
+        page_url: window.location.href,
+        timestamp: new Date().toISOString()
+    };
+
+    log.debug('📤 Submitting lead:', payload);
+
+    // Queue first so the lead survives a failed request or a closed tab
+    const entry = enqueueLead(payload);
+    const { googleSheetsResult, zapierResult } = await deliverOutboxEntry(entry);
+    scheduleOutboxFlush();
+
+    // ========== FINAL STATUS ==========
+    const overallSuccess = googleSheetsResult.success || zapierResult.success;
+    const queued = !overallSuccess && !googleSheetsResult.rejected && outboxPersistent;
+
+    log.debug('📋 Submission summary:', {
+        googleSheets: googleSheetsResult.success ? 'success' : googleSheetsResult.error,
+        zapier: zapierResult.success ? 'success' : zapierResult.error,
+        overall: overallSuccess ? 'saved' : queued ? 'queued for retry' : 'failed'
+    });
+
+    if (overallSuccess || queued) {
+        trackExperimentConversion('lead');
+        markVisitorConverted('lead');
+    }
+
+    // Both failed but the lead is safely queued - it will be retried
+    if (queued) {
+        log.warn('📮 Both webhooks failed - lead queued in outbox for retry');
+        reportClientError('lead_failed', 'Both webhooks failed', {
+            outcome: 'queued',
+            sheets_error: googleSheetsResult.error,
+            zapier_error: zapierResult.error
+        });
+        return { success: true, queued: true, submissionId: payload.submission_id, details: { googleSheetsResult, zapierResult } };
+    }
+
+    if (googleSheetsResult.rejected) {
+        log.error('🚫 Lead rejected by webhook:', googleSheetsResult.error);
+        reportClientError('lead_failed', googleSheetsResult.error, { outcome: 'rejected' });
+        return {
+            success: false,
+            rejected: true,
+            error: "We couldn't submit your request online. Please call us directly.",
+            details: { googleSheetsResult, zapierResult }
+        };
+    }
+
+    // FAIL LOUDLY if both fail and the lead could not be persisted
+    if (!overallSuccess) {
+        log.error('🚨 CRITICAL: BOTH WEBHOOKS FAILED - LEAD NOT SAVED!');
+        reportClientError('lead_failed', 'Both webhooks failed', {
+            outcome: 'lost',
+            sheets_error: googleSheetsResult.error,
+            zapier_error: zapierResult.error
+        });
+        writeOutbox(readOutbox().filter(e => e.id !== entry.id)); // Visitor will resubmit
+        return { 
+            success: false, 
+            error: 'Failed to save lead. Please try again or call us directly.',
+            details: { googleSheetsResult, zapierResult }
+        };
+    }
+
+    return { success: true, submissionId: payload.submission_id, details: { googleSheetsResult, zapierResult } };
+}
+
+/**
+ * Records the answers given so far as a partial lead, so visitors who
+ * drop off mid-quiz can still be followed up. Fire-and-forget: a lost
+ * partial update is replaced by the next one or by the full lead.
+ * @param {Object} userData - Answers collected so far
+ * @param {string} stepId - The step that was just completed
+ */
+function submitPartialLead(userData, stepId) {
+    const payload = {
+        type: 'partial',
+        session_id: getSessionId(),
+        client_id: getClientFingerprint(),
+        step: stepId,
+        answers: Object.assign({}, userData),
+        page_url: window.location.href,
+        timestamp: new Date().toISOString()
+    };
+    beaconToSheets(payload).catch(error => {
+        log.warn('⚠️ Partial lead not recorded:', error.message);
+    });
+}
+
+/**
+ * Fire-and-forget POST to the Sheets webhook that survives the page
+ * being closed
+ * @returns {Promise<void>} Rejects only if the fallback fetch fails
+ */
+function beaconToSheets(payload) {
+    const body = JSON.stringify(payload);
+
+    if (navigator.sendBeacon && navigator.sendBeacon(CONFIG.GOOGLE_SHEETS_WEBHOOK, new Blob([body], { type: 'text/plain' }))) {
+        return Promise.resolve();
+    }
+
+    return fetch(CONFIG.GOOGLE_SHEETS_WEBHOOK, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/plain' },
+        body: body,
+        keepalive: true
+    }).then(() => {});
+}
+
+// Legacy function for backwards compatibility
+function sendLeadToZapier(userData) {
+    submitLead(userData);
+    return true;
+}
+
+log.info("🚀 Script loaded - v4.0 (Enhanced Lead Submission)");
+
+// -------------------------------------------------
+//          ANALYTICS - One event layer for gtag, Meta Pixel and Clarity
+// -------------------------------------------------
+// Every tracking call goes through track(name, params). Events have to
+// be in ANALYTICS_EVENTS, which says where each one is sent:
+//   category - GA4 event_category
+//   gtag     - true to send under the same name, or the GA4 name to use
+//   fbq      - Meta Pixel standard event it maps to, if any
+//   clarity  - also mark the Clarity session with it
+//
+// GA4 events carry the common context - session_id, market, variant
+// and the quiz step - next to their own params (see
+// setAnalyticsContext). Events fired before a provider's snippet has
+// defined it are queued, and sent by flushAnalyticsQueue once it has -
+// the snippets are only loaded with the visitor's consent (see CONSENT),
+// and nothing is kept once they decline.
+//
+// Debug mode (?analytics_debug=1, kept for the tab; ?analytics_debug=0
+// turns it off) collects the stream in analyticsDebugLog instead of
+// sending anything, and logs it at the debug level (add ?log=debug).
+
+const ANALYTICS_EVENTS = {
+    experiment_exposure:    { category: 'A/B Test', gtag: true, clarity: true },
+    experiment_conversion:  { category: 'A/B Test', gtag: true },
+    quiz_start:             { category: 'Quiz', gtag: true, clarity: true },
+    quiz_step_complete:     { category: 'Quiz', gtag: true },
+    quiz_validation_error:  { category: 'Quiz', gtag: true, clarity: true },
+    lead:                   { category: 'Quiz', gtag: 'generate_lead', fbq: 'Lead', clarity: true },
+    cta_click:              { category: 'CTA', gtag: true },
+    call_click:             { category: 'CTA', gtag: true, fbq: 'Contact', clarity: true },
+    exit_intent_shown:      { category: 'Exit Intent', gtag: true, clarity: true },
+    exit_intent_dismissed:  { category: 'Exit Intent', gtag: true },
+    exit_intent_call_click: { category: 'Exit Intent', gtag: true },
+    booking_confirmed:      { category: 'Booking', gtag: true, fbq: 'Schedule', clarity: true }
+};
+
+const ANALYTICS = {
+    DEBUG_STORAGE_KEY: 'doski_analytics_debug',
+    MAX_QUEUE: 100
+};
+
+// Senders, by provider. ready() is true once the page's snippet has
+// defined the global - the snippets queue calls until their library loads.
+const ANALYTICS_PROVIDERS = {
+    gtag: {
+        ready: () => typeof window.gtag === 'function',
+        send: event => window.gtag('event', event.definition.gtag === true ? event.name : event.definition.gtag,
+            Object.assign({ 'event_category': event.definition.category }, event.context, event.params))
+    },
+    fbq: {
+        ready: () => typeof window.fbq === 'function',
+        send: event => event.options.eventId
+            ? window.fbq('track', event.definition.fbq, event.params, { eventID: event.options.eventId })
+            : window.fbq('track', event.definition.fbq, event.params)
+    },
+    clarity: {
+        ready: () => typeof window.clarity === 'function',
+        send: event => {
+            ['market', 'variant'].forEach(key => {
+                if (event.context[key]) window.clarity('set', key, String(event.context[key]));
+            });
+            window.clarity('event', event.name);
+        }
+    }
+};
+
+const analyticsContext = {};
+const analyticsQueue = [];
+const analyticsDebugLog = [];
+
+const ANALYTICS_DEBUG = (function() {
+    try {
+        const param = new URLSearchParams(window.location.search).get('analytics_debug');
+        if (param === '1') sessionStorage.setItem(ANALYTICS.DEBUG_STORAGE_KEY, '1');
+        if (param === '0') sessionStorage.removeItem(ANALYTICS.DEBUG_STORAGE_KEY);
+        return sessionStorage.getItem(ANALYTICS.DEBUG_STORAGE_KEY) === '1';
+    } catch (error) {
+        return false;
+    }
+})();
+
+/**
+ * Adds to the context sent with every event, e.g. { step: 'stepZip' }
+ */
+function setAnalyticsContext(values) {
+    Object.assign(analyticsContext, values);
+}
+
+function getAnalyticsContext() {
+    const assignments = getExperimentAssignments();
+    return Object.assign({
+        session_id: getSessionId(),
+        variant: Object.keys(assignments).map(id => id + ':' + assignments[id]).join(',')
+    }, analyticsContext);
+}
+
+/**
+ * Sends an event to every provider it's meant for
+ * @param {string} name - A key of ANALYTICS_EVENTS
+ * @param {Object} [params] - Event parameters
+ * @param {Object} [options] - eventId: shared with the webhook's
+ *   server-side event so Meta can dedupe the two
+ */
+function track(name, params, options) {
+    const definition = ANALYTICS_EVENTS[name];
+    if (!definition) {
+        log.warn(`⚠️ Untracked event "${name}" - add it to ANALYTICS_EVENTS`);
+        return;
+    }
+
+    const event = {
+        name: name,
+        definition: definition,
+        params: params || {},
+        options: options || {},
+        context: getAnalyticsContext(),
+        pending: Object.keys(ANALYTICS_PROVIDERS).filter(provider => definition[provider])
+    };
+
+    if (ANALYTICS_DEBUG) {
+        analyticsDebugLog.push({ name: name, params: event.params, context: event.context, providers: event.pending });
+        log.debug(`📈 [debug] ${name} -> ${event.pending.join(', ') || 'nowhere'}`, event.params, event.context);
+        return;
+    }
+
+    if (getTrackingConsent() === 'declined') return;
+
+    analyticsQueue.push(event);
+    if (analyticsQueue.length > ANALYTICS.MAX_QUEUE) analyticsQueue.shift();
+    flushAnalyticsQueue();
+}
+
+/**
+ * Sends queued events to the providers that are now ready
+ */
+function flushAnalyticsQueue() {
+    for (let i = 0; i < analyticsQueue.length; i++) {
+        const event = analyticsQueue[i];
+        event.pending = event.pending.filter(provider => {
+            const sender = ANALYTICS_PROVIDERS[provider];
+            if (!sender.ready()) return true;
+            try {
+                sender.send(event);
+            } catch (error) {
+                log.warn(`⚠️ ${provider} could not send ${event.name}:`, error.message);
+            }
+            return false;
+        });
+        if (!event.pending.length) {
+            analyticsQueue.splice(i, 1);
+            i--;
+        }
+    }
+}
+
+window.addEventListener('load', flushAnalyticsQueue);
+
+// Taps on any phone number, wherever it is on the page
+document.addEventListener('click', function(e) {
+    const link = e.target.closest && e.target.closest('a[href^="tel:"]');
+    if (!link) return;
+
+    let location = 'page';
+    if (link.closest('#exitPopup')) location = 'exit_popup';
+    else if (link.closest('.quiz-success')) location = 'thank_you';
+    track('call_click', { link_location: location });
+});
+
+// -------------------------------------------------
+//          CONSENT - Call/text consent and the tracking banner
+// -------------------------------------------------
+// Two separate choices:
+//   - Call/text consent is a checkbox on the phone step. The exact
+//     wording and its version go with the lead, along with when and on
+//     which page it was given - bump CALL_CONSENT_VERSION whenever the
+//     wording changes.
+//   - Tracking consent comes from the banner. gtag, the Meta Pixel and
+//     Clarity are only loaded once the visitor accepts; until then
+//     track() holds events in its queue, and declining drops them. The
+//     choice is remembered, and asked again if TRACKING_VERSION changes.
+
+const CONSENT = {
+    CALL_CONSENT_VERSION: '2026-10-18',
+    CALL_CONSENT_TEXT: "By checking this box, I agree that Doski Concrete Coatings may call and text me at the number above about my quote, including with automated technology. Consent isn't a condition of purchase. Msg & data rates may apply. Reply STOP to opt out.",
+    TRACKING_STORAGE_KEY: 'doski_tracking_consent',
+    TRACKING_VERSION: 1
+};
+
+const TRACKING_IDS = {
+    GA4: 'G-H81EX5X5E4',
+    META_PIXEL: '887238413136374',
+    CLARITY: 'u8qhio31qs'
+};
+
+let trackingScriptsLoaded = false;
+
+/**
+ * Record of the call/text consent the visitor has just given
+ */
+function getCallConsent() {
+    return {
+        text: CONSENT.CALL_CONSENT_TEXT,
+        version: CONSENT.CALL_CONSENT_VERSION,
+        timestamp: new Date().toISOString(),
+        url: window.location.href
+    };
+}
+
+/**
+ * @returns {string|null} 'accepted', 'declined', or null if the visitor hasn't chosen
+ */
+function getTrackingConsent() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(CONSENT.TRACKING_STORAGE_KEY) || 'null');
+        return stored && stored.version === CONSENT.TRACKING_VERSION ? stored.choice : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Remembers the banner choice and acts on it
+ * @param {string} choice - 'accepted' or 'declined'
+ */
+function setTrackingConsent(choice) {
+    try {
+        localStorage.setItem(CONSENT.TRACKING_STORAGE_KEY, JSON.stringify({
+            choice: choice,
+            version: CONSENT.TRACKING_VERSION,
+            at: new Date().toISOString()
+        }));
+    } catch (error) {
+        log.warn('⚠️ Could not save tracking choice:', error.message);
+    }
+
+    if (choice === 'accepted') {
+        loadTrackingScripts();
+    } else {
+        analyticsQueue.length = 0;
+    }
+    log.info(`🍪 Tracking ${choice}`);
+}
+
+/**
+ * Loads gtag, the Meta Pixel and Clarity. Each snippet defines its
+ * global as a queue straight away, so events can be sent while the
+ * library itself is still downloading.
+ */
+function loadTrackingScripts() {
+    if (trackingScriptsLoaded) return;
+    trackingScriptsLoaded = true;
+
+    window.dataLayer = window.dataLayer || [];
+    window.gtag = function() { window.dataLayer.push(arguments); };
+    window.gtag('js', new Date());
+    window.gtag('config', TRACKING_IDS.GA4);
+    loadTrackingScript('https://www.googletagmanager.com/gtag/js?id=' + TRACKING_IDS.GA4);
+
+    if (!window.fbq) {
+        const fbq = window.fbq = function() {
+            fbq.callMethod ? fbq.callMethod.apply(fbq, arguments) : fbq.queue.push(arguments);
+        };
+        if (!window._fbq) window._fbq = fbq;
+        fbq.push = fbq;
+        fbq.loaded = true;
+        fbq.version = '2.0';
+        fbq.queue = [];
+        loadTrackingScript('https://connect.facebook.net/en_US/fbevents.js');
+    }
+    window.fbq('init', TRACKING_IDS.META_PIXEL);
+    window.fbq('track', 'PageView');
+
+    window.clarity = window.clarity || function() {
+        (window.clarity.q = window.clarity.q || []).push(arguments);
+    };
+    loadTrackingScript('https://www.clarity.ms/tag/' + TRACKING_IDS.CLARITY);
+
+    flushAnalyticsQueue();
+}
+
+function loadTrackingScript(src) {
+    const script = document.createElement('script');
+    script.async = true;
+    script.src = src;
+    document.head.appendChild(script);
+}
+
+// Returning visitors who said yes get tracking before anything else runs
+if (getTrackingConsent() === 'accepted') loadTrackingScripts();
+
+(function() {
+    'use strict';
+
+    function initConsentBanner() {
+        const banner = document.getElementById('consentBanner');
+        if (!banner || getTrackingConsent()) return;
+
+        banner.querySelectorAll('[data-consent]').forEach(button => {
+            button.addEventListener('click', function() {
+                setTrackingConsent(button.getAttribute('data-consent'));
+                banner.hidden = true;
+            });
+        });
+        banner.hidden = false;
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initConsentBanner);
+    } else {
+        initConsentBanner();
+    }
+})();
+
+// -------------------------------------------------
+//          MARKETS - One page for every town we advertise in
+// -------------------------------------------------
+// The market comes from ?market=<id> or the first path segment
+// (/ithaca - see the rewrites in vercel.json). Anything else gets
+// DEFAULT_MARKET.
+//
+//   id           - route and ?market= value; sent with the lead
+//   city         - the town named in headlines and copy
+//   phone        - E.164 number for the call buttons
+//   owner        - who picks up when they call
+//   offer        - the call-now discount, e.g. "10% off"
+//   zips         - ZIPs the market covers; recent jobs from these
+//                  towns are shown first in the social-proof popup
+//   testimonials - optional { title, text, name } list replacing the
+//                  reviews section
+//
+// Page copy marks what changes per market with data-market="city",
+// "owner", "offer" or "phone" (text) and data-market-href="tel" (call
+// links). Experiment variants and the waitlist share subject can use
+// {city}, {owner}, {offer} and {phone}. Claims that belong to the
+// Binghamton shop (install counts, ratings) are left as written.
+// Whether a ZIP is served is still decided by service-area.js, so every
+// market page accepts the whole service area.
+
+const MARKETS = {
+    binghamton: {
+        id: 'binghamton',
+        city: 'Binghamton',
+        phone: '+16077271214',
+        owner: 'Rami',
+        offer: '10% off',
+        zips: ['13901', '13902', '13903', '13904', '13905', '13790', '13760', '13850']
+    },
+    ithaca: {
+        id: 'ithaca',
+        city: 'Ithaca',
+        phone: '+16077271214',              // Main line until Ithaca has its own
+        owner: 'Rami',
+        offer: '10% off',
+        zips: ['14850']
+    },
+    elmira: {
+        id: 'elmira',
+        city: 'Elmira',
+        phone: '+16077271214',              // Main line until Elmira has its own
+        owner: 'Rami',
+        offer: '10% off',
+        zips: ['14901', '14903', '14904', '14905', '14845']
+    }
+};
+
+const DEFAULT_MARKET = 'binghamton';
+
+/**
+ * Picks the market for a page address
+ * @param {{search: string, pathname: string}} location
+ * @returns {Object} - An entry of MARKETS
+ */
+function resolveMarket(location) {
+    const param = new URLSearchParams(location.search).get('market');
+    const segment = location.pathname.split('/').filter(Boolean)[0];
+    const id = [param, segment]
+        .map(value => String(value || '').toLowerCase())
+        .find(value => MARKETS.hasOwnProperty(value));
+    return MARKETS[id || DEFAULT_MARKET];
+}
+
+const MARKET = resolveMarket(window.location);
+setAnalyticsContext({ market: MARKET.id });
+
+/**
+ * Market value for a data-market key; phone is formatted for display
+ */
+function getMarketValue(key) {
+    if (key === 'phone') return formatPhoneInput(MARKET.phone);
+    return MARKET[key] || '';
+}
+
+/**
+ * Replaces {city}, {owner}, {offer} and {phone} with the market's values
+ */
+function fillMarketText(text) {
+    return String(text).replace(/\{(city|owner|offer|phone)\}/g, (match, key) => getMarketValue(key));
+}
+
+/**
+ * Towns covered by the market, lowercased
+ */
+function getMarketTowns() {
+    return (MARKET.zips || [])
+        .map(zip => SERVICE_AREA_ZIPS[zip])
+        .filter(Boolean)
+        .map(entry => entry.city.toLowerCase());
+}
+
+/**
+ * Finds elements in the page and in <template>s, so steps rendered
+ * later (e.g. the quiz thank-you step) are covered too
+ */
+function findInPageAndTemplates(selector) {
+    const found = Array.from(document.querySelectorAll(selector));
+    document.querySelectorAll('template').forEach(template => {
+        found.push.apply(found, Array.from(template.content.querySelectorAll(selector)));
+    });
+    return found;
+}
+
+(function initMarket() {
+    function renderTestimonials(grid) {
+        grid.innerHTML = '';
+        MARKET.testimonials.forEach(testimonial => {
+            const card = document.createElement('div');
+            card.className = 'proof-card';
+            card.innerHTML = '<div class="proof-stars">★★★★★</div><h3></h3><p></p><div class="proof-name"></div>';
+            card.querySelector('h3').textContent = '"' + testimonial.title + '"';
+            card.querySelector('p').textContent = testimonial.text;
+            card.querySelector('.proof-name').textContent = '— ' + testimonial.name;
+            grid.appendChild(card);
+        });
+    }
+
+    function applyMarket() {
+        document.documentElement.setAttribute('data-current-market', MARKET.id);
+
+        findInPageAndTemplates('[data-market]').forEach(el => {
+            el.textContent = getMarketValue(el.getAttribute('data-market'));
+        });
+        findInPageAndTemplates('[data-market-href="tel"]').forEach(el => {
+            el.setAttribute('href', 'tel:' + MARKET.phone);
+        });
+
+        const grid = document.getElementById('proofGrid');
+        if (grid && MARKET.testimonials && MARKET.testimonials.length) {
+            renderTestimonials(grid);
+        }
+
+        log.info(`📍 Market: ${MARKET.city} (${MARKET.id})`);
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', applyMarket);
+    } else {
+        applyMarket();
+    }
+})();
+
+// -------------------------------------------------
+//          A/B TESTING - Experiment registry
+// -------------------------------------------------
+// Several experiments can run at once. Each visitor is assigned one
+// variant per experiment and keeps it on return visits.
+//
+//   id       - stable name; renaming it re-buckets every visitor
+//   active   - false stops the experiment (everyone sees the page as is)
+//   target   - CSS selector of the element(s) the variants change
+//   variants - { id, weight, html | text | attrs }; a variant with no
+//              change keeps the page's own markup (the control).
+//              {city} and the other market placeholders are filled in.
+//
+// Preview with ?variant=<experiment>:<variant>, comma-separated for
+// several. A bare ?variant=B applies to the first experiment.
+//
+// A visitor counts as exposed once a target is on screen: on load for
+// the page itself, or when the quiz shows the step holding it (targets
+// in <template>s and hidden steps, like the thank-you step).
+
+const EXPERIMENTS = [
+    {
+        id: 'headline_test_2',
+        active: true,
+        target: '#heroHeadline',
+        variants: [
+            { id: 'A', weight: 50 },
+            { id: 'B', weight: 50, html: '{city} — Protect Your Garage Floor <span class="text-gradient">Before Winter Hits</span>' }
+        ]
+    },
+    {
+        id: 'final_cta_copy_1',
+        active: false,
+        target: '.final-cta .btn-primary',
+        variants: [
+            { id: 'A', weight: 50 },
+            { id: 'B', weight: 50, text: 'See My Price in 30 Seconds →' }
+        ]
+    },
+    {
+        id: 'offer_text_1',
+        active: false,
+        target: '.call-offer-title',
+        variants: [
+            { id: 'A', weight: 50 },
+            { id: 'B', weight: 50, text: 'Call now - save 10% today' }
+        ]
+    }
+];
+
+const AB_STORAGE_KEY = 'ab_assignments';
+
+// experiment id -> { variant, exposed_at } for experiments shown on this page
+const abExposures = {};
+
+/**
+ * Returns { experimentId: variantId } for every active experiment
+ */
+function getExperimentAssignments() {
+    return window.abAssignments || {};
+}
+
+/**
+ * Experiment exposures for the lead payload
+ */
+function getExperimentPayload() {
+    return Object.keys(abExposures).map(id => ({
+        experiment: id,
+        variant: abExposures[id].variant,
+        exposed_at: abExposures[id].exposed_at
+    }));
+}
+
+/**
+ * Records that the visitor has seen their variant of an experiment, once
+ * per page view
+ */
+function recordExperimentExposure(experimentId) {
+    const variant = getExperimentAssignments()[experimentId];
+    if (!variant || abExposures[experimentId]) return;
+
+    abExposures[experimentId] = { variant: variant, exposed_at: new Date().toISOString() };
+    log.info(`🧪 ${experimentId}: Showing Variant ${variant}`);
+
+    track('experiment_exposure', {
+        'event_label': experimentId,
+        'experiment_id': experimentId,
+        'variant': variant
+    });
+}
+
+/**
+ * Records exposure to every experiment with a target inside an element
+ * that has just been shown
+ */
+function recordExperimentExposures(container) {
+    EXPERIMENTS.forEach(experiment => {
+        if (container.querySelector(experiment.target)) recordExperimentExposure(experiment.id);
+    });
+}
+
+/**
+ * Reports a conversion for every experiment the visitor was exposed to
+ * @param {string} conversion - Conversion name, e.g. 'lead'
+ */
+function trackExperimentConversion(conversion) {
+    Object.keys(abExposures).forEach(id => {
+        track('experiment_conversion', {
+            'event_label': id,
+            'experiment_id': id,
+            'variant': abExposures[id].variant,
+            'conversion': conversion
+        });
+        log.info(`🧪 ${id}: conversion "${conversion}" for Variant ${abExposures[id].variant}`);
+    });
+}
+
+(function initABTests() {
+    function readAssignments() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(AB_STORAGE_KEY) || '{}');
+
+            // Carry over visitors bucketed by the old single-test storage
+            const legacyTest = localStorage.getItem('ab_test_name');
+            const legacyVariant = localStorage.getItem('ab_test_variant');
+            if (legacyTest && legacyVariant && !stored[legacyTest]) {
+                stored[legacyTest] = legacyVariant;
+            }
+            localStorage.removeItem('ab_test_name');
+            localStorage.removeItem('ab_test_variant');
+
+            return stored;
+        } catch (error) {
+            return {};
+        }
+    }
+
+    function saveAssignments(assignments) {
+        try {
+            localStorage.setItem(AB_STORAGE_KEY, JSON.stringify(assignments));
+        } catch (error) {
+            // Private mode - assignment lasts for this page view only
+        }
+    }
+
+    function parseOverrides() {
+        const overrides = {};
+        const param = new URLSearchParams(window.location.search).get('variant');
+        if (!param) return overrides;
+
+        param.split(',').forEach(part => {
+            const pieces = part.split(':');
+            if (pieces.length === 2) {
+                overrides[pieces[0].trim()] = pieces[1].trim();
+            } else if (EXPERIMENTS.length) {
+                overrides[EXPERIMENTS[0].id] = pieces[0].trim();
+            }
+        });
+        return overrides;
+    }
+
+    function pickWeighted(variants) {
+        const total = variants.reduce((sum, v) => sum + (v.weight || 0), 0);
+        let roll = Math.random() * total;
+        for (const variant of variants) {
+            roll -= variant.weight || 0;
+            if (roll < 0) return variant;
+        }
+        return variants[0];
+    }
+
+    function applyVariant(experiment, variant) {
+        const targets = findInPageAndTemplates(experiment.target);
+        if (!targets.length) {
+            log.info(`🧪 ${experiment.id}: target ${experiment.target} not found - skipped`);
+            return;
+        }
+
+        targets.forEach(el => {
+            if (variant.html !== undefined) el.innerHTML = fillMarketText(variant.html);
+            if (variant.text !== undefined) el.textContent = fillMarketText(variant.text);
+            Object.keys(variant.attrs || {}).forEach(attr => el.setAttribute(attr, fillMarketText(variant.attrs[attr])));
+        });
+
+        // Template and hidden-step targets are recorded when the quiz shows them
+        if (targets.some(el => el.isConnected && !el.closest('.hidden'))) {
+            recordExperimentExposure(experiment.id);
+        }
+    }
+
+    const overrides = parseOverrides();
+    const assignments = readAssignments();
+    const active = {};
+
+    EXPERIMENTS.filter(experiment => experiment.active).forEach(experiment => {
+        const forced = experiment.variants.find(v => v.id === overrides[experiment.id]);
+        let variant = experiment.variants.find(v => v.id === assignments[experiment.id]);
+
+        if (forced) {
+            variant = forced;
+            log.info(`🧪 ${experiment.id}: FORCED to Variant ${forced.id} (via URL)`);
+        } else if (!variant) {
+            variant = pickWeighted(experiment.variants);
+            assignments[experiment.id] = variant.id;
+            log.info(`🧪 ${experiment.id}: New visitor assigned to Variant ${variant.id}`);
+        } else {
+            log.info(`🧪 ${experiment.id}: Returning visitor - Variant ${variant.id}`);
+        }
+
+        active[experiment.id] = variant;
+    });
+
+    saveAssignments(assignments);
+
+    window.abAssignments = {};
+    Object.keys(active).forEach(id => { window.abAssignments[id] = active[id].id; });
+    // Legacy: the headline variant, still reported in quiz_answers
+    window.abTestVariant = window.abAssignments.headline_test_2 || 'A';
+
+    function applyAll() {
+        EXPERIMENTS.forEach(experiment => {
+            if (active[experiment.id]) applyVariant(experiment, active[experiment.id]);
+        });
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', applyAll);
+    } else {
+        applyAll();
+    }
+})();
+
+// -------------------------------------------------
+//          MARKETING ATTRIBUTION
+// -------------------------------------------------
+// Captures where the visitor came from on every page load. The first
+// touch is kept forever; the last touch is replaced whenever a visit
+// arrives from a campaign or another site (direct visits don't
+// overwrite it). Both travel with the lead.
+
+const ATTRIBUTION_FIRST_KEY = 'attribution_first_touch';
+const ATTRIBUTION_LAST_KEY = 'attribution_last_touch';
+const UTM_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+
+function readStoredTouch(key) {
+    try {
+        return JSON.parse(localStorage.getItem(key) || 'null');
+    } catch (error) {
+        return null;
+    }
+}
+
+function getCookie(name) {
+    const match = document.cookie.match(new RegExp('(?:^|; )' + name + '=([^;]*)'));
+    return match ? decodeURIComponent(match[1]) : '';
+}
+
+/**
+ * Attribution block for the lead payload
+ */
+function getAttributionPayload() {
+    const firstTouch = readStoredTouch(ATTRIBUTION_FIRST_KEY) || window.currentTouch || null;
+    const lastTouch = readStoredTouch(ATTRIBUTION_LAST_KEY) || window.currentTouch || null;
+
+    // Meta's click cookie, rebuilt from fbclid if the pixel hasn't set it -
+    // only for visitors who accepted tracking, as it links them to the ad click
+    let fbc = getCookie('_fbc');
+    const clickTouch = [lastTouch, firstTouch].find(touch => touch && touch.fbclid);
+    if (!fbc && clickTouch && getTrackingConsent() === 'accepted') {
+        fbc = 'fb.1.' + Date.parse(clickTouch.captured_at) + '.' + clickTouch.fbclid;
+    }
+
+    return {
+        first_touch: firstTouch,
+        last_touch: lastTouch,
+        fbp: getCookie('_fbp'),
+        fbc: fbc
+    };
+}
+
+(function captureAttribution() {
+    const params = new URLSearchParams(window.location.search);
+    let referrerHost = '';
+    try {
+        referrerHost = document.referrer ? new URL(document.referrer).hostname : '';
+    } catch (error) {
+        referrerHost = '';
+    }
+    const external = referrerHost && referrerHost !== window.location.hostname;
+
+    const touch = {
+        source: params.get('utm_source') || '',
+        medium: params.get('utm_medium') || '',
+        campaign: params.get('utm_campaign') || '',
+        term: params.get('utm_term') || '',
+        content: params.get('utm_content') || '',
+        gclid: params.get('gclid') || '',
+        fbclid: params.get('fbclid') || '',
+        referrer: external ? document.referrer : '',
+        landing_page: window.location.href,
+        captured_at: new Date().toISOString()
+    };
+
+    const fromCampaign = UTM_PARAMS.some(p => params.get(p)) || touch.gclid || touch.fbclid;
+
+    // Fill in source/medium the way analytics tools would
+    if (!touch.source) {
+        if (touch.gclid) {
+            touch.source = 'google';
+            touch.medium = touch.medium || 'cpc';
+        } else if (touch.fbclid) {
+            touch.source = 'facebook';
+            touch.medium = touch.medium || 'paid_social';
+        } else if (external) {
+            touch.source = referrerHost.replace(/^www\./, '');
+            touch.medium = /(^|\.)(google|bing|yahoo|duckduckgo)\./.test(referrerHost) ? 'organic' : 'referral';
+        } else {
+            touch.source = '(direct)';
+            touch.medium = '(none)';
+        }
+    }
+
+    window.currentTouch = touch;
+
+    try {
+        if (!localStorage.getItem(ATTRIBUTION_FIRST_KEY)) {
+            localStorage.setItem(ATTRIBUTION_FIRST_KEY, JSON.stringify(touch));
+        }
+        if (fromCampaign || external || !localStorage.getItem(ATTRIBUTION_LAST_KEY)) {
+            localStorage.setItem(ATTRIBUTION_LAST_KEY, JSON.stringify(touch));
+        }
+    } catch (error) {
+        // Storage unavailable - getAttributionPayload falls back to this visit
+    }
+
+    log.info(`🎯 Attribution: ${touch.source} / ${touch.medium}${touch.campaign ? ' / ' + touch.campaign : ''}`);
+})();
+
+// -------------------------------------------------
+//          PRICE ESTIMATE - Rate table
+// -------------------------------------------------
+// The quiz shows a price range once it knows the size, condition and
+// finish. The range sent with the lead is the one the visitor saw.
+//
+//   FINISH       - installed price per sq ft, { low, high }, by finish
+//   CONDITION    - multiplier for the prep work each condition needs
+//   SIZES        - sq ft priced for each size answer, and how the
+//                  estimate describes it. The answer itself is what the
+//                  lead carries as approx_sqft.
+//   TYPICAL_SQFT - size quoted for "Not sure", whatever the project type
+//   MINIMUM      - smallest job we quote
+//   ROUND_TO     - ranges are rounded to this many dollars
+
+const ESTIMATE_RATES = {
+    FINISH: {
+        'Flake': { low: 9, high: 12 },
+        'Solid': { low: 7, high: 10 }
+    },
+    CONDITION: {
+        'Good': 1,
+        'Fair': 1.1,
+        'Poor': 1.25
+    },
+    SIZES: {
+        '1-car garage':    { sqft: 250, text: 'a 1-car garage' },
+        '2-car garage':    { sqft: 450, text: 'a 2-car garage' },
+        '3-car garage':    { sqft: 700, text: 'a 3-car garage' },
+        'Under 300 sq ft': { sqft: 250, text: 'under 300 sq ft' },
+        '300-600 sq ft':   { sqft: 450, text: '300–600 sq ft' },
+        '600-800 sq ft':   { sqft: 700, text: '600–800 sq ft' },
+        'Over 800 sq ft':  { sqft: 900, text: 'over 800 sq ft' }
+    },
+    TYPICAL_SQFT: 450,
+    MINIMUM: 1500,
+    ROUND_TO: 100
+};
+
+/**
+ * Square footage priced for the size answers, 0 when the visitor isn't sure
+ */
+function getEstimateSqft(userData) {
+    if (userData.approx_sqft === 'custom') {
+        const sqft = parseInt(userData.sqft_custom, 10);
+        return sqft > 0 ? sqft : 0;
+    }
+    const size = ESTIMATE_RATES.SIZES[userData.approx_sqft];
+    return size ? size.sqft : 0;
+}
+
+/**
+ * The size an estimate is for, in words: "a 2-car garage", "520 sq ft"
+ */
+function describeEstimateSize(userData, estimate) {
+    if (estimate.typicalSize) return 'a typical-size project (' + estimate.sqft + ' sq ft)';
+    const size = ESTIMATE_RATES.SIZES[userData.approx_sqft];
+    return size ? size.text : estimate.sqft + ' sq ft';
+}
+
+/**
+ * Price range for the quiz answers
+ * @param {Object} userData - Needs approx_sqft, surface_condition and finish_type
+ * @returns {{low: number, high: number, sqft: number, typicalSize: boolean}}
+ */
+function calculateEstimate(userData) {
+    const knownSqft = getEstimateSqft(userData);
+    const sqft = knownSqft || ESTIMATE_RATES.TYPICAL_SQFT;
+    const rate = ESTIMATE_RATES.FINISH[userData.finish_type] || ESTIMATE_RATES.FINISH.Flake;
+    const prep = ESTIMATE_RATES.CONDITION[userData.surface_condition] || 1;
+    const round = value => Math.round(value / ESTIMATE_RATES.ROUND_TO) * ESTIMATE_RATES.ROUND_TO;
+
+    const low = Math.max(ESTIMATE_RATES.MINIMUM, round(sqft * rate.low * prep));
+    const high = Math.max(low + ESTIMATE_RATES.ROUND_TO, round(sqft * rate.high * prep));
+    return { low: low, high: high, sqft: sqft, typicalSize: !knownSqft };
+}
+
+/**
+ * 4100 -> "$4,100"
+ */
+function formatPrice(amount) {
+    return '$' + String(Math.round(amount)).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+}
+
+// -------------------------------------------------
+//          QUIZ DEFINITION
+// -------------------------------------------------
+// The quiz is rendered, validated and routed from this list. To add,
+// remove or reorder a question, edit the list - not the engine below.
+//
+//   id          - DOM id of the step
+//   type        - 'choice' | 'text' | 'email' | 'tel' | 'info' | 'success'
+//                 ('info' shows content and a continue button, no input)
+//   field       - userData key the answer is stored under
+//   title       - heading, or function(userData) for personalized copy
+//   intro       - opening question layout (label, no progress bar)
+//   label       - small caption above an intro question
+//   notes       - lines shown under an intro question
+//   content     - 'info' steps: function(userData) => [{ className, text }]
+//                 lines, refreshed each time the step is shown
+//   options     - 'choice' answers: { value, label, primary, reject }
+//                 (reject = message shown instead of continuing)
+//   placeholder - input placeholder
+//   inputAttrs  - extra attributes for the input (maxlength, ...)
+//   format      - function(value) => display value, applied as they type
+//   optional    - allow an empty answer
+//   validate    - function(value, userData) => true when valid
+//   errors      - { required, invalid } messages; invalid may be a
+//                 function(value, userData) returning the message
+//   onAnswer    - function(value, userData) run after the answer is
+//                 stored, to derive other fields from it ('info' steps:
+//                 run with an empty value when the visitor continues)
+//   skipIf      - function(userData) => true to skip the step
+//   buttonText  - continue button label
+//   template    - 'success' steps: id of the <template> to render
+//
+// Moving onto a 'success' step submits the lead. There can be several
+// endings; the first one not skipped is shown.
+
+// parsePhone() reasons -> what the visitor is told
+const PHONE_ERROR_MESSAGES = {
+    invalid_characters: 'Please use numbers only',
+    invalid_country: 'Please enter a US or Canadian number',
+    too_short: 'Phone numbers need 10 digits, including area code',
+    too_long: 'That number has too many digits',
+    invalid_area_code: "That area code doesn't look right",
+    invalid_exchange: "That number doesn't look right - please check it",
+    fictional: 'Please enter a real phone number',
+    repeated_digits: 'Please enter a real phone number',
+    sequential_digits: 'Please enter a real phone number'
+};
+
+const QUIZ_STEPS = [
+    {
+        id: 'stepHomeowner',
+        type: 'choice',
+        field: 'homeowner',
+        intro: true,
+        label: 'Step 1',
+        title: 'Do you own your home?',
+        options: [
+            { value: 'yes', label: 'Yes', primary: true },
+            { value: 'no', label: 'No', reject: 'We primarily work with homeowners.' }
+        ],
+        notes: [
+            { className: 'hero-urgency', text: '⚡ Only 2 spots left this month' },
+            { className: 'quiz-time', text: '✓ Takes 30 seconds  ✓ Hassle-free' }
+        ]
+    },
+    {
+        id: 'stepProjectType',
+        type: 'choice',
+        field: 'project_type',
+        title: 'What would you like coated?',
+        options: [
+            { value: 'Garage Floor Coating', label: 'Garage floor' },
+            { value: 'Driveway Coating', label: 'Driveway' },
+            { value: 'Patio / Walkway Coating', label: 'Patio or walkway' },
+            { value: 'Basement Floor Coating', label: 'Basement floor' }
+        ]
+    },
+    {
+        id: 'stepGarageSize',
+        type: 'choice',
+        field: 'approx_sqft',
+        title: 'How big is the garage?',
+        skipIf: data => data.project_type !== 'Garage Floor Coating',
+        options: [
+            { value: '1-car garage', label: '1-car garage' },
+            { value: '2-car garage', label: '2-car garage' },
+            { value: '3-car garage', label: '3-car garage' },
+            { value: 'custom', label: 'I know the exact size' },
+            { value: 'Not sure', label: 'Not sure' }
+        ]
+    },
+    {
+        id: 'stepSqft',
+        type: 'choice',
+        field: 'approx_sqft',
+        title: 'About how big is the area?',
+        skipIf: data => data.project_type === 'Garage Floor Coating',
+        options: [
+            { value: 'Under 300 sq ft', label: 'Under 300 sq ft' },
+            { value: '300-600 sq ft', label: '300–600 sq ft' },
+            { value: '600-800 sq ft', label: '600–800 sq ft' },
+            { value: 'Over 800 sq ft', label: 'Over 800 sq ft' },
+            { value: 'custom', label: 'I know the exact size' },
+            { value: 'Not sure', label: 'Not sure' }
+        ]
+    },
+    {
+        id: 'stepSqftCustom',
+        type: 'text',
+        field: 'sqft_custom',
+        title: 'How many square feet is it?',
+        placeholder: 'e.g. 520',
+        skipIf: data => data.approx_sqft !== 'custom',
+        inputAttrs: { maxlength: '5', inputmode: 'numeric' },
+        validate: value => /^\d+$/.test(value) && Number(value) >= 50 && Number(value) <= 10000,
+        errors: {
+            required: 'Please enter the square footage',
+            invalid: 'Please enter a size between 50 and 10,000 sq ft'
+        }
+    },
+    {
+        id: 'stepCondition',
+        type: 'choice',
+        field: 'surface_condition',
+        title: 'What shape is the concrete in?',
+        options: [
+            { value: 'Good', label: 'Good - a few stains at most' },
+            { value: 'Fair', label: 'Fair - some cracks or oil stains' },
+            { value: 'Poor', label: 'Rough - lots of cracks, pitting or old coating' }
+        ]
+    },
+    {
+        id: 'stepFinish',
+        type: 'choice',
+        field: 'finish_type',
+        title: 'Which finish do you like?',
+        options: [
+            { value: 'Flake', label: 'Decorative flake (most popular)' },
+            { value: 'Solid', label: 'Solid color' }
+        ]
+    },
+    {
+        id: 'stepEstimate',
+        type: 'info',
+        title: 'Your estimated price',
+        content: data => {
+            const estimate = calculateEstimate(data);
+            const size = describeEstimateSize(data, estimate);
+            return [
+                { className: 'quiz-estimate-range', text: formatPrice(estimate.low) + ' – ' + formatPrice(estimate.high) },
+                { className: 'quiz-estimate-detail', text: `${data.finish_type || 'Flake'} finish for ${size}, installed in one day` },
+                { className: 'quiz-estimate-note', text: 'Your exact price is confirmed at a free on-site visit.' }
+            ];
+        },
+        onAnswer: (value, data) => {
+            const estimate = calculateEstimate(data);
+            data.estimate_low = estimate.low;
+            data.estimate_high = estimate.high;
+        },
+        buttonText: 'Get My Exact Quote →'
+    },
+    {
+        id: 'stepTimeline',
+        type: 'choice',
+        field: 'timeline',
+        title: 'When would you like it done?',
+        options: [
+            { value: 'As soon as possible', label: 'As soon as possible' },
+            { value: 'Before Winter', label: 'Before winter' },
+            { value: 'In the next 1-3 months', label: 'In the next 1–3 months' },
+            { value: 'Just researching', label: 'Just researching' }
+        ]
+    },
+    {
+        id: 'stepNotes',
+        type: 'text',
+        field: 'notes',
+        title: 'Anything else we should know?',
+        placeholder: 'Cracks, oil stains, colors you like... (optional)',
+        optional: true,
+        inputAttrs: { maxlength: '500' }
+    },
+    {
+        id: 'stepName',
+        type: 'text',
+        field: 'name',
+        title: "What's your name?",
+        placeholder: 'Enter your name',
+        validate: value => value.length >= 2,
+        errors: {
+            required: 'Please enter your name',
+            invalid: 'Name must be at least 2 characters'
+        }
+    },
+    {
+        id: 'stepZip',
+        type: 'text',
+        field: 'zip',
+        title: data => data.name ? `Hi ${data.name}! What's your zip code?` : "What's your zip code?",
+        placeholder: 'Enter zip code',
+        inputAttrs: { maxlength: '5', inputmode: 'numeric' },
+        validate: value => /^\d{5}$/.test(value),
+        errors: {
+            required: 'Please enter your zip code',
+            invalid: 'Please enter a valid 5-digit zip code'
+        },
+        onAnswer: (value, data) => {
+            const area = lookupServiceArea(value);
+            data.city = area.city;
+            data.state = area.state;
+            data.in_service_area = area.inArea;
+            data.service_zone = area.zone;
+        }
+    },
+    {
+        id: 'stepStreet',
+        type: 'text',
+        field: 'street',
+        title: data => data.city
+            ? `Great, we serve ${data.city}! What's the street address of the project?`
+            : "What's the street address of the project?",
+        placeholder: '123 Main St',
+        skipIf: data => data.in_service_area === false,
+        inputAttrs: { autocomplete: 'street-address' },
+        validate: value => value.length >= 5 && /\d/.test(value),
+        errors: {
+            required: 'Please enter your street address',
+            invalid: 'Please enter a street address, e.g. 123 Main St'
+        }
+    },
+    {
+        id: 'stepEmail',
+        type: 'email',
+        field: 'email',
+        title: data => {
+            if (data.in_service_area === false) {
+                return `We don't serve ${data.zip} yet${data.name ? ', ' + data.name : ''} - want us to let you know when we do? What's your email?`;
+            }
+            return data.name ? `${data.name}, what's your email?` : "What's your email?";
+        },
+        placeholder: 'your@email.com',
+        validate: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+        errors: {
+            required: 'Please enter a valid email',
+            invalid: 'Please enter a valid email'
+        }
+    },
+    {
+        id: 'stepPhone',
+        type: 'tel',
+        field: 'phone',
+        title: data => data.name ? `Last step ${data.name}! What's your phone number?` : "What's your phone number?",
+        placeholder: '(' + MARKET.phone.slice(2, 5) + ') 123-4567',
+        inputAttrs: { autocomplete: 'tel-national' },
+        format: formatPhoneInput,
+        validate: value => parsePhone(value).valid,
+        errors: {
+            required: 'Please enter your phone number',
+            invalid: value => PHONE_ERROR_MESSAGES[parsePhone(value).reason] || 'Please enter a valid phone number'
+        },
+        consent: {
+            field: 'call_consent',
+            text: CONSENT.CALL_CONSENT_TEXT,
+            error: 'Please check the box so we can call or text you about your quote'
+        },
+        buttonText: 'Get My Free Quote →'
+    },
+    {
+        id: 'stepSuccess',
+        type: 'success',
+        template: 'quizSuccessTemplate',
+        skipIf: data => data.in_service_area === false
+    },
+    {
+        id: 'stepWaitlist',
+        type: 'success',
+        template: 'quizWaitlistTemplate'
+    }
+];
+
+/**
+ * How many history entries this page has pushed below the current one
+ * (quiz steps and the exit-intent sentinel), kept in each entry's state
+ */
+function getPageDepth() {
+    return (history.state && history.state.pageDepth) || 0;
+}
+
+// True while the quiz rewinds its entries after an ending, so the
+// popstate that lands on the page's first entry isn't taken for Back
+let rewindingPageHistory = false;
+
+// -------------------------------------------------
+//          QUIZ ENGINE
+// -------------------------------------------------
+
+(function() {
+    'use strict';
+
+    // Progress survives reloads and tab discards for the rest of the visit
+    const QUIZ_STATE_KEY = 'doski_quiz_state';
+
+    let currentStep = 0;
+    let userData = {};
+    let isSubmitting = false;
+    let submissionId = '';
+    let stickyDismissed = false;
+
+    function initQuiz() {
+        const container = document.getElementById('quizSteps');
+        if (!container) return;
+
+        const savedStep = restoreQuizState();
+
+        QUIZ_STEPS.forEach((step, index) => {
+            container.appendChild(renderStep(step, index));
+        });
+
+        // Each step gets a history entry, so Back/Forward move between them
+        if (!history.state || findStepIndex(history.state.quizStep) === -1) {
+            history.replaceState(Object.assign({}, history.state, { quizStep: QUIZ_STEPS[savedStep].id }), '');
+        }
+        window.addEventListener('popstate', handlePopState);
+
+        if (savedStep > 0) {
+            log.info(`↩️ Resuming quiz at ${QUIZ_STEPS[savedStep].id}`);
+            showStep(savedStep, { restored: true });
+            syncStickyMode(savedStep);
+        }
+    }
+
+    // ========== SAVED STATE ==========
+
+    function saveQuizState() {
+        try {
+            sessionStorage.setItem(QUIZ_STATE_KEY, JSON.stringify({
+                step: QUIZ_STEPS[currentStep].id,
+                userData: userData,
+                submissionId: submissionId,
+                stickyDismissed: stickyDismissed
+            }));
+        } catch (error) {
+            // Storage unavailable (private mode, quota) - the quiz still works
+        }
+    }
+
+    /**
+     * Loads saved answers into the quiz state
+     * @returns {number} - Index of the step to resume at, 0 if none
+     */
+    function restoreQuizState() {
+        let saved = null;
+        try {
+            saved = JSON.parse(sessionStorage.getItem(QUIZ_STATE_KEY) || 'null');
+        } catch (error) {
+            saved = null;
+        }
+        const stepIndex = saved ? findStepIndex(saved.step) : -1;
+        if (stepIndex === -1) return 0;
+
+        userData = saved.userData || {};
+        submissionId = saved.submissionId || '';
+        stickyDismissed = saved.stickyDismissed === true;
+        return stepIndex;
+    }
+
+    /**
+     * Saved progress and history entries name steps by id, so they
+     * still point at the right step after steps are added or reordered
+     * @param {string} stepId
+     * @returns {number} - Index of the step, -1 if there's no such step
+     */
+    function findStepIndex(stepId) {
+        if (typeof stepId !== 'string') return -1;
+        return QUIZ_STEPS.findIndex(step => step.id === stepId);
+    }
+
+    // ========== RENDERING ==========
+
+    function renderStep(step, index) {
+        const stepEl = document.createElement('div');
+        stepEl.className = 'quiz-step' + (index === 0 ? '' : ' hidden');
+        stepEl.id = step.id;
+
+        if (step.type === 'success') {
+            const template = document.getElementById(step.template);
+            if (template) stepEl.appendChild(template.content.cloneNode(true));
+
+            // Referral links share this page by email
+            stepEl.querySelectorAll('[data-share-subject]').forEach(link => {
+                const pageUrl = window.location.origin + window.location.pathname;
+                link.href = 'mailto:?subject=' + encodeURIComponent(fillMarketText(link.getAttribute('data-share-subject'))) +
+                    '&body=' + encodeURIComponent(link.getAttribute('data-share-text') + ' ' + pageUrl);
+            });
+            return stepEl;
+        }
+
+        if (!step.intro) {
+            stepEl.innerHTML = '<div class="quiz-progress"><div class="progress-bar"></div></div>';
+            stepEl.querySelector('.progress-bar').style.width = getProgress(index) + '%';
+        }
+
+        const titleEl = document.createElement(step.intro ? 'p' : 'h2');
+        if (step.intro) titleEl.className = 'quiz-question-text';
+        titleEl.id = step.id + 'Title';
+        titleEl.tabIndex = -1; // Focused when the step is shown, so it gets read out
+        titleEl.textContent = resolveTitle(step);
+
+        const question = document.createElement('div');
+        question.className = 'quiz-question';
+
+        if (step.intro) {
+            const label = document.createElement('p');
+            label.className = 'quiz-step-label';
+            label.textContent = step.label || '';
+            stepEl.appendChild(label);
+            question.appendChild(titleEl);
+        } else {
+            stepEl.appendChild(titleEl);
+        }
+
+        if (step.type === 'choice') {
+            question.appendChild(renderOptions(step, index));
+            question.appendChild(renderMessage(step));
+        } else if (step.type === 'info') {
+            question.appendChild(renderContent(step));
+            question.appendChild(renderMessage(step));
+            question.appendChild(renderNextButton(step, index));
+        } else {
+            question.appendChild(renderInput(step, index));
+            if (step.consent) question.appendChild(renderConsent(step));
+            question.appendChild(renderMessage(step));
+            question.appendChild(renderNextButton(step, index));
+        }
+        stepEl.appendChild(question);
+
+        if (index > 0) {
+            stepEl.appendChild(renderBackButton());
+        }
+
+        (step.notes || []).forEach(note => {
+            const noteEl = document.createElement('p');
+            noteEl.className = note.className;
+            noteEl.textContent = note.text;
+            stepEl.appendChild(noteEl);
+        });
+
+        return stepEl;
+    }
+
+    function renderOptions(step, index) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'quiz-options' + (step.options.length > 2 ? ' quiz-options-stacked' : '');
+        wrapper.setAttribute('role', 'group');
+        wrapper.setAttribute('aria-labelledby', step.id + 'Title');
+
+        step.options.forEach(option => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'quiz-option' + (option.primary ? ' quiz-option-primary' : '');
+            button.setAttribute('data-answer', option.value);
+            button.textContent = option.label;
+            button.addEventListener('click', function(e) {
+                e.preventDefault();
+                e.stopPropagation();
+                handleChoice(index, option, button);
+            });
+            wrapper.appendChild(button);
+        });
+
+        return wrapper;
+    }
+
+    function renderInput(step, index) {
+        const input = document.createElement('input');
+        input.type = step.type;
+        input.className = 'quiz-input';
+        input.id = getInputId(step);
+        input.placeholder = step.placeholder || '';
+        input.value = userData[step.field] || '';
+        input.setAttribute('aria-labelledby', step.id + 'Title');
+        input.setAttribute('aria-describedby', step.id + 'Message');
+        if (!step.optional) input.setAttribute('aria-required', 'true');
+        Object.keys(step.inputAttrs || {}).forEach(attr => {
+            input.setAttribute(attr, step.inputAttrs[attr]);
+        });
+
+        input.addEventListener('input', () => {
+            if (step.format) applyFormat(input, step.format);
+            clearInputError(input, step);
+        });
+
+        input.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                handleNextStep(index);
+            }
+        });
+
+        return input;
+    }
+
+    /**
+     * Reformats the input's value as they type, keeping the caret after
+     * the same digit so editing the middle of a number doesn't jump to
+     * the end
+     */
+    function applyFormat(input, format) {
+        const value = input.value;
+        const formatted = format(value);
+        if (formatted === value) return;
+
+        const caret = input.selectionStart;
+        const digits = text => text.replace(/\D/g, '').length;
+        // Digits the format dropped (a leading country code) were in front of the caret
+        let digitsBefore = digits(value.slice(0, caret === null ? value.length : caret));
+        digitsBefore = Math.max(0, digitsBefore - (digits(value) - digits(formatted)));
+
+        input.value = formatted;
+        if (caret === null || caret >= value.length) return;
+
+        let position = 0;
+        for (let seen = 0; position < formatted.length && seen < digitsBefore; position++) {
+            if (/\d/.test(formatted.charAt(position))) seen++;
+        }
+        input.setSelectionRange(position, position);
+    }
+
+    /**
+     * Checkbox the visitor has to tick before the step's answer is
+     * sent; its wording is recorded with the lead (see getCallConsent)
+     */
+    function renderConsent(step) {
+        const label = document.createElement('label');
+        label.className = 'quiz-consent';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.id = step.id + 'Consent';
+        checkbox.checked = Boolean(userData[step.consent.field]);
+        checkbox.setAttribute('aria-describedby', step.id + 'Message');
+        checkbox.addEventListener('change', () => {
+            if (!checkbox.checked) delete userData[step.consent.field];
+            clearInputError(checkbox, step);
+        });
+
+        const text = document.createElement('span');
+        text.textContent = step.consent.text;
+
+        label.appendChild(checkbox);
+        label.appendChild(text);
+        return label;
+    }
+
+    function renderContent(step) {
+        const content = document.createElement('div');
+        content.className = 'quiz-content';
+        content.id = step.id + 'Content';
+        fillContent(content, step);
+        return content;
+    }
+
+    function fillContent(content, step) {
+        content.innerHTML = '';
+        step.content(userData).forEach(line => {
+            const lineEl = document.createElement('p');
+            lineEl.className = line.className;
+            lineEl.textContent = line.text;
+            content.appendChild(lineEl);
+        });
+    }
+
+    /**
+     * Live region for the step's validation errors and other messages.
+     * Inputs point at it with aria-describedby.
+     */
+    function renderMessage(step) {
+        const message = document.createElement('p');
+        message.className = 'quiz-message';
+        message.id = step.id + 'Message';
+        message.setAttribute('aria-live', 'assertive');
+        message.setAttribute('aria-atomic', 'true');
+        return message;
+    }
+
+    function renderNextButton(step, index) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'quiz-btn-next';
+        button.textContent = step.buttonText || 'Continue →';
+        button.addEventListener('click', function(e) {
+            e.preventDefault();
+            e.stopPropagation();
+            handleNextStep(index);
+        });
+        return button;
+    }
+
+    function renderBackButton() {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'quiz-btn-back';
+        button.textContent = '← Back';
+        button.addEventListener('click', function(e) {
+            e.preventDefault();
+            e.stopPropagation();
+            goToPreviousStep();
+        });
+        return button;
+    }
+
+    function getInputId(step) {
+        return 'user' + step.field.charAt(0).toUpperCase() + step.field.slice(1);
+    }
+
+    function resolveTitle(step) {
+        return typeof step.title === 'function' ? step.title(userData) : (step.title || '');
+    }
+
+    /**
+     * Progress is measured against the first ending, so branching steps
+     * at the end of the list don't skew the bar
+     */
+    function getProgress(index) {
+        const firstEnding = QUIZ_STEPS.findIndex(step => step.type === 'success');
+        return Math.min(100, Math.round(index / firstEnding * 100));
+    }
+
+    // ========== NAVIGATION ==========
+
+    function handleChoice(stepIndex, option, button) {
+        const step = QUIZ_STEPS[stepIndex];
+
+        if (option.reject) {
+            showStepMessage(step, option.reject);
+            return;
+        }
+        showStepMessage(step, '');
+
+        button.parentNode.querySelectorAll('.quiz-option').forEach(opt => {
+            opt.classList.remove('quiz-option-primary');
+        });
+
+        button.classList.add('quiz-option-primary');
+
+        userData[step.field] = option.value;
+        if (step.onAnswer) step.onAnswer(option.value, userData);
+
+        setTimeout(() => {
+            goToNextStep(stepIndex);
+        }, 300);
+    }
+
+    async function handleNextStep(stepIndex) {
+        if (isSubmitting) {
+            log.info("⚠️ Submission already in progress...");
+            return;
+        }
+
+        const step = QUIZ_STEPS[stepIndex];
+
+        if (step.type === 'info') {
+            if (step.onAnswer) step.onAnswer('', userData);
+            await goToNextStep(stepIndex);
+            return;
+        }
+
+        const input = document.getElementById(getInputId(step));
+        if (!input) return;
+
+        const value = input.value.trim();
+
+        if (!value && !step.optional) {
+            showInputError(input, step, step.errors.required);
+            track('quiz_validation_error', { step_id: step.id, error: 'required' });
+            return;
+        }
+
+        if (value && step.validate && !step.validate(value, userData)) {
+            const invalid = step.errors.invalid;
+            showInputError(input, step, typeof invalid === 'function' ? invalid(value, userData) : invalid);
+            track('quiz_validation_error', { step_id: step.id, error: 'invalid' });
+            return;
+        }
+
+        if (step.consent) {
+            const checkbox = document.getElementById(step.id + 'Consent');
+            if (!checkbox.checked) {
+                showInputError(checkbox, step, step.consent.error);
+                track('quiz_validation_error', { step_id: step.id, error: 'consent' });
                 return;
             }
+            userData[step.consent.field] = getCallConsent();
+        }
+
+        userData[step.field] = value;
+        if (step.onAnswer) step.onAnswer(value, userData);
+        await goToNextStep(stepIndex);
+    }
+
+    function findNextStep(fromIndex) {
+        for (let i = fromIndex + 1; i < QUIZ_STEPS.length; i++) {
+            const step = QUIZ_STEPS[i];
+            if (!step.skipIf || !step.skipIf(userData)) return i;
+        }
+        return -1;
+    }
+
+    function findPreviousStep(fromIndex) {
+        for (let i = fromIndex - 1; i >= 0; i--) {
+            const step = QUIZ_STEPS[i];
+            if (step.type !== 'success' && (!step.skipIf || !step.skipIf(userData))) return i;
+        }
+        return -1;
+    }
+
+    async function goToNextStep(fromIndex) {
+        const nextIndex = findNextStep(fromIndex);
+        if (nextIndex === -1) return;
+
+        const fromStep = QUIZ_STEPS[fromIndex];
+        if (fromIndex === 0) {
+            markQuizStarted();
+            track('quiz_start');
+            if (!stickyDismissed) makeQuizSticky();
+        }
+
+        if (QUIZ_STEPS[nextIndex].type === 'success') {
+            const submitted = await submitFromStep(fromIndex);
+            if (!submitted) return;
+        } else {
+            submitPartialLead(userData, fromStep.id);
+        }
+
+        // Choice answers are safe to report; typed ones may be personal
+        const completed = { step_id: fromStep.id, step_number: fromIndex + 1 };
+        if (fromStep.type === 'choice') completed.answer = userData[fromStep.field];
+        track('quiz_step_complete', completed);
+
+        showStep(nextIndex);
+        if (QUIZ_STEPS[nextIndex].type === 'success') {
+            collapseQuizHistory(nextIndex);
+        } else {
+            history.pushState({ quizStep: QUIZ_STEPS[nextIndex].id, quizPrev: fromStep.id, pageDepth: getPageDepth() + 1 }, '');
+        }
+    }
+
+    /**
+     * Rewinds to the page's first history entry and puts the ending
+     * there, so one Back press leaves the page instead of stepping
+     * through quiz entries that no longer do anything
+     */
+    function collapseQuizHistory(endingIndex) {
+        const depth = getPageDepth();
+        const ending = () => history.replaceState(Object.assign({}, history.state, { quizStep: QUIZ_STEPS[endingIndex].id, quizPrev: null, pageDepth: 0 }), '');
+        if (depth === 0) {
+            ending();
+            return;
+        }
+
+        rewindingPageHistory = true;
+        window.addEventListener('popstate', function onRewound() {
+            window.removeEventListener('popstate', onRewound);
+            rewindingPageHistory = false;
+            ending();
+        });
+        history.go(-depth);
+    }
+
+    /**
+     * The in-card Back button. Uses the browser history when the entry
+     * below this one is the previous step, so both stay in sync.
+     */
+    function goToPreviousStep() {
+        if (isSubmitting) return;
+
+        const state = history.state;
+        if (state && state.quizStep === QUIZ_STEPS[currentStep].id && findStepIndex(state.quizPrev) !== -1) {
+            history.back();
+            return;
+        }
+
+        // No history to go back through (e.g. resumed in a new tab)
+        const prevIndex = findPreviousStep(currentStep);
+        if (prevIndex === -1) return;
+        showStep(prevIndex);
+        syncStickyMode(prevIndex);
+        history.replaceState(Object.assign({}, state, { quizStep: QUIZ_STEPS[prevIndex].id, quizPrev: null }), '');
+    }
+
+    function handlePopState(e) {
+        const state = e.state;
+        const stepIndex = state ? findStepIndex(state.quizStep) : -1;
+        if (stepIndex === -1) return;
+
+        // Once the lead is in, Back/Forward don't reopen the form
+        if (submissionId || isSubmitting) return;
+        // Forward onto an ending would skip the submit
+        if (QUIZ_STEPS[stepIndex].type === 'success') return;
+
+        showStep(stepIndex);
+        syncStickyMode(stepIndex);
+    }
+
+    async function submitFromStep(stepIndex) {
+        // Set loading state
+        isSubmitting = true;
+        const stepEl = document.getElementById(QUIZ_STEPS[stepIndex].id);
+        const btn = stepEl ? stepEl.querySelector('.quiz-btn-next') : null;
+        const originalText = btn ? btn.textContent : '';
+        if (btn) {
+            btn.disabled = true;
+            btn.style.opacity = '0.6';
+            btn.textContent = '⏳ Submitting...';
+        }
+
+        // SUBMIT LEAD
+        showStepMessage(QUIZ_STEPS[stepIndex], '');
+        const result = await submitLead(userData);
+
+        if (!result.success) {
+            isSubmitting = false;
+            if (btn) {
+                btn.disabled = false;
+                btn.style.opacity = '1';
+                btn.textContent = originalText;
+            }
+            log.error("❌ Failed to submit lead:", result.error);
+            showStepMessage(QUIZ_STEPS[stepIndex], result.error || "There was an error submitting your information. Please try again or call us directly.");
+            return false;
+        }
+
+        submissionId = result.submissionId;
+
+        // Success - reset button
+        setTimeout(() => {
+            isSubmitting = false;
+            if (btn) {
+                btn.disabled = false;
+                btn.style.opacity = '1';
+                btn.textContent = originalText;
+            }
+        }, 1000);
+
+        return true;
+    }
+
+    function showStepMessage(step, message) {
+        const messageEl = document.getElementById(step.id + 'Message');
+        if (messageEl) messageEl.textContent = message;
+    }
+
+    /**
+     * Marks the input invalid and explains why. The message stays until
+     * the visitor edits the field.
+     */
+    function showInputError(input, step, message) {
+        input.setAttribute('aria-invalid', 'true');
+        showStepMessage(step, message);
+        input.focus();
+    }
 
-            // Success - reset button
-            setTimeout(() => {
-                isSubmitting = false;
-                if (btn) {
-                    btn.disabled = false;
-                    btn.style.opacity = '1';
-                    btn.textContent = originalText;
-                }
-            }, 1000);
-        }
+    function clearInputError(input, step) {
+        if (input.getAttribute('aria-invalid') !== 'true') return;
+        input.removeAttribute('aria-invalid');
+        showStepMessage(step, '');
+    }
 
-        if (stepIndex < 4) {
-            showStep(stepIndex + 1);
-        } else {
-            showStep(5);
+    // ========== STICKY MODAL ==========
+
+    function makeQuizSticky() {
+        const quizCard = document.getElementById('quizCard');
+        const body = document.body;
+        
+        if (!quizCard) {
+            reportClientError('missing_element', 'makeQuizSticky: #quizCard not found');
+            return;
         }
+        if (document.getElementById('quiz-overlay')) return;
+        
+        const overlay = document.createElement('div');
+        overlay.id = 'quiz-overlay';
+        overlay.className = 'quiz-sticky-overlay';
+        
+        overlay.setAttribute('aria-hidden', 'true');
+        
+        quizCard.classList.add('quiz-sticky-active');
+        quizCard.setAttribute('role', 'dialog');
+        quizCard.setAttribute('aria-modal', 'true');
+        quizCard.setAttribute('aria-labelledby', QUIZ_STEPS[currentStep].id + 'Title');
+        if (!quizCard.hasAttribute('tabindex')) quizCard.tabIndex = -1;
+        body.classList.add('quiz-modal-open');
+        
+        quizCard.parentNode.insertBefore(overlay, quizCard);
+        
+        document.addEventListener('keydown', handleModalKeydown);
+        document.addEventListener('focusin', handleModalFocusIn);
+        
+        log.info('✅ Quiz is now sticky - user locked in!');
     }
 
-    function getInputForStep(stepIndex) {
-        const inputs = {
-            1: document.getElementById('userName'),
-            2: document.getElementById('userZip'),
-            3: document.getElementById('userEmail'),
-            4: document.getElementById('userPhone')
-        };
-        return inputs[stepIndex];
+    /**
+     * Visible, enabled elements in the quiz card that Tab can reach
+     */
+    function getFocusableElements(container) {
+        const selector = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+        return Array.from(container.querySelectorAll(selector)).filter(el =>
+            el.tabIndex !== -1 && !el.closest('.hidden, [aria-hidden="true"]')
+        );
+    }
+
+    /**
+     * Where focus may go while the quiz is sticky: the card, plus the
+     * consent banner while it is showing, since it sits above the quiz
+     * and still needs an answer
+     */
+    function getModalRegions(quizCard) {
+        const banner = document.getElementById('consentBanner');
+        return banner && !banner.hidden ? [quizCard, banner] : [quizCard];
+    }
+
+    // Tab and Shift+Tab wrap around inside the card; Escape leaves sticky mode
+    function handleModalKeydown(e) {
+        const quizCard = document.getElementById('quizCard');
+        if (!quizCard) return;
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            stickyDismissed = true;
+            removeQuizSticky();
+            saveQuizState();
+            return;
+        }
+        if (e.key !== 'Tab') return;
+
+        const regions = getModalRegions(quizCard);
+        const focusable = [].concat.apply([], regions.map(getFocusableElements));
+        if (!focusable.length) {
+            e.preventDefault();
+            quizCard.focus();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = document.activeElement;
+        const outside = !regions.some(region => region.contains(active));
+
+        if (e.shiftKey && (active === first || outside)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (active === last || outside)) {
+            e.preventDefault();
+            first.focus();
+        }
     }
 
-    function updatePersonalizedMessages(name) {
-        const step2Title = document.getElementById('step2Title');
-        const step3Title = document.getElementById('step3Title');
-        const step4Title = document.getElementById('step4Title');
+    // Pulls focus back if it escapes the card some other way (e.g. a click)
+    function handleModalFocusIn(e) {
+        const quizCard = document.getElementById('quizCard');
+        if (!quizCard || getModalRegions(quizCard).some(region => region.contains(e.target))) return;
 
-        if (step2Title) step2Title.textContent = `Hi ${name}! What's your zip code?`;
-        if (step3Title) step3Title.textContent = `${name}, what's your email?`;
-        if (step4Title) step4Title.textContent = `Last step ${name}! What's your phone number?`;
+        const focusable = getFocusableElements(quizCard);
+        (focusable[0] || quizCard).focus();
     }
 
-    function showStep(stepIndex) {
-        document.querySelectorAll('.quiz-step').forEach(step => {
-            step.classList.add('hidden');
+    /**
+     * @param {number} stepIndex
+     * @param {Object} [options] - restored: resuming a saved quiz, so
+     *   one-time side effects (the Lead event) are not repeated
+     */
+    function showStep(stepIndex, options = {}) {
+        const step = QUIZ_STEPS[stepIndex];
+
+        document.querySelectorAll('.quiz-step').forEach(stepEl => {
+            stepEl.classList.add('hidden');
         });
 
-        const currentStepEl = document.getElementById(quizData.steps[stepIndex]);
+        const currentStepEl = document.getElementById(step.id);
         if (currentStepEl) {
             currentStepEl.classList.remove('hidden');
 
+            const titleEl = document.getElementById(step.id + 'Title');
+            if (titleEl) titleEl.textContent = resolveTitle(step);
+
+            const contentEl = document.getElementById(step.id + 'Content');
+            if (contentEl) fillContent(contentEl, step);
+
             const progressBar = currentStepEl.querySelector('.progress-bar');
-            if (progressBar) progressBar.style.width = quizData.progress[stepIndex] + '%';
+            if (progressBar) progressBar.style.width = getProgress(stepIndex) + '%';
+
+            recordExperimentExposures(currentStepEl);
 
+            // Move focus into the new step - the old one is now hidden
             const input = currentStepEl.querySelector('.quiz-input');
             if (input) {
                 setTimeout(() => input.focus(), 100);
+            } else {
+                const focusTarget = titleEl || currentStepEl;
+                if (!titleEl) currentStepEl.tabIndex = -1;
+                focusTarget.focus();
+            }
+
+            const quizCard = document.getElementById('quizCard');
+            if (quizCard && titleEl && quizCard.getAttribute('role') === 'dialog') {
+                quizCard.setAttribute('aria-labelledby', titleEl.id);
             }
 
-            if (window.innerWidth < 768) {
-                const quizCard = document.getElementById('quizCard');
-                if (quizCard) {
-                    quizCard.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                }
+            if (quizCard && window.innerWidth < 768) {
+                quizCard.scrollIntoView({ behavior: 'smooth', block: 'center' });
             }
         }
 
         const footer = document.getElementById('quizFooter');
         if (footer) {
-            footer.style.display = stepIndex === 5 ? 'none' : 'block';
+            footer.style.display = step.type === 'success' ? 'none' : 'block';
         }
 
-        if (stepIndex === 5) {
-            console.log('📄 Thank you page (Step 5) now visible to user');
+        if (step.type === 'success') {
+            log.info(`📄 Thank you page (${step.id}) now visible to user`);
             
             removeQuizSticky();
             
-            if (typeof fbq === 'function') {
-                fbq('track', 'Lead', {value: 0.00, currency: 'USD'});
-                console.log("🔥 REAL Facebook Lead event fired on thank-you step");
+            // eventId matches the webhook's server-side Lead event so Meta dedupes them
+            if (!options.restored) {
+                track('lead', { value: 0.00, currency: 'USD' }, { eventId: submissionId });
+                log.info("🔥 Lead event fired on thank-you step");
             }
+
+            const bookingWidget = currentStepEl && currentStepEl.querySelector('.booking-widget');
+            if (bookingWidget && submissionId) initBookingWidget(bookingWidget, submissionId);
         }
 
         currentStep = stepIndex;
+        setAnalyticsContext({ step: step.id });
+        saveQuizState();
+    }
+
+    /**
+     * Sticky mode follows the step when moving through history: off at
+     * the first question and the endings, and off for good once the
+     * visitor has closed it with Escape
+     */
+    function syncStickyMode(stepIndex) {
+        if (stepIndex === 0 || QUIZ_STEPS[stepIndex].type === 'success' || stickyDismissed) {
+            removeQuizSticky();
+        } else {
+            makeQuizSticky();
+        }
     }
 
     function removeQuizSticky() {
@@ -533,6 +2798,9 @@ console.log("🚀 Script loaded - v4.0 (Enhanced Lead Submission)");
         
         if (quizCard) {
             quizCard.classList.remove('quiz-sticky-active');
+            quizCard.removeAttribute('role');
+            quizCard.removeAttribute('aria-modal');
+            quizCard.removeAttribute('aria-labelledby');
         }
         
         if (overlay) {
@@ -540,8 +2808,10 @@ console.log("🚀 Script loaded - v4.0 (Enhanced Lead Submission)");
         }
         
         body.classList.remove('quiz-modal-open');
+        document.removeEventListener('keydown', handleModalKeydown);
+        document.removeEventListener('focusin', handleModalFocusIn);
         
-        console.log('✅ Quiz sticky mode removed - user can scroll freely');
+        log.info('✅ Quiz sticky mode removed - user can scroll freely');
     }
 
     function initCTAs() {
@@ -549,6 +2819,7 @@ console.log("🚀 Script loaded - v4.0 (Enhanced Lead Submission)");
         ctaButtons.forEach(btn => {
             if (!btn.closest('.quiz-card')) {
                 btn.addEventListener('click', function(e) {
+                    track('cta_click', { cta_text: btn.textContent.trim().slice(0, 100) });
                     const quizCard = document.getElementById('quizCard');
                     if (quizCard) {
                         e.preventDefault();
@@ -575,3 +2846,659 @@ console.log("🚀 Script loaded - v4.0 (Enhanced Lead Submission)");
         initCTAs();
     }
 })();
+
+// -------------------------------------------------
+//          EXIT INTENT - Last-chance call offer
+// -------------------------------------------------
+// Shows #exitPopup when a visitor looks like they're leaving:
+//   desktop - the mouse leaves through the top of the window
+//   mobile  - a fast scroll back up, or a long pause
+//   both    - pressing Back (a history entry is added on first interaction)
+// Capped per visitor across visits, and never shown to anyone who has
+// sent a lead or tapped a phone number.
+
+const EXIT_INTENT = {
+    STORAGE_KEY: 'doski_exit_intent',
+    MAX_SHOWS: 2,                           // per visitor...
+    CAP_PERIOD_MS: 7 * 24 * 60 * 60 * 1000, // ...within this period
+    MIN_TIME_ON_PAGE_MS: 5000,              // never on a visitor who just arrived
+    SCROLL_UP_MIN_PX: 300,                  // fast scroll-up: distance...
+    SCROLL_UP_WINDOW_MS: 400,               // ...covered within this time
+    SCROLL_UP_MIN_DEPTH_PX: 800,            // and only after reading down the page
+    INACTIVITY_MS: 45000
+};
+
+const CONVERTED_STORAGE_KEY = 'doski_converted';
+
+/**
+ * Remembers that this visitor has converted, so sales prompts stop
+ * @param {string} how - 'lead' or 'call'
+ */
+function markVisitorConverted(how) {
+    try {
+        localStorage.setItem(CONVERTED_STORAGE_KEY, JSON.stringify({ how: how, at: new Date().toISOString() }));
+    } catch (error) {
+        window.doskiConverted = true;
+    }
+}
+
+function hasVisitorConverted() {
+    try {
+        return window.doskiConverted === true || !!localStorage.getItem(CONVERTED_STORAGE_KEY);
+    } catch (error) {
+        return window.doskiConverted === true;
+    }
+}
+
+(function initExitIntent() {
+    const loadedAt = Date.now();
+    let shownThisPage = false;
+    let sentinelArmed = false;
+    let lastFocus = null;
+    let inactivityTimer = null;
+    const scrollSamples = [];
+
+    function trackExitIntent(action, params) {
+        track('exit_intent_' + action, params);
+        log.info(`🚪 Exit intent: ${action}`, params || '');
+    }
+
+    function readShows() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(EXIT_INTENT.STORAGE_KEY) || '{}');
+            return Array.isArray(stored.shows) ? stored.shows : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    function recordShow() {
+        const cutoff = Date.now() - EXIT_INTENT.CAP_PERIOD_MS;
+        const shows = readShows().filter(at => at > cutoff).concat(Date.now());
+        try {
+            localStorage.setItem(EXIT_INTENT.STORAGE_KEY, JSON.stringify({ shows: shows }));
+        } catch (error) {
+            // Private mode - capped to once per page load only
+        }
+    }
+
+    function isCapped() {
+        const cutoff = Date.now() - EXIT_INTENT.CAP_PERIOD_MS;
+        return readShows().filter(at => at > cutoff).length >= EXIT_INTENT.MAX_SHOWS;
+    }
+
+    function canShow() {
+        if (shownThisPage || hasVisitorConverted()) return false;
+        if (Date.now() - loadedAt < EXIT_INTENT.MIN_TIME_ON_PAGE_MS) return false;
+        // Don't stack a dialog on the quiz while someone is filling it in
+        if (document.body.classList.contains('quiz-modal-open')) return false;
+        return !isCapped();
+    }
+
+    /**
+     * @returns {boolean} Whether the popup was shown
+     */
+    function show(trigger) {
+        const popup = document.getElementById('exitPopup');
+        if (!popup || !canShow()) return false;
+
+        shownThisPage = true;
+        recordShow();
+        stopWatching();
+
+        lastFocus = document.activeElement;
+        popup.style.display = 'flex';
+        popup.setAttribute('aria-hidden', 'false');
+        document.addEventListener('keydown', handleKeydown);
+
+        const callButton = popup.querySelector('.exit-call-btn');
+        if (callButton) callButton.focus();
+
+        trackExitIntent('shown', { 'trigger': trigger });
+        return true;
+    }
+
+    function hide(method) {
+        const popup = document.getElementById('exitPopup');
+        if (!popup || popup.style.display !== 'flex') return;
+
+        popup.style.display = 'none';
+        popup.setAttribute('aria-hidden', 'true');
+        document.removeEventListener('keydown', handleKeydown);
+        if (lastFocus && typeof lastFocus.focus === 'function') lastFocus.focus();
+
+        if (method) trackExitIntent('dismissed', { 'method': method });
+    }
+
+    function handleKeydown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            hide('escape');
+        }
+    }
+
+    // ========== TRIGGERS ==========
+
+    function handleMouseLeave(e) {
+        if (e.clientY <= 0) show('mouse_leave');
+    }
+
+    function handleScroll() {
+        const now = Date.now();
+        const y = window.scrollY || window.pageYOffset || 0;
+        scrollSamples.push({ y: y, at: now });
+        while (scrollSamples.length && now - scrollSamples[0].at > EXIT_INTENT.SCROLL_UP_WINDOW_MS) {
+            scrollSamples.shift();
+        }
+
+        const highest = Math.max.apply(null, scrollSamples.map(sample => sample.y));
+        if (highest >= EXIT_INTENT.SCROLL_UP_MIN_DEPTH_PX && highest - y >= EXIT_INTENT.SCROLL_UP_MIN_PX) {
+            show('scroll_up');
+        }
+    }
+
+    function resetInactivityTimer() {
+        clearTimeout(inactivityTimer);
+        inactivityTimer = setTimeout(() => show('inactivity'), EXIT_INTENT.INACTIVITY_MS);
+    }
+
+    // History entries for later quiz steps sit above the sentinel
+    function isPastFirstQuestion(state) {
+        return typeof state.quizStep === 'string' && state.quizStep !== QUIZ_STEPS[0].id;
+    }
+
+    /**
+     * Adds a history entry on an interaction (browsers ignore entries
+     * added before one), so Back lands on this page once more. Only
+     * armed at the quiz's first question - quiz steps have their own
+     * history entries, pushed on top of this one - and only while the
+     * popup could show, or Back would seem to do nothing.
+     * @returns {boolean} Whether to stop trying
+     */
+    function armBackSentinel() {
+        if (sentinelArmed) return true;
+        const state = history.state || {};
+        if (isPastFirstQuestion(state) || state.exitSentinel) return true;
+        if (!canShow()) return shownThisPage || hasVisitorConverted() || isCapped();
+
+        sentinelArmed = true;
+        history.pushState(Object.assign({}, state, { exitSentinel: true, pageDepth: getPageDepth() + 1 }), '');
+        return true;
+    }
+
+    function handlePopState(e) {
+        if (!sentinelArmed || rewindingPageHistory) return;
+        const state = e.state || {};
+        // Moving between quiz steps or back onto the sentinel isn't leaving
+        if (state.exitSentinel || isPastFirstQuestion(state)) return;
+        // Nothing to show - carry on with the Back the visitor pressed
+        if (!show('back_button')) history.back();
+    }
+
+    function handleInteraction() {
+        if (!armBackSentinel()) return;
+        ['touchstart', 'scroll', 'keydown', 'click'].forEach(type => {
+            window.removeEventListener(type, handleInteraction, true);
+        });
+    }
+
+    function stopWatching() {
+        clearTimeout(inactivityTimer);
+        document.removeEventListener('mouseleave', handleMouseLeave);
+        window.removeEventListener('scroll', handleScroll);
+        ['touchstart', 'scroll', 'keydown'].forEach(type => {
+            window.removeEventListener(type, resetInactivityTimer);
+        });
+    }
+
+    function init() {
+        const popup = document.getElementById('exitPopup');
+        if (!popup || hasVisitorConverted()) return;
+
+        popup.setAttribute('aria-hidden', 'true');
+
+        // Dismiss: close button, or a tap on the backdrop
+        popup.addEventListener('click', function(e) {
+            if (e.target.closest('.exit-popup-close')) {
+                hide('close_button');
+            } else if (e.target === popup) {
+                hide('backdrop');
+            } else if (e.target.closest('a[href^="tel:"]')) {
+                trackExitIntent('call_click', { 'link': e.target.closest('a').className });
+                hide();
+            }
+        });
+
+        const isTouch = typeof window.matchMedia === 'function' && window.matchMedia('(pointer: coarse)').matches;
+
+        if (isTouch) {
+            window.addEventListener('scroll', handleScroll, { passive: true });
+            ['touchstart', 'scroll', 'keydown'].forEach(type => {
+                window.addEventListener(type, resetInactivityTimer, { passive: true });
+            });
+            resetInactivityTimer();
+        } else {
+            document.addEventListener('mouseleave', handleMouseLeave);
+        }
+
+        window.addEventListener('popstate', handlePopState);
+        ['touchstart', 'scroll', 'keydown', 'click'].forEach(type => {
+            window.addEventListener(type, handleInteraction, true);
+        });
+    }
+
+    // Tapping any phone number counts as converting
+    document.addEventListener('click', function(e) {
+        if (e.target.closest && e.target.closest('a[href^="tel:"]')) {
+            markVisitorConverted('call');
+        }
+    });
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
+
+// -------------------------------------------------
+//          SOCIAL PROOF - Recent jobs popup
+// -------------------------------------------------
+// Cycles through recently completed jobs from the webhook's
+// ?action=recent_jobs feed (the "Completed Jobs" sheet). The feed is
+// cached in localStorage; if it is empty or unreachable the popup
+// simply never appears.
+
+const SOCIAL_PROOF = {
+    ENABLED: true,
+    POSITION: 'bottom-left',            // or 'bottom-right'
+    FIRST_DELAY_MS: 3000,
+    VISIBLE_MS: 5000,
+    INTERVAL_MS: 10000,                 // from one popup to the next
+    MAX_PER_PAGE: 6,
+    CACHE_KEY: 'doski_recent_jobs',
+    CACHE_TTL_MS: 30 * 60 * 1000
+};
+
+/**
+ * Recent jobs from cache or the webhook
+ * @returns {Promise<Array>} - Newest first; [] when there are none
+ */
+async function loadRecentJobs() {
+    let cached = null;
+    try {
+        cached = JSON.parse(localStorage.getItem(SOCIAL_PROOF.CACHE_KEY) || 'null');
+    } catch (error) {
+        cached = null;
+    }
+    if (cached && Date.now() - cached.fetchedAt < SOCIAL_PROOF.CACHE_TTL_MS) {
+        return cached.jobs;
+    }
+
+    try {
+        const response = await fetchWithTimeout(CONFIG.GOOGLE_SHEETS_WEBHOOK + '?action=recent_jobs', { method: 'GET' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const data = await response.json();
+        const jobs = Array.isArray(data.jobs) ? data.jobs : [];
+        try {
+            localStorage.setItem(SOCIAL_PROOF.CACHE_KEY, JSON.stringify({ fetchedAt: Date.now(), jobs: jobs }));
+        } catch (error) {
+            // Private mode - fetched again next page view
+        }
+        return jobs;
+    } catch (error) {
+        log.warn('⚠️ Recent jobs unavailable:', error.message);
+        return cached ? cached.jobs : []; // An old list beats none
+    }
+}
+
+/**
+ * "today", "yesterday", "3 days ago", "2 weeks ago", "1 month ago"
+ * @param {string} day - "YYYY-MM-DD"
+ * @param {Date} [now]
+ */
+function formatDaysAgo(day, now) {
+    const parts = String(day).split('-').map(Number);
+    const then = new Date(parts[0], parts[1] - 1, parts[2]);
+    const today = now ? new Date(now) : new Date();
+    today.setHours(0, 0, 0, 0);
+
+    const days = Math.max(0, Math.round((today - then) / (24 * 60 * 60 * 1000)));
+    if (days === 0) return 'today';
+    if (days === 1) return 'yesterday';
+    if (days < 7) return days + ' days ago';
+    if (days < 30) {
+        const weeks = Math.floor(days / 7);
+        return weeks === 1 ? '1 week ago' : weeks + ' weeks ago';
+    }
+    const months = Math.floor(days / 30);
+    return months === 1 ? '1 month ago' : months + ' months ago';
+}
+
+/**
+ * Popup text for a job
+ * @returns {{name: string, action: string, time: string}}
+ */
+function describeJob(job, now) {
+    const place = job.state ? job.town + ', ' + job.state : job.town;
+    const service = job.service ? job.service.toLowerCase() : 'concrete coating';
+    return {
+        name: job.first_name ? job.first_name + ' from ' + place : 'A homeowner in ' + place,
+        action: 'Had a ' + service + ' installed',
+        time: 'Completed ' + formatDaysAgo(job.completed_on, now)
+    };
+}
+
+(function initSocialProof() {
+    let jobs = [];
+    let nextIndex = 0;
+    let shownCount = 0;
+
+    // Nothing competes with the quiz, the exit popup or the consent banner
+    function isPaused() {
+        const exitPopup = document.getElementById('exitPopup');
+        const consentBanner = document.getElementById('consentBanner');
+        return document.body.classList.contains('quiz-modal-open') ||
+            (exitPopup && exitPopup.style.display === 'flex') ||
+            (consentBanner && !consentBanner.hidden);
+    }
+
+    function showNext() {
+        const popup = document.getElementById('socialProofPopup');
+
+        if (!isPaused()) {
+            const text = describeJob(jobs[nextIndex]);
+            document.getElementById('proofName').textContent = text.name;
+            document.getElementById('proofAction').textContent = text.action;
+            document.getElementById('proofTime').textContent = text.time;
+
+            popup.classList.add('show');
+            setTimeout(() => popup.classList.remove('show'), SOCIAL_PROOF.VISIBLE_MS);
+
+            nextIndex = (nextIndex + 1) % jobs.length;
+            shownCount++;
+        }
+
+        if (shownCount < SOCIAL_PROOF.MAX_PER_PAGE) {
+            setTimeout(showNext, SOCIAL_PROOF.INTERVAL_MS);
+        }
+    }
+
+    async function init() {
+        const popup = document.getElementById('socialProofPopup');
+        if (!popup || !SOCIAL_PROOF.ENABLED) return;
+
+        if (SOCIAL_PROOF.POSITION === 'bottom-right') {
+            popup.classList.add('social-proof-right');
+        }
+
+        jobs = await loadRecentJobs();
+        if (!jobs.length) return;
+
+        // This market's towns first; the sort keeps newest-first within each
+        const towns = getMarketTowns();
+        const local = job => towns.indexOf(String(job.town).toLowerCase()) !== -1;
+        jobs = jobs.slice().sort((a, b) => local(b) - local(a));
+
+        setTimeout(showNext, SOCIAL_PROOF.FIRST_DELAY_MS);
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
+
+// -------------------------------------------------
+//          BOOKING - Quote visits from the thank-you step
+// -------------------------------------------------
+// For visitors who can't call: open slots come from the webhook's
+// ?action=booking_slots (the "Schedule" sheet, minus "Bookings"), and
+// a pick is reserved with a {type: 'booking'} POST that the webhook
+// re-checks under its lock. The confirmation offers an .ics file.
+
+const BOOKING = {
+    STORAGE_KEY: 'doski_booking',   // sessionStorage: the confirmed visit
+    DAYS_SHOWN: 5,                  // days with open slots offered at once
+    ICS_FILENAME: 'doski-quote-visit.ics'
+};
+
+/**
+ * Open slots from the webhook
+ * @returns {Promise<Array<{start: string, end: string}>>} - ISO times, soonest first
+ */
+async function fetchBookingSlots() {
+    const response = await fetchWithTimeout(CONFIG.GOOGLE_SHEETS_WEBHOOK + '?action=booking_slots', { method: 'GET' });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    const data = await response.json();
+    return Array.isArray(data.slots) ? data.slots : [];
+}
+
+/**
+ * Asks the webhook to reserve a slot for a saved lead
+ * @returns {Promise<Object>} - The webhook's reply; status is "booked",
+ *   "slot_taken", "already_booked", "lead_not_found" or "rate_limited"
+ */
+async function requestBooking(submissionId, slotStart) {
+    const response = await fetchWithTimeout(CONFIG.GOOGLE_SHEETS_WEBHOOK, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/plain' }, // Required for Google Apps Script
+        body: JSON.stringify({
+            type: 'booking',
+            submission_id: submissionId,
+            client_id: getClientFingerprint(),
+            slot_start: slotStart,
+            timestamp: new Date().toISOString()
+        })
+    });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    return response.json();
+}
+
+/**
+ * Calendar file for a confirmed visit
+ * @param {{start: string, end: string, owner: string, address: string}} booking
+ * @param {string} submissionId - Keeps the event's UID stable
+ * @returns {string} - iCalendar text
+ */
+function buildBookingIcs(booking, submissionId) {
+    const icsTime = iso => new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const escape = text => String(text || '').replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/([,;])/g, '\\$1');
+    const phone = getMarketValue('phone');
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Doski Concrete Coatings//Quote Visit//EN',
+        'BEGIN:VEVENT',
+        'UID:' + submissionId + '@doski',
+        'DTSTAMP:' + icsTime(new Date().toISOString()),
+        'DTSTART:' + icsTime(booking.start),
+        'DTEND:' + icsTime(booking.end),
+        'SUMMARY:' + escape('Doski free quote visit'),
+        'DESCRIPTION:' + escape(`Free on-site quote${booking.owner ? ' with ' + booking.owner : ''}. Need to change it? Call ${phone}.`)
+    ];
+    if (booking.address) lines.push('LOCATION:' + escape(booking.address));
+    lines.push('END:VEVENT', 'END:VCALENDAR');
+
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * "Tue, Oct 20" and "10:00 AM" in the visitor's time zone
+ */
+function formatSlotDay(iso) {
+    return new Date(iso).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+}
+
+function formatSlotTime(iso) {
+    return new Date(iso).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+}
+
+/**
+ * Fills the thank-you step's booking widget. Safe to call again when
+ * the step is shown again.
+ * @param {HTMLElement} widget - The .booking-widget element
+ * @param {string} submissionId - The lead the visit is booked for
+ */
+function initBookingWidget(widget, submissionId) {
+    if (widget.getAttribute('data-ready') === 'true') return;
+    widget.setAttribute('data-ready', 'true');
+
+    const slotsEl = widget.querySelector('.booking-slots');
+    const messageEl = widget.querySelector('.booking-message');
+
+    function readSaved() {
+        try {
+            const saved = JSON.parse(sessionStorage.getItem(BOOKING.STORAGE_KEY) || 'null');
+            return saved && saved.submissionId === submissionId ? saved.booking : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function save(booking) {
+        try {
+            sessionStorage.setItem(BOOKING.STORAGE_KEY, JSON.stringify({ submissionId: submissionId, booking: booking }));
+        } catch (error) {
+            // Private mode - the confirmation just isn't restored after a reload
+        }
+    }
+
+    function renderConfirmation(booking) {
+        widget.querySelector('.booking-title').textContent = "You're booked!";
+        messageEl.textContent = '';
+        slotsEl.innerHTML = '';
+
+        const details = document.createElement('p');
+        details.className = 'booking-confirmation';
+        details.textContent = `${formatSlotDay(booking.start)} at ${formatSlotTime(booking.start)}` +
+            (booking.owner ? ` with ${booking.owner}` : '') + ". We'll call the day before to confirm.";
+
+        const download = document.createElement('a');
+        download.className = 'booking-ics';
+        download.href = 'data:text/calendar;charset=utf-8,' + encodeURIComponent(buildBookingIcs(booking, submissionId));
+        download.setAttribute('download', BOOKING.ICS_FILENAME);
+        download.textContent = '📅 Add to my calendar';
+
+        slotsEl.appendChild(details);
+        slotsEl.appendChild(download);
+        widget.hidden = false;
+    }
+
+    function renderSlots(slots) {
+        slotsEl.innerHTML = '';
+
+        const days = [];
+        const byDay = {};
+        slots.forEach(slot => {
+            const day = formatSlotDay(slot.start);
+            if (!byDay[day]) {
+                if (days.length === BOOKING.DAYS_SHOWN) return;
+                byDay[day] = [];
+                days.push(day);
+            }
+            byDay[day].push(slot);
+        });
+
+        days.forEach(day => {
+            const dayEl = document.createElement('div');
+            dayEl.className = 'booking-day';
+            dayEl.setAttribute('role', 'group');
+
+            const label = document.createElement('p');
+            label.className = 'booking-day-label';
+            label.id = 'bookingDay' + days.indexOf(day);
+            label.textContent = day;
+            dayEl.setAttribute('aria-labelledby', label.id);
+            dayEl.appendChild(label);
+
+            const times = document.createElement('div');
+            times.className = 'booking-times';
+            byDay[day].forEach(slot => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'booking-slot';
+                button.setAttribute('data-slot', slot.start);
+                button.textContent = formatSlotTime(slot.start);
+                button.addEventListener('click', () => book(slot));
+                times.appendChild(button);
+            });
+            dayEl.appendChild(times);
+            slotsEl.appendChild(dayEl);
+        });
+
+        widget.hidden = days.length === 0;
+    }
+
+    async function loadSlots() {
+        try {
+            renderSlots(await fetchBookingSlots());
+        } catch (error) {
+            log.warn('⚠️ Booking slots unavailable:', error.message);
+            widget.hidden = true;
+        }
+    }
+
+    async function book(slot) {
+        slotsEl.querySelectorAll('.booking-slot').forEach(button => { button.disabled = true; });
+        messageEl.textContent = '⏳ Booking...';
+
+        let result;
+        try {
+            result = await requestBooking(submissionId, slot.start);
+        } catch (error) {
+            log.error('❌ Booking failed:', error.message);
+            reportClientError('booking_failed', error);
+            result = { success: false };
+        }
+
+        if (result.success && result.booking) {
+            log.info(`📅 Quote visit booked for ${result.booking.start}`);
+            save(result.booking);
+            renderConfirmation(result.booking);
+            widget.querySelector('.booking-title').focus();
+
+            track('booking_confirmed', { 'event_label': 'quote_visit' });
+            return;
+        }
+
+        if (result.status === 'slot_taken') {
+            messageEl.textContent = 'Sorry, that time was just taken - please pick another.';
+            await loadSlots();
+            return;
+        }
+
+        messageEl.textContent = `We couldn't book that online. Please call us at ${getMarketValue('phone')}.`;
+        slotsEl.querySelectorAll('.booking-slot').forEach(button => { button.disabled = false; });
+    }
+
+    function start() {
+        const saved = readSaved();
+        if (saved) {
+            renderConfirmation(saved);
+        } else {
+            loadSlots();
+        }
+    }
+
+    // A lead still queued for the sheet can't be booked yet - stay hidden
+    // until the outbox delivers it
+    if (isLeadInSheet(submissionId)) {
+        start();
+    } else {
+        widget.hidden = true;
+        window.addEventListener('leadsaved', function onLeadSaved(e) {
+            if (e.detail.submissionId !== submissionId) return;
+            window.removeEventListener('leadsaved', onLeadSaved);
+            start();
+        });
+    }
+}
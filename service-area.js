@@ -0,0 +1,86 @@
+// =============================================================
+//          SERVICE AREA - ZIP codes we serve
+// =============================================================
+// Shared by the landing page (loaded before script.js) and the Apps
+// Script webhook (add it to the project as a script file named
+// "service-area"). Plain data and functions only, so it runs in both.
+//
+// Tiers are travel zones from the Binghamton shop:
+//   1 - Binghamton metro, no travel charge
+//   2 - Up to ~45 minutes out
+//   3 - Long-distance jobs, scheduled in batches
+
+const SERVICE_AREA_ZIPS = {
+    // Tier 1 - Binghamton metro
+    '13901': { city: 'Binghamton', state: 'NY', tier: 1 },
+    '13902': { city: 'Binghamton', state: 'NY', tier: 1 },
+    '13903': { city: 'Binghamton', state: 'NY', tier: 1 },
+    '13904': { city: 'Binghamton', state: 'NY', tier: 1 },
+    '13905': { city: 'Binghamton', state: 'NY', tier: 1 },
+    '13790': { city: 'Johnson City', state: 'NY', tier: 1 },
+    '13760': { city: 'Endicott', state: 'NY', tier: 1 },
+    '13850': { city: 'Vestal', state: 'NY', tier: 1 },
+    '13795': { city: 'Kirkwood', state: 'NY', tier: 1 },
+    '13748': { city: 'Conklin', state: 'NY', tier: 1 },
+    '13833': { city: 'Port Crane', state: 'NY', tier: 1 },
+    '13745': { city: 'Chenango Bridge', state: 'NY', tier: 1 },
+    '13746': { city: 'Chenango Forks', state: 'NY', tier: 1 },
+    '13744': { city: 'Castle Creek', state: 'NY', tier: 1 },
+    '13802': { city: 'Maine', state: 'NY', tier: 1 },
+
+    // Tier 2 - Broome, Tioga and northern Susquehanna County
+    '13732': { city: 'Apalachin', state: 'NY', tier: 2 },
+    '13827': { city: 'Owego', state: 'NY', tier: 2 },
+    '13811': { city: 'Newark Valley', state: 'NY', tier: 2 },
+    '13736': { city: 'Berkshire', state: 'NY', tier: 2 },
+    '13743': { city: 'Candor', state: 'NY', tier: 2 },
+    '13812': { city: 'Nichols', state: 'NY', tier: 2 },
+    '13845': { city: 'Tioga Center', state: 'NY', tier: 2 },
+    '13862': { city: 'Whitney Point', state: 'NY', tier: 2 },
+    '13797': { city: 'Lisle', state: 'NY', tier: 2 },
+    '13777': { city: 'Glen Aubrey', state: 'NY', tier: 2 },
+    '13778': { city: 'Greene', state: 'NY', tier: 2 },
+    '13865': { city: 'Windsor', state: 'NY', tier: 2 },
+    '13787': { city: 'Harpursville', state: 'NY', tier: 2 },
+    '13754': { city: 'Deposit', state: 'NY', tier: 2 },
+    '18822': { city: 'Hallstead', state: 'PA', tier: 2 },
+    '18821': { city: 'Great Bend', state: 'PA', tier: 2 },
+    '18801': { city: 'Montrose', state: 'PA', tier: 2 },
+    '18847': { city: 'Susquehanna', state: 'PA', tier: 2 },
+
+    // Tier 3 - Elmira, Ithaca, Cortland, Norwich and the Valley
+    '14892': { city: 'Waverly', state: 'NY', tier: 3 },
+    '18840': { city: 'Sayre', state: 'PA', tier: 3 },
+    '14850': { city: 'Ithaca', state: 'NY', tier: 3 },
+    '14901': { city: 'Elmira', state: 'NY', tier: 3 },
+    '14903': { city: 'Elmira', state: 'NY', tier: 3 },
+    '14904': { city: 'Elmira', state: 'NY', tier: 3 },
+    '14905': { city: 'Elmira', state: 'NY', tier: 3 },
+    '14845': { city: 'Horseheads', state: 'NY', tier: 3 },
+    '13045': { city: 'Cortland', state: 'NY', tier: 3 },
+    '13815': { city: 'Norwich', state: 'NY', tier: 3 }
+};
+
+/**
+ * Looks up a ZIP code in the service area
+ * @param {string} zip - 5-digit ZIP (ZIP+4 is trimmed)
+ * @returns {{inArea: boolean, zip: string, city: string, state: string, tier: number|null, zone: string}}
+ *   zone is "Tier 1".."Tier 3" or "Out of area"
+ */
+function lookupServiceArea(zip) {
+    const key = String(zip || '').trim().slice(0, 5);
+    const entry = SERVICE_AREA_ZIPS[key];
+
+    if (!entry) {
+        return { inArea: false, zip: key, city: '', state: '', tier: null, zone: 'Out of area' };
+    }
+
+    return {
+        inArea: true,
+        zip: key,
+        city: entry.city,
+        state: entry.state,
+        tier: entry.tier,
+        zone: 'Tier ' + entry.tier
+    };
+}
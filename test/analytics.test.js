@@ -0,0 +1,130 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer } = require('./helpers/mock-server');
+const { loadPage } = require('./helpers/load-page');
+
+describe('analytics', () => {
+    let server;
+    let page;
+
+    before(async () => {
+        server = await startMockServer();
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    afterEach(() => {
+        if (page) page.close();
+        page = null;
+        server.reset();
+    });
+
+    function recordClarity() {
+        const calls = [];
+        page.window.clarity = (...args) => calls.push(args);
+        return calls;
+    }
+
+    it('sends each event to the providers in its catalog entry', async () => {
+        page = await loadPage({ server, path: 'ithaca' });
+        const clarityCalls = recordClarity();
+
+        page.window.eval("track('call_click', { link_location: 'page' })");
+
+        const [event] = page.gtagEvents().filter(e => e.name === 'call_click');
+        assert.equal(event.params.event_category, 'CTA');
+        assert.equal(event.params.link_location, 'page');
+        assert.equal(event.params.market, 'ithaca');
+        assert.ok(event.params.session_id);
+        assert.match(event.params.variant, /headline_test_2:/);
+
+        const contact = page.fbqCalls.find(call => call[1] === 'Contact');
+        assert.equal(contact[2].link_location, 'page');
+        assert.equal(contact[2].session_id, undefined);
+
+        assert.ok(clarityCalls.some(call => call[0] === 'event' && call[1] === 'call_click'));
+        assert.ok(clarityCalls.some(call => call[0] === 'set' && call[1] === 'market' && call[2] === 'ithaca'));
+    });
+
+    it('renames events for GA4 and keeps the Pixel event id', async () => {
+        page = await loadPage({ server });
+        page.window.eval("track('lead', { value: 0, currency: 'USD' }, { eventId: 'sub-1' })");
+
+        assert.equal(page.gtagEvents().filter(e => e.name === 'generate_lead').length, 1);
+        const lead = page.fbqCalls.find(call => call[1] === 'Lead');
+        assert.equal(lead[3].eventID, 'sub-1');
+    });
+
+    it('drops events missing from the catalog', async () => {
+        page = await loadPage({ server });
+        page.window.eval("track('made_up_event')");
+
+        assert.equal(page.gtagEvents().some(e => e.name === 'made_up_event'), false);
+        assert.equal(page.errors.length, 0);
+    });
+
+    it('queues events until a provider is ready', async () => {
+        page = await loadPage({ server });
+        page.window.eval("var realGtag = gtag; gtag = undefined; track('cta_click', { cta_text: 'Get a quote' })");
+        assert.equal(page.gtagEvents().some(e => e.name === 'cta_click'), false);
+
+        page.window.eval('gtag = realGtag; flushAnalyticsQueue()');
+        assert.equal(page.gtagEvents().filter(e => e.name === 'cta_click').length, 1);
+
+        page.window.eval('flushAnalyticsQueue()');
+        assert.equal(page.gtagEvents().filter(e => e.name === 'cta_click').length, 1);
+    });
+
+    it('tracks the quiz start, completed steps and validation errors', async () => {
+        page = await loadPage({ server });
+        page.choose('yes');
+        await page.waitForStep('stepProjectType');
+
+        assert.equal(page.gtagEvents().filter(e => e.name === 'quiz_start').length, 1);
+        const [completed] = page.gtagEvents().filter(e => e.name === 'quiz_step_complete');
+        assert.equal(completed.params.step_id, 'stepHomeowner');
+        assert.equal(completed.params.step_number, 1);
+        assert.equal(completed.params.answer, 'yes');
+
+        page.choose('Garage Floor Coating');
+        await page.waitForStep('stepGarageSize');
+        page.choose('custom');
+        await page.waitForStep('stepSqftCustom');
+        page.fill('');
+        const [error] = page.gtagEvents().filter(e => e.name === 'quiz_validation_error');
+        assert.equal(error.params.step_id, 'stepSqftCustom');
+        assert.equal(error.params.error, 'required');
+    });
+
+    it('reports calls from anywhere on the page', async () => {
+        page = await loadPage({ server });
+        ['.quiz-success .call-button', '#exitPopup .exit-popup-phone'].forEach(selector => {
+            const call = page.document.querySelector(selector);
+            call.addEventListener('click', e => e.preventDefault()); // jsdom can't open tel:
+            call.click();
+        });
+
+        const events = page.gtagEvents().filter(e => e.name === 'call_click');
+        assert.deepEqual(events.map(e => e.params.link_location), ['thank_you', 'exit_popup']);
+        assert.equal(page.fbqCalls.filter(c => c[1] === 'Contact').length, 2);
+    });
+
+    it('logs instead of sending in debug mode', async () => {
+        page = await loadPage({ server, query: 'analytics_debug=1' });
+        page.choose('yes');
+        await page.waitForStep('stepProjectType');
+
+        assert.equal(page.gtagEvents().some(e => e.name === 'quiz_start'), false);
+        const log = Array.from(page.window.eval('analyticsDebugLog'));
+        assert.ok(log.some(entry => entry.name === 'quiz_start'));
+        assert.equal(page.window.sessionStorage.getItem('doski_analytics_debug'), '1');
+
+        const storage = page.storage();
+        page.close();
+        page = await loadPage({ server, query: 'analytics_debug=0', sessionStorage: storage });
+        page.window.eval("track('cta_click')");
+        assert.equal(page.gtagEvents().filter(e => e.name === 'cta_click').length, 1);
+    });
+});
@@ -0,0 +1,815 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { loadAppsScript } = require('./helpers/apps-script-fakes');
+const { leadPayload, partialPayload } = require('./helpers/fixtures');
+
+describe('doPost', () => {
+    let gas;
+
+    beforeEach(() => {
+        gas = loadAppsScript();
+    });
+
+    it('saves a new lead to the Leads sheet', () => {
+        const payload = leadPayload(gas, { phone: '(607) 234-5678 x12', email: ' Jane@Example.com ' });
+        const result = gas.post(payload);
+
+        assert.equal(result.success, true);
+        assert.equal(result.status, 'new');
+
+        const leads = gas.sheet('Leads');
+        assert.deepEqual(leads.headers(), Array.from(gas.constant('LEAD_COLUMNS')));
+        assert.equal(leads.protections.length, 1);
+
+        const [lead] = leads.records();
+        assert.equal(lead['First Name'], 'Jane');
+        assert.equal(lead['Phone'], '+16072345678');
+        assert.equal(lead['Phone Extension'], '12');
+        assert.equal(lead['Email'], 'jane@example.com');
+        assert.equal(lead['Submission ID'], payload.submission_id);
+        assert.equal(lead['Service Zone'], 'Tier 1');
+        assert.equal(lead['Market'], 'binghamton');
+        assert.equal(lead['Finish Type'], 'Flake');
+        assert.equal(lead['Estimate Low'], 4500);
+        assert.equal(lead['Estimate High'], 5900);
+        assert.equal(lead['Consent Text'], payload.consent_text);
+        assert.equal(lead['Consent Version'], '2026-10-18');
+        assert.equal(lead['Consent URL'], 'https://doski.test/');
+        assert.equal(lead['Experiments'], 'headline_test_2:A');
+        assert.equal(lead['First Touch Source'], 'facebook');
+        assert.equal(lead['Last Touch Campaign'], 'brand');
+        assert.equal(lead['GCLID'], 'g-1');
+        assert.equal(lead['FBCLID'], 'fb-1');
+        assert.equal(lead['Resubmitted Count'], 0);
+
+        assert.equal(gas.lock.acquired, 1);
+        assert.equal(gas.lock.held, false);
+    });
+
+    it('fills city and state from the ZIP when the page left them out', () => {
+        gas.post(leadPayload(gas, { zip: '14850', city: '', state: '' }));
+
+        const [lead] = gas.sheet('Leads').records();
+        assert.equal(lead['City'], 'Ithaca');
+        assert.equal(lead['State'], 'NY');
+        assert.equal(lead['Service Zone'], 'Tier 3');
+    });
+
+    it('takes city and state from its own ZIP table over what the page sent', () => {
+        gas.post(leadPayload(gas, { zip: '14850', city: 'Binghamton', state: 'PA' }));
+        gas.post(leadPayload(gas, { zip: '10001', city: 'New York', state: 'NY', phone: '+16072345679', email: 'b@example.com' }));
+
+        const [known, unknown] = gas.sheet('Leads').records();
+        assert.equal(known['City'], 'Ithaca');
+        assert.equal(known['State'], 'NY');
+        assert.equal(unknown['City'], 'New York');
+        assert.equal(unknown['Service Zone'], 'Out of area');
+    });
+
+    it('ignores a retry of a lead it already saved', () => {
+        const payload = leadPayload(gas);
+        gas.post(payload);
+        const result = gas.post(payload);
+
+        assert.equal(result.success, true);
+        assert.equal(result.duplicate, true);
+        assert.equal(result.reason, 'submission_id');
+        assert.equal(gas.sheet('Leads').records().length, 1);
+        assert.equal(gas.sheet('Leads').records()[0]['Resubmitted Count'], 0);
+    });
+
+    it('counts a resubmission from the same phone number', () => {
+        gas.post(leadPayload(gas));
+        const result = gas.post(leadPayload(gas, { email: 'other@example.com', phone: '607.234.5678' }));
+
+        assert.equal(result.duplicate, true);
+        assert.equal(result.reason, 'phone');
+
+        const [lead] = gas.sheet('Leads').records();
+        assert.equal(gas.sheet('Leads').records().length, 1);
+        assert.equal(lead['Resubmitted Count'], 1);
+        assert.ok(lead['Last Resubmitted At']);
+    });
+
+    it('rejects spam and logs the reason instead of saving it', () => {
+        const cases = [
+            [{ guard: { honeypot: 'http://spam.example' } }, 'honeypot'],
+            [{ guard: { token: 'forged.123.abc' } }, 'invalid_token'],
+            [{ guard: { elapsed_ms: 1500 } }, 'too_fast'],
+            [{ email: 'bot@mailinator.com' }, 'disposable_email'],
+            [{ phone: '6071234567' }, 'invalid_phone_invalid_exchange']
+        ];
+
+        cases.forEach(([overrides, reason]) => {
+            const result = gas.post(leadPayload(gas, overrides));
+            assert.deepEqual(result, { success: false, rejected: true, error: 'Submission rejected' }, reason);
+        });
+
+        assert.equal(gas.sheet('Leads').records().length, 0);
+        assert.deepEqual(gas.sheet('Rejected Leads').records().map(r => r['Reason']), cases.map(c => c[1]));
+    });
+
+    it('flags repeated submissions from one browser for review', () => {
+        const results = [];
+        for (let i = 0; i < 6; i++) {
+            results.push(gas.post(leadPayload(gas, {
+                phone: '+1607234560' + i,
+                email: `lead${i}@example.com`,
+                guard: { client_id: 'same-browser' }
+            })));
+        }
+
+        assert.deepEqual(results.map(r => r.success), [true, true, true, true, true, true]);
+        assert.deepEqual(results.map(r => r.flagged), [false, false, false, false, false, true]);
+        assert.equal(gas.sheet('Leads').records()[5]['Review Reason'], 'rate_limited_client');
+        assert.equal(gas.sheet('Rejected Leads'), null);
+    });
+
+    it('rate-limits look-alike browsers separately', () => {
+        // Same phone model, same town: only the page's random browser id differs
+        const results = [];
+        for (let i = 0; i < 10; i++) {
+            results.push(gas.post(leadPayload(gas, {
+                phone: '+1607234561' + i,
+                email: `twin${i}@example.com`,
+                guard: { client_id: i % 2 ? 'iphone-browser-a' : 'iphone-browser-b' }
+            })));
+        }
+
+        assert.deepEqual(results.map(r => r.flagged), new Array(10).fill(false));
+        assert.ok(gas.sheet('Leads').records().every(lead => lead['Review Reason'] === ''));
+    });
+
+    it('keeps a real lead that arrives after the site-wide cap is used up', () => {
+        gas = loadAppsScript({
+            properties: { META_PIXEL_ID: '123', META_CAPI_ACCESS_TOKEN: 'secret' }
+        });
+        const limit = gas.constant('RATE_LIMITS').global.max;
+        for (let i = 0; i < limit; i++) {
+            gas.post(leadPayload(gas, {
+                phone: '+160723' + String(45000 + i),
+                email: `junk${i}@example.com`
+            }));
+        }
+        gas.urlFetch.requests.length = 0;
+
+        const payload = leadPayload(gas, { phone: '+16079998888', email: 'real@example.com' });
+        const result = gas.post(payload);
+
+        assert.equal(result.success, true);
+        assert.equal(result.rejected, undefined);
+        assert.equal(result.flagged, true);
+
+        const lead = gas.sheet('Leads').records().pop();
+        assert.equal(lead['Submission ID'], payload.submission_id);
+        assert.equal(lead['Review Reason'], 'rate_limited_global');
+        assert.equal(lead['Status'], 'New');
+        assert.deepEqual(gas.urlFetch.requests, []);
+    });
+
+    it('upserts partial leads and completes them when the lead arrives', () => {
+        gas.post(partialPayload('session-a', 'stepHomeowner', { homeowner: 'yes' }));
+        gas.post(partialPayload('session-a', 'stepProjectType', { homeowner: 'yes', project_type: 'Driveway Coating' }));
+
+        let [partial] = gas.sheet('Partial Leads').records();
+        assert.equal(gas.sheet('Partial Leads').records().length, 1);
+        assert.equal(partial['Status'], 'In Progress');
+        assert.equal(partial['Last Step'], 'stepProjectType');
+        assert.equal(partial['Steps Completed'], 'stepHomeowner,stepProjectType');
+
+        gas.post(leadPayload(gas, { session_id: 'session-a' }));
+
+        [partial] = gas.sheet('Partial Leads').records();
+        assert.equal(partial['Status'], 'Completed');
+        assert.ok(partial['Completed At']);
+    });
+
+    it('completes the partial lead of a repeat submission', () => {
+        gas.post(leadPayload(gas));
+        gas.post(partialPayload('session-b', 'stepHomeowner', { homeowner: 'yes' }));
+
+        const result = gas.post(leadPayload(gas, { session_id: 'session-b' }));
+
+        assert.equal(result.reason, 'phone');
+        const [partial] = gas.sheet('Partial Leads').records();
+        assert.equal(partial['Status'], 'Completed');
+        assert.ok(partial['Completed At']);
+    });
+
+    it('reports abandoned sessions by last step from one read of Partial Leads', () => {
+        gas.post(partialPayload('session-a', 'stepHomeowner'));
+        gas.post(partialPayload('session-b', 'stepHomeowner'));
+        gas.post(partialPayload('session-x', 'stepHomeowner'));
+        gas.post(partialPayload('session-c', 'stepProjectType'));
+        gas.post(partialPayload('session-d', 'stepProjectType'));
+        gas.post(partialPayload('session-e', 'stepProjectType'));
+        gas.post(leadPayload(gas, { session_id: 'session-e' }));
+
+        const sheet = gas.sheet('Partial Leads');
+        sheet.reads = 0;
+        gas.context.funnelReport();
+
+        assert.equal(sheet.reads, 2); // Headers, then every session at once
+        assert.deepEqual(gas.sheet('Funnel Report').rows, [
+            ['Abandoned After Step', 'Sessions'],
+            ['stepHomeowner', 3],
+            ['stepProjectType', 2],
+            ['(completed)', 1]
+        ]);
+    });
+
+    it('rate-limits partial lead updates from one browser', () => {
+        const limit = gas.constant('RATE_LIMITS').partialClient.max;
+        for (let i = 0; i < limit; i++) {
+            gas.post(Object.assign(partialPayload('session-' + i, 'stepHomeowner'), { client_id: 'same-browser' }));
+        }
+
+        const flood = gas.post(Object.assign(partialPayload('session-x', 'stepHomeowner'), { client_id: 'same-browser' }));
+        assert.equal(flood.status, 'rate_limited');
+        assert.equal(gas.post(partialPayload('session-y', 'stepHomeowner')).status, 'in_progress');
+        assert.equal(gas.sheet('Partial Leads').records().length, limit + 1);
+    });
+
+    it('sends a server-side Meta Lead event when configured', () => {
+        gas = loadAppsScript({
+            properties: { META_PIXEL_ID: '123', META_CAPI_ACCESS_TOKEN: 'secret' }
+        });
+        const payload = leadPayload(gas);
+        gas.post(payload);
+
+        const [request] = gas.urlFetch.requests;
+        assert.equal(request.url, 'https://graph.facebook.com/v19.0/123/events?access_token=secret');
+        const [event] = JSON.parse(request.params.payload).data;
+        assert.equal(event.event_name, 'Lead');
+        assert.equal(event.event_id, payload.submission_id);
+        assert.equal(event.user_data.fbp, 'fb.1.1700000000000.123');
+    });
+
+    it('sends no Meta Lead event for visitors who did not accept tracking', () => {
+        gas = loadAppsScript({
+            properties: { META_PIXEL_ID: '123', META_CAPI_ACCESS_TOKEN: 'secret' }
+        });
+        gas.post(leadPayload(gas, { tracking_consent: 'declined' }));
+        gas.post(leadPayload(gas, { tracking_consent: null, phone: '+16072345679', email: 'b@example.com' }));
+
+        assert.equal(gas.sheet('Leads').records().length, 2);
+        assert.deepEqual(gas.urlFetch.requests, []);
+    });
+
+    it('keeps the lead when the Meta event fails', () => {
+        gas = loadAppsScript({
+            properties: { META_PIXEL_ID: '123', META_CAPI_ACCESS_TOKEN: 'secret' }
+        });
+        gas.urlFetch.respond = () => ({ status: 500, body: 'boom' });
+
+        const result = gas.post(leadPayload(gas));
+
+        assert.equal(result.success, true);
+        assert.equal(gas.sheet('Leads').records().length, 1);
+        assert.match(gas.sheet('Webhook Errors').records()[0]['Error Message'], /HTTP 500/);
+    });
+
+    it('answers invalid JSON with an error and logs it', () => {
+        const result = gas.postRaw('{not json');
+
+        assert.equal(result.success, false);
+        assert.match(result.error, /^Invalid JSON payload/);
+
+        const [error] = gas.sheet('Webhook Errors').records();
+        assert.match(error['Error Message'], /^Invalid JSON payload/);
+        assert.equal(error['Raw Payload'], '{not json');
+    });
+
+    it('reports missing required fields', () => {
+        const payload = leadPayload(gas);
+        delete payload.email;
+        const result = gas.post(payload);
+
+        assert.deepEqual(result, { success: false, error: 'Missing required field: email' });
+        assert.equal(gas.sheet('Leads'), null);
+    });
+});
+
+describe('createMetaConversionsSender', () => {
+    const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+    function stubSender(respond = () => ({ status: 200, body: '{"events_received":1}' })) {
+        const gas = loadAppsScript();
+        const requests = [];
+        const sender = gas.context.createMetaConversionsSender({
+            pixelId: '123',
+            accessToken: 'secret',
+            testEventCode: 'TEST42',
+            endpoint: 'https://meta.test',
+            transport: (url, request) => {
+                requests.push({ url, request });
+                return respond();
+            }
+        });
+        return { gas, sender, requests };
+    }
+
+    it('sends the Lead event through the transport with hashed customer details', () => {
+        const { gas, sender, requests } = stubSender();
+        const payload = leadPayload(gas, { email: ' Jane@Example.com ', phone: '(607) 234-5678' });
+
+        const result = sender.send(gas.context.buildMetaLeadEvent(payload));
+
+        assert.equal(result.events_received, 1);
+        assert.equal(requests.length, 1);
+        const { url, request } = requests[0];
+        assert.equal(url, 'https://meta.test/123/events?access_token=secret');
+        assert.equal(request.method, 'post');
+
+        const body = JSON.parse(request.body);
+        assert.equal(body.test_event_code, 'TEST42');
+        const [event] = body.data;
+        assert.equal(event.event_name, 'Lead');
+        assert.equal(event.event_id, payload.submission_id);
+        assert.deepEqual(event.user_data.em, [sha256('jane@example.com')]);
+        assert.deepEqual(event.user_data.ph, [sha256('16072345678')]);
+        assert.deepEqual(event.user_data.fn, [sha256('jane')]);
+
+        // Never the plain values
+        assert.doesNotMatch(request.body, /jane@example\.com|6072345678|234-5678/i);
+    });
+
+    it('throws on an error status so the lead logs it', () => {
+        const { gas, sender } = stubSender(() => ({ status: 400, body: 'bad token' }));
+
+        assert.throws(() => sender.send(gas.context.buildMetaLeadEvent(leadPayload(gas))),
+            /Meta Conversions API HTTP 400: bad token/);
+    });
+});
+
+describe('doGet', () => {
+    it('issues form tokens the webhook accepts', () => {
+        const gas = loadAppsScript();
+        const { token } = gas.get({ action: 'token' });
+
+        assert.match(token, /^[\w-]+\.\d+\.[\w-]+$/);
+        assert.ok(gas.context.verifyFormToken(token));
+        assert.equal(gas.context.verifyFormToken(token + 'x'), null);
+        assert.ok(gas.properties.values.FORM_TOKEN_SECRET);
+    });
+
+    describe('recent_jobs', () => {
+        const daysAgo = days => {
+            const date = new Date();
+            date.setDate(date.getDate() - days);
+            return date;
+        };
+
+        function addJobs(gas, jobs) {
+            gas.context.initializeSheets();
+            const sheet = gas.sheet('Completed Jobs');
+            jobs.forEach(job => sheet.appendRow(job));
+            return sheet;
+        }
+
+        it('publishes recent jobs, newest first, with first names only', () => {
+            const gas = loadAppsScript();
+            addJobs(gas, [
+                [daysAgo(10), 'mary ann smith', 'Vestal', 'NY', 'Garage Floor Coating', ''],
+                [daysAgo(2), 'Tom', 'Endicott ', 'NY', 'Driveway Coating', 'Yes'],
+                [daysAgo(5), '', 'Owego', 'NY', 'Patio Coating', '']
+            ]);
+
+            const { jobs } = gas.get({ action: 'recent_jobs' });
+
+            assert.deepEqual(jobs.map(j => [j.first_name, j.town, j.service]), [
+                ['Tom', 'Endicott', 'Driveway Coating'],
+                ['', 'Owego', 'Patio Coating'],
+                ['Mary', 'Vestal', 'Garage Floor Coating']
+            ]);
+            assert.match(jobs[0].completed_on, /^\d{4}-\d{2}-\d{2}$/);
+            assert.deepEqual(Object.keys(jobs[0]).sort(), ['completed_on', 'first_name', 'service', 'state', 'town']);
+        });
+
+        it('leaves out opted-out, old, undated and town-less jobs', () => {
+            const gas = loadAppsScript();
+            addJobs(gas, [
+                [daysAgo(1), 'Ann', 'Vestal', 'NY', 'Garage Floor Coating', 'No'],
+                [daysAgo(120), 'Bob', 'Vestal', 'NY', 'Garage Floor Coating', ''],
+                ['', 'Cal', 'Vestal', 'NY', 'Garage Floor Coating', ''],
+                [daysAgo(1), 'Dee', '', 'NY', 'Garage Floor Coating', ''],
+                [daysAgo(1), 'Eve', 'Vestal', 'NY', 'Garage Floor Coating', '']
+            ]);
+
+            assert.deepEqual(gas.get({ action: 'recent_jobs' }).jobs.map(j => j.first_name), ['Eve']);
+        });
+
+        it('returns at most RECENT_JOBS_LIMIT jobs and caches the list', () => {
+            const gas = loadAppsScript();
+            const limit = gas.constant('RECENT_JOBS_LIMIT');
+            const sheet = addJobs(gas, Array.from({ length: limit + 3 }, (_, i) =>
+                [daysAgo(i), 'Job' + i, 'Vestal', 'NY', 'Garage Floor Coating', '']));
+
+            assert.equal(gas.get({ action: 'recent_jobs' }).jobs.length, limit);
+
+            sheet.appendRow([new Date(), 'Late', 'Vestal', 'NY', 'Garage Floor Coating', '']);
+            assert.ok(!gas.get({ action: 'recent_jobs' }).jobs.some(j => j.first_name === 'Late'));
+            assert.ok(gas.cache.entries.recent_jobs);
+        });
+
+        it('returns an empty list before any jobs are entered', () => {
+            const gas = loadAppsScript();
+            assert.equal(gas.get({ action: 'recent_jobs' }).jobs.length, 0);
+        });
+    });
+
+    it('reports that the webhook is up', () => {
+        const gas = loadAppsScript();
+        assert.equal(gas.get().status, 'ok');
+    });
+});
+
+describe('bookings', () => {
+    const WEEK = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+    let gas;
+    let lead;
+
+    // Same "YYYY-MM-DD" the webhook uses for dated schedule rows
+    function dayKey(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    function schedule(rows) {
+        const sheet = gas.sheet('Schedule');
+        rows.forEach(row => sheet.appendRow(row));
+    }
+
+    function book(slotStart, submissionId = lead.submission_id) {
+        return gas.post({ type: 'booking', submission_id: submissionId, slot_start: slotStart });
+    }
+
+    beforeEach(() => {
+        gas = loadAppsScript();
+        gas.context.initializeSheets();
+        lead = leadPayload(gas);
+        gas.post(lead);
+    });
+
+    it('offers hourly slots from the weekly schedule, with notice', () => {
+        schedule(WEEK.map(day => [day, '9:00', '12:00', 'Rami']));
+
+        const { slots } = gas.get({ action: 'booking_slots' });
+        const earliest = Date.now() + gas.constant('BOOKING_MIN_NOTICE_HOURS') * 60 * 60 * 1000;
+
+        assert.ok(slots.length >= 3 * (gas.constant('BOOKING_DAYS_AHEAD') - 1));
+        slots.forEach(slot => {
+            const start = new Date(slot.start);
+            assert.ok([9, 10, 11].includes(start.getHours()), slot.start);
+            assert.equal(start.getMinutes(), 0);
+            assert.ok(start.getTime() >= earliest);
+            assert.equal(Date.parse(slot.end) - start.getTime(), 60 * 60 * 1000);
+        });
+        assert.deepEqual(slots.map(s => s.start), slots.map(s => s.start).slice().sort());
+    });
+
+    it('lets a dated row change or close a day', () => {
+        const inTwoDays = new Date();
+        inTwoDays.setDate(inTwoDays.getDate() + 2);
+        const inThreeDays = new Date();
+        inThreeDays.setDate(inThreeDays.getDate() + 3);
+
+        schedule(WEEK.map(day => [day, '9am', '10am', 'Rami']));
+        schedule([[dayKey(inTwoDays), '', '', 'Rami'], [dayKey(inThreeDays), '2pm', '4:00 pm', 'Rami']]);
+
+        const days = gas.get({ action: 'booking_slots' }).slots.map(slot => new Date(slot.start));
+        assert.equal(days.filter(d => dayKey(d) === dayKey(inTwoDays)).length, 0);
+        assert.deepEqual(days.filter(d => dayKey(d) === dayKey(inThreeDays)).map(d => d.getHours()), [14, 15]);
+    });
+
+    it('books a slot onto the lead and takes it off the list', () => {
+        schedule(WEEK.map(day => [day, '9:00', '11:00', 'Rami']));
+        const [slot] = gas.get({ action: 'booking_slots' }).slots;
+
+        const result = book(slot.start);
+
+        assert.equal(result.success, true);
+        assert.equal(result.status, 'booked');
+        assert.equal(result.booking.owner, 'Rami');
+        assert.equal(result.booking.address, '12 Elm St, Vestal, NY, 13850');
+
+        const [booking] = gas.sheet('Bookings').records();
+        assert.equal(booking['Slot Start'], slot.start);
+        assert.equal(booking['Submission ID'], lead.submission_id);
+        assert.equal(booking['Name'], 'Jane Doe');
+        assert.equal(booking['Status'], 'Booked');
+
+        const [saved] = gas.sheet('Leads').records();
+        assert.equal(saved['Appointment Start'], slot.start);
+        assert.equal(saved['Appointment Owner'], 'Rami');
+        assert.equal(saved['Status'], 'Booked');
+
+        assert.ok(!gas.get({ action: 'booking_slots' }).slots.some(s => s.start === slot.start));
+        assert.equal(gas.lock.held, false);
+    });
+
+    it('never books one owner twice for the same time', () => {
+        schedule(WEEK.map(day => [day, '9:00', '10:00', 'Rami']));
+        schedule(WEEK.map(day => [day, '9:00', '10:00', 'Dana']));
+        const [slot] = gas.get({ action: 'booking_slots' }).slots;
+        const others = [leadPayload(gas, { phone: '+16072345679', email: 'b@example.com' }),
+            leadPayload(gas, { phone: '+16072345670', email: 'c@example.com' })];
+        others.forEach(other => gas.post(other));
+
+        assert.equal(book(slot.start).booking.owner, 'Rami');
+        assert.equal(book(slot.start, others[0].submission_id).booking.owner, 'Dana');
+        assert.deepEqual(book(slot.start, others[1].submission_id),
+            { success: false, status: 'slot_taken', error: 'That time is no longer available' });
+    });
+
+    it('repeats a retried booking and refuses a second one', () => {
+        schedule(WEEK.map(day => [day, '9:00', '11:00', 'Rami']));
+        const [first, second] = gas.get({ action: 'booking_slots' }).slots;
+
+        book(first.start);
+        assert.equal(book(first.start).success, true);
+        assert.equal(book(second.start).status, 'already_booked');
+        assert.equal(gas.sheet('Bookings').records().length, 1);
+    });
+
+    it('books a repeat lead under the row it was matched to', () => {
+        schedule(WEEK.map(day => [day, '9:00', '11:00', 'Rami']));
+        const [slot] = gas.get({ action: 'booking_slots' }).slots;
+        const repeat = leadPayload(gas, { email: 'other@example.com' });
+        assert.equal(gas.post(repeat).reason, 'phone');
+
+        const result = book(slot.start, repeat.submission_id);
+
+        assert.equal(result.status, 'booked');
+        assert.equal(gas.sheet('Bookings').records()[0]['Submission ID'], lead.submission_id);
+        assert.equal(gas.sheet('Leads').records()[0]['Status'], 'Booked');
+        assert.equal(book(slot.start).status, 'booked');
+    });
+
+    it('frees the slot when a booking is cancelled', () => {
+        schedule(WEEK.map(day => [day, '9:00', '10:00', 'Rami']));
+        const [slot] = gas.get({ action: 'booking_slots' }).slots;
+        book(slot.start);
+
+        const bookings = gas.sheet('Bookings');
+        bookings.rows[1][bookings.headers().indexOf('Status')] = 'Cancelled';
+
+        assert.ok(gas.get({ action: 'booking_slots' }).slots.some(s => s.start === slot.start));
+    });
+
+    it('only books for leads it has saved', () => {
+        schedule(WEEK.map(day => [day, '9:00', '10:00', 'Rami']));
+        const [slot] = gas.get({ action: 'booking_slots' }).slots;
+
+        assert.equal(book(slot.start, 'sub-unknown').status, 'lead_not_found');
+        assert.match(gas.post({ type: 'booking', submission_id: lead.submission_id }).error, /slot_start/);
+        assert.equal(gas.sheet('Bookings').records().length, 0);
+    });
+
+    it('rate-limits booking attempts from one browser', () => {
+        schedule(WEEK.map(day => [day, '9:00', '10:00', 'Rami']));
+        const [slot] = gas.get({ action: 'booking_slots' }).slots;
+        const attempt = () => gas.post({ type: 'booking', submission_id: 'sub-unknown', slot_start: slot.start, client_id: 'same-browser' });
+
+        const limit = gas.constant('RATE_LIMITS').bookingClient.max;
+        for (let i = 0; i < limit; i++) assert.equal(attempt().status, 'lead_not_found');
+        assert.equal(attempt().status, 'rate_limited');
+        assert.equal(book(slot.start).status, 'booked');
+    });
+
+    it('offers nothing until the schedule is filled in', () => {
+        assert.deepEqual(Array.from(gas.get({ action: 'booking_slots' }).slots), []);
+    });
+});
+
+describe('client errors', () => {
+    function report(overrides = {}) {
+        return Object.assign({
+            type: 'client_error',
+            kind: 'js_error',
+            message: 'quizCard is null',
+            stack: 'TypeError: quizCard is null\n    at makeQuizSticky',
+            details: { source: 'https://doski.test/script.js', line: 10 },
+            session_id: 'session-1',
+            page_url: 'https://doski.test/ithaca',
+            market: 'ithaca',
+            step: 'stepHomeowner',
+            user_agent: 'Mozilla/5.0 (test)',
+            timestamp: new Date().toISOString()
+        }, overrides);
+    }
+
+    it('writes reports to the Client Errors sheet, apart from leads', () => {
+        const gas = loadAppsScript();
+        const result = gas.post(report({ stack: 'x'.repeat(5000) }));
+
+        assert.equal(result.status, 'logged');
+        assert.equal(gas.sheet('Leads'), null);
+
+        const [row] = gas.sheet('Client Errors').records();
+        assert.equal(row['Kind'], 'js_error');
+        assert.equal(row['Message'], 'quizCard is null');
+        assert.equal(row['Details'], '{"source":"https://doski.test/script.js","line":10}');
+        assert.equal(row['Market'], 'ithaca');
+        assert.equal(row['Step'], 'stepHomeowner');
+        assert.equal(row['Stack'].length, gas.constant('CLIENT_ERROR_MAX_LENGTH'));
+    });
+
+    it('caps how many reports one session can write', () => {
+        const gas = loadAppsScript();
+        const limit = gas.constant('RATE_LIMITS').errorSession.max;
+        for (let i = 0; i < limit; i++) gas.post(report({ message: 'Error ' + i }));
+
+        assert.equal(gas.post(report()).status, 'rate_limited');
+        assert.equal(gas.post(report({ session_id: 'session-2' })).status, 'logged');
+        assert.equal(gas.sheet('Client Errors').records().length, limit + 1);
+    });
+});
+
+describe('lead routing and notifications', () => {
+    const HOUR = 60 * 60 * 1000;
+    let gas;
+
+    function owners(rows) {
+        const sheet = gas.sheet('Settings');
+        rows.forEach(row => sheet.appendRow(row));
+    }
+
+    function leads() {
+        return gas.sheet('Leads').records();
+    }
+
+    beforeEach(() => {
+        gas = loadAppsScript();
+        gas.context.initializeSheets();
+        owners([
+            ['Rami', 'rami@example.com', '', '', 'Yes'],
+            ['Dana', 'dana@example.com', 'ithaca', '', ''],
+            ['Lee', 'lee@example.com', '', '13850, 149', '']
+        ]);
+    });
+
+    it('assigns each lead by ZIP, then market, then the default owner', () => {
+        gas.post(leadPayload(gas, { zip: '13850' }));
+        gas.post(leadPayload(gas, { zip: '14901', city: 'Elmira', email: 'b@example.com', phone: '+16072345679', market: 'elmira' }));
+        gas.post(leadPayload(gas, { zip: '14850', city: 'Ithaca', email: 'c@example.com', phone: '+16072345680', market: 'ithaca' }));
+        gas.post(leadPayload(gas, { zip: '13901', city: 'Binghamton', email: 'd@example.com', phone: '+16072345681' }));
+
+        assert.deepEqual(leads().map(lead => lead['Assigned To']), ['Lee', 'Lee', 'Dana', 'Rami']);
+        assert.deepEqual(leads().map(lead => lead['Status']), ['New', 'New', 'New', 'New']);
+    });
+
+    it('emails the assigned owner about each new lead', () => {
+        const payload = leadPayload(gas, { zip: '14850', city: 'Ithaca', market: 'ithaca', notes: 'Oil <stains>' });
+        gas.post(payload);
+        gas.post(payload); // A retry is not a new lead
+
+        assert.equal(gas.mail.sent.length, 1);
+        const [alert] = gas.mail.sent;
+        assert.equal(alert.to, 'dana@example.com');
+        assert.equal(alert.subject, 'New lead: Jane Doe - Ithaca, NY (Garage Floor Coating)');
+        assert.match(alert.body, /^Name: Jane Doe$/m);
+        assert.match(alert.body, /^Phone: \+16072345678$/m);
+        assert.match(alert.body, /^Estimate Shown: \$4500-\$5900$/m);
+        assert.match(alert.htmlBody, /Oil &lt;stains&gt;/);
+    });
+
+    it('goes through whichever notifier is set', () => {
+        const sent = [];
+        gas.context.setNotifier({ send: message => sent.push(message) });
+        gas.post(leadPayload(gas, { zip: '10001', city: 'New York' }));
+
+        assert.equal(gas.mail.sent.length, 0);
+        assert.equal(sent[0].to, 'rami@example.com');
+        assert.match(sent[0].subject, /^\[Waitlist\] New lead/);
+    });
+
+    it('keeps the lead when the alert fails', () => {
+        gas.context.setNotifier({ send() { throw new Error('Mail quota exceeded'); } });
+        const result = gas.post(leadPayload(gas));
+
+        assert.equal(result.status, 'new');
+        assert.equal(leads().length, 1);
+        assert.equal(gas.sheet('Webhook Errors').records()[0]['Error Message'], 'Mail quota exceeded');
+    });
+
+    it('leaves leads unassigned and emails nobody until Settings has owners', () => {
+        gas.sheet('Settings').rows.splice(1);
+        const result = gas.post(leadPayload(gas));
+
+        assert.equal(result.status, 'new');
+        assert.equal(leads()[0]['Assigned To'], '');
+        assert.equal(gas.mail.sent.length, 0);
+    });
+
+    it('digests leads still New after the cutoff for each owner', () => {
+        const stale = new Date(Date.now() - 30 * HOUR).toISOString();
+        gas.post(leadPayload(gas, { zip: '13850', timestamp: stale }));
+        gas.post(leadPayload(gas, { zip: '13901', email: 'b@example.com', phone: '+16072345679', first_name: 'Bo', timestamp: stale }));
+        gas.post(leadPayload(gas, { zip: '13901', email: 'c@example.com', phone: '+16072345680', first_name: 'Cy', timestamp: stale }));
+        gas.post(leadPayload(gas, { zip: '13901', email: 'd@example.com', phone: '+16072345681', first_name: 'Di' }));
+        gas.mail.sent.length = 0;
+
+        // Contacted leads drop out; so do leads still inside the window
+        const sheet = gas.sheet('Leads');
+        sheet.rows[3][sheet.headers().indexOf('Status')] = 'Contacted';
+
+        sheet.reads = 0;
+        assert.equal(gas.context.sendDailyDigest(), 2);
+        assert.equal(sheet.reads, 2); // Headers, then every lead at once
+        const digests = {};
+        gas.mail.sent.forEach(message => { digests[message.to] = message; });
+        assert.equal(digests['lee@example.com'].subject, 'Daily digest: 1 lead waiting for a call');
+        assert.match(digests['rami@example.com'].body, /Name: Bo Doe/);
+        assert.doesNotMatch(digests['rami@example.com'].body, /Cy Doe|Di Doe/);
+    });
+
+    it('installs one daily digest trigger', () => {
+        gas.context.installDigestTrigger();
+        gas.context.installDigestTrigger();
+
+        assert.equal(gas.scriptApp.triggers.length, 1);
+        const [trigger] = gas.scriptApp.triggers;
+        assert.equal(trigger.handler, 'sendDailyDigest');
+        assert.equal(trigger.everyDays, 1);
+        assert.equal(trigger.atHour, gas.constant('DIGEST_HOUR'));
+    });
+
+    it('offers the status pipeline as a dropdown and stamps Last Contacted', () => {
+        const sheet = gas.sheet('Leads');
+        const statusColumn = sheet.headers().indexOf('Status') + 1;
+        const validation = sheet.validations.find(v => v.column === statusColumn);
+        assert.deepEqual(validation.rule.values, ['New', 'Contacted', 'Quoted', 'Booked', 'Lost']);
+        assert.equal(validation.row, 2);
+
+        gas.post(leadPayload(gas));
+        const edit = value => {
+            sheet.rows[1][statusColumn - 1] = value;
+            gas.context.onEdit({ range: sheet.getRange(2, statusColumn), value });
+        };
+
+        edit('New');
+        assert.equal(leads()[0]['Last Contacted'], '');
+        edit('Contacted');
+        assert.ok(Date.parse(leads()[0]['Last Contacted']) <= Date.now());
+    });
+});
+
+describe('logError', () => {
+    it('creates the errors sheet on first use', () => {
+        const gas = loadAppsScript();
+        gas.context.logError(new Error('Something broke'), { postData: { contents: '{"a":1}' } });
+        gas.context.logError(new Error('Again'), null);
+
+        const sheet = gas.sheet('Webhook Errors');
+        assert.deepEqual(sheet.headers(), ['Timestamp', 'Error Message', 'Stack Trace', 'Raw Payload']);
+        assert.deepEqual(sheet.records().map(r => [r['Error Message'], r['Raw Payload']]), [
+            ['Something broke', '{"a":1}'],
+            ['Again', 'No payload']
+        ]);
+    });
+
+    it('never throws, even when the spreadsheet is unavailable', () => {
+        const gas = loadAppsScript();
+        gas.spreadsheet.getSheetByName = () => { throw new Error('Service unavailable'); };
+
+        assert.doesNotThrow(() => gas.context.logError(new Error('Original'), null));
+    });
+});
+
+describe('initializeSheets', () => {
+    it('creates every sheet with its headers', () => {
+        const gas = loadAppsScript();
+        gas.context.initializeSheets();
+
+        assert.deepEqual(Object.keys(gas.spreadsheet.sheets).sort(),
+            ['Bookings', 'Completed Jobs', 'Leads', 'Partial Leads', 'Rejected Leads', 'Schedule', 'Settings', 'Webhook Errors']);
+        assert.deepEqual(gas.sheet('Leads').headers(), Array.from(gas.constant('LEAD_COLUMNS')));
+        assert.deepEqual(gas.sheet('Partial Leads').headers(), Array.from(gas.constant('PARTIAL_LEAD_COLUMNS')));
+        assert.equal(gas.sheet('Leads').frozenRows, 1);
+    });
+
+    it('appends new columns to an older Leads sheet without moving data', () => {
+        const gas = loadAppsScript();
+        const legacy = gas.spreadsheet.insertSheet('Leads');
+        legacy.appendRow(['Timestamp', 'First Name', 'Last Name', 'Phone', 'Email', 'Zip Code']);
+        legacy.appendRow(['2024-01-01T00:00:00.000Z', 'Old', 'Lead', '+16072345678', 'old@example.com', '13901']);
+
+        gas.context.initializeSheets();
+
+        const headers = legacy.headers();
+        assert.deepEqual(headers.slice(0, 6), ['Timestamp', 'First Name', 'Last Name', 'Phone', 'Email', 'Zip Code']);
+        assert.deepEqual([...headers].sort(), Array.from(gas.constant('LEAD_COLUMNS')).sort());
+        assert.equal(legacy.records()[0]['First Name'], 'Old');
+    });
+
+    it('can be run again without duplicating anything', () => {
+        const gas = loadAppsScript();
+        gas.context.initializeSheets();
+        gas.context.initializeSheets();
+
+        assert.equal(gas.sheet('Leads').headers().length, gas.constant('LEAD_COLUMNS').length);
+        assert.equal(gas.sheet('Webhook Errors').rows.length, 1);
+    });
+});
@@ -0,0 +1,136 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer } = require('./helpers/mock-server');
+const { loadPage } = require('./helpers/load-page');
+
+const CONSENT_KEY = 'doski_tracking_consent';
+
+describe('tracking consent', () => {
+    let server;
+    let page;
+
+    before(async () => {
+        server = await startMockServer();
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    afterEach(() => {
+        if (page) page.close();
+        page = null;
+        server.reset();
+    });
+
+    function banner() {
+        return page.document.getElementById('consentBanner');
+    }
+
+    function trackingScripts() {
+        return Array.from(page.document.querySelectorAll('script[src]'))
+            .map(script => script.src)
+            .filter(src => /googletagmanager|facebook|clarity/.test(src));
+    }
+
+    it('asks first-time visitors and loads nothing until they answer', async () => {
+        page = await loadPage({ server, trackingConsent: null });
+
+        assert.equal(banner().hidden, false);
+        assert.deepEqual(trackingScripts(), []);
+        assert.equal(typeof page.window.gtag, 'undefined');
+        assert.equal(typeof page.window.fbq, 'undefined');
+
+        page.choose('yes');
+        await page.waitForStep('stepProjectType');
+        assert.equal(page.gtagEvents().length, 0);
+    });
+
+    it('loads the tracking scripts on accept and sends what was held back', async () => {
+        page = await loadPage({ server, trackingConsent: null });
+        page.choose('yes');
+        await page.waitForStep('stepProjectType');
+
+        banner().querySelector('[data-consent="accepted"]').click();
+
+        assert.equal(banner().hidden, true);
+        assert.equal(trackingScripts().length, 3);
+        assert.ok(page.gtagEvents().some(e => e.name === 'quiz_start'));
+        assert.ok(Array.from(page.window.fbq.queue).some(args => args[0] === 'init'));
+        assert.equal(JSON.parse(page.window.localStorage.getItem(CONSENT_KEY)).choice, 'accepted');
+
+        const storage = page.storage('localStorage');
+        page.close();
+        page = await loadPage({ server, trackingConsent: null, localStorage: storage });
+        assert.equal(banner().hidden, true);
+        assert.equal(trackingScripts().length, 3);
+    });
+
+    it('never loads tracking for visitors who decline', async () => {
+        page = await loadPage({ server, trackingConsent: null });
+        banner().querySelector('[data-consent="declined"]').click();
+        assert.equal(banner().hidden, true);
+
+        page.choose('yes');
+        await page.waitForStep('stepProjectType');
+        assert.equal(page.window.eval('analyticsQueue.length'), 0);
+
+        const storage = page.storage('localStorage');
+        page.close();
+        page = await loadPage({ server, trackingConsent: null, localStorage: storage });
+        assert.equal(banner().hidden, true);
+        assert.deepEqual(trackingScripts(), []);
+    });
+
+    it('sends the banner choice with the lead and keeps ad clicks out when declined', async () => {
+        const lead = `submitLead({ name: 'Jane Doe', zip: '13850', email: 'jane@example.com', phone: '6072345678' })`;
+
+        page = await loadPage({ server, query: 'fbclid=click-1', trackingConsent: 'declined' });
+        await page.window.eval(lead);
+        let [sent] = server.leads('sheets');
+        assert.equal(sent.tracking_consent, 'declined');
+        assert.equal(sent.attribution.fbc, '');
+
+        page.close();
+        server.reset();
+        page = await loadPage({ server, query: 'fbclid=click-1' });
+        await page.window.eval(lead);
+        [sent] = server.leads('sheets');
+        assert.equal(sent.tracking_consent, 'accepted');
+        assert.match(sent.attribution.fbc, /^fb\.1\.\d+\.click-1$/);
+    });
+
+    it('can be answered from the keyboard while the quiz is open', async () => {
+        page = await loadPage({ server, trackingConsent: null });
+        page.choose('yes');
+        await page.waitForStep('stepProjectType');
+
+        const accept = banner().querySelector('[data-consent="accepted"]');
+        const decline = banner().querySelector('[data-consent="declined"]');
+
+        // Focus isn't pulled back into the quiz from the banner
+        decline.focus();
+        assert.equal(page.document.activeElement, decline);
+
+        // Shift+Tab from the card's first control wraps round to the banner
+        page.document.querySelector('#stepProjectType button').focus();
+        page.document.activeElement.dispatchEvent(new page.window.KeyboardEvent('keydown', {
+            key: 'Tab', shiftKey: true, bubbles: true, cancelable: true
+        }));
+        assert.equal(page.document.activeElement, accept);
+
+        accept.click();
+        assert.equal(banner().hidden, true);
+        assert.equal(trackingScripts().length, 3);
+    });
+
+    it('asks again when the consent version changes', async () => {
+        page = await loadPage({
+            server,
+            trackingConsent: null,
+            localStorage: { [CONSENT_KEY]: { choice: 'accepted', version: 0 } }
+        });
+        assert.equal(banner().hidden, false);
+        assert.deepEqual(trackingScripts(), []);
+    });
+});
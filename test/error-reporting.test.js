@@ -0,0 +1,160 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer } = require('./helpers/mock-server');
+const { loadPage } = require('./helpers/load-page');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('logging and error reporting', () => {
+    let server;
+    let page;
+
+    before(async () => {
+        server = await startMockServer();
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    afterEach(() => {
+        if (page) page.close();
+        page = null;
+        server.reset();
+    });
+
+    /** Console calls made by the page from now on */
+    function recordConsole() {
+        const calls = [];
+        ['log', 'info', 'warn', 'error'].forEach(method => {
+            page.window.console[method] = (...args) => calls.push({ method, args });
+        });
+        return calls;
+    }
+
+    function throwOnPage(message, line = 10) {
+        const error = new page.window.Error(message);
+        page.window.dispatchEvent(new page.window.ErrorEvent('error', {
+            message, error, filename: 'https://doski.test/script.js', lineno: line, colno: 5
+        }));
+    }
+
+    describe('logger', () => {
+        it('is silent by default', async () => {
+            page = await loadPage({ server });
+            const calls = recordConsole();
+
+            page.window.eval("log.info('hello'); log.error('broken')");
+            assert.equal(page.window.eval('getLogLevel()'), 'silent');
+            assert.deepEqual(calls, []);
+        });
+
+        it('prints from the level asked for in the URL, for the rest of the session', async () => {
+            page = await loadPage({ server, query: 'log=warn' });
+            const calls = recordConsole();
+
+            page.window.eval("log.info('hello'); log.warn('careful')");
+            assert.deepEqual(calls.map(c => [c.method, c.args[0]]), [['warn', 'careful']]);
+
+            const storage = page.storage();
+            page.close();
+            page = await loadPage({ server, sessionStorage: storage });
+            assert.equal(page.window.eval('getLogLevel()'), 'warn');
+        });
+
+        it('masks personal data in everything it prints', async () => {
+            page = await loadPage({ server, query: 'log=debug' });
+            const calls = recordConsole();
+
+            page.window.eval(`log.debug('Lead:', {
+                email: 'jane@example.com', phone: '+16072345678', full_name: 'Jane Doe', zip: '13850',
+                nested: { street: '12 Elm St' }, timestamp: '2026-10-18T14:05:09.000Z'
+            }, 'Call jane@example.com or (607) 234-5678 before 1700000000000')`);
+
+            const [{ args }] = calls;
+            assert.equal(args[1].email, '[redacted]');
+            assert.equal(args[1].phone, '[redacted]');
+            assert.equal(args[1].full_name, '[redacted]');
+            assert.equal(args[1].nested.street, '[redacted]');
+            assert.equal(args[1].zip, '13850');
+            assert.equal(args[1].timestamp, '2026-10-18T14:05:09.000Z');
+            assert.equal(args[2], 'Call [email] or [phone] before 1700000000000');
+        });
+    });
+
+    describe('client error reports', () => {
+        it('reports uncaught errors once per session', async () => {
+            page = await loadPage({ server, path: 'ithaca' });
+            page.choose('yes');
+            await page.waitForStep('stepProjectType');
+
+            throwOnPage('Cannot read properties of null (reading jane@example.com)');
+            throwOnPage('Cannot read properties of null (reading jane@example.com)');
+            await page.waitFor(() => server.clientErrors().length > 0);
+
+            const [report] = server.clientErrors();
+            assert.equal(report.kind, 'js_error');
+            assert.equal(report.message, 'Cannot read properties of null (reading [email])');
+            assert.equal(report.details.source, 'https://doski.test/script.js');
+            assert.equal(report.details.line, 10);
+            assert.equal(report.market, 'ithaca');
+            assert.equal(report.step, 'stepProjectType');
+            assert.ok(report.session_id);
+
+            const storage = page.storage();
+            page.close();
+            page = await loadPage({ server, sessionStorage: storage });
+            throwOnPage('Cannot read properties of null (reading jane@example.com)');
+            await sleep(100);
+            assert.equal(server.clientErrors().length, 1);
+        });
+
+        it('reports unhandled promise rejections', async () => {
+            page = await loadPage({ server });
+            const event = new page.window.Event('unhandledrejection');
+            event.reason = new page.window.Error('Booking request failed');
+            page.window.dispatchEvent(event);
+
+            await page.waitFor(() => server.clientErrors().length > 0);
+            assert.equal(server.clientErrors()[0].kind, 'unhandled_rejection');
+            assert.equal(server.clientErrors()[0].message, 'Booking request failed');
+        });
+
+        it('sends nothing from page views left out of the sample', async () => {
+            page = await loadPage({ server });
+            page.window.eval('ERROR_REPORTING.SAMPLE_RATE = 0');
+            throwOnPage('Sampled out');
+
+            await sleep(100);
+            assert.deepEqual(server.clientErrors(), []);
+        });
+
+        it('caps the reports one page view can send', async () => {
+            page = await loadPage({ server });
+            for (let i = 1; i <= 8; i++) throwOnPage('Error ' + i, i);
+
+            await sleep(200);
+            assert.equal(server.clientErrors().length, page.window.eval('ERROR_REPORTING.MAX_PER_PAGE'));
+        });
+
+        it('reports leads that could not be delivered', async () => {
+            server.setMode('sheets', 'error');
+            server.setMode('zapier', 'error');
+            page = await loadPage({ server });
+
+            const result = await page.window.eval(`submitLead({
+                name: 'Jane Doe', zip: '13850', email: 'jane@example.com', phone: '6072345678'
+            })`);
+            assert.equal(result.queued, true);
+            await page.waitFor(() => server.clientErrors().some(r => r.kind === 'lead_failed'));
+
+            const failed = server.clientErrors().find(r => r.kind === 'lead_failed');
+            assert.equal(failed.details.outcome, 'queued');
+            assert.match(failed.details.sheets_error, /HTTP 500/);
+
+            const webhooks = server.clientErrors().filter(r => r.kind === 'webhook_error');
+            assert.deepEqual(webhooks.map(r => r.details.webhook).sort(), ['sheets', 'zapier']);
+            assert.doesNotMatch(JSON.stringify(server.clientErrors()), /jane@example\.com|6072345678/);
+        });
+    });
+});
@@ -0,0 +1,292 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer } = require('./helpers/mock-server');
+const { loadPage } = require('./helpers/load-page');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Pretend to be a phone: coarse pointer
+function touchScreen(window) {
+    window.matchMedia = query => ({
+        matches: query === '(pointer: coarse)',
+        media: query,
+        addEventListener() {},
+        removeEventListener() {}
+    });
+}
+
+describe('exit intent', () => {
+    let server;
+    let page;
+
+    before(async () => {
+        server = await startMockServer();
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    afterEach(() => {
+        if (page) page.close();
+        page = null;
+        server.reset();
+    });
+
+    async function open(options = {}) {
+        page = await loadPage(Object.assign({ server }, options));
+        page.window.eval('EXIT_INTENT.MIN_TIME_ON_PAGE_MS = 0;');
+        return page;
+    }
+
+    function popupShown() {
+        return page.document.getElementById('exitPopup').style.display === 'flex';
+    }
+
+    function leaveThroughTop() {
+        page.document.dispatchEvent(new page.window.MouseEvent('mouseleave', { clientY: -5 }));
+    }
+
+    function shownEvents() {
+        return page.gtagEvents().filter(e => e.name === 'exit_intent_shown');
+    }
+
+    it('shows when the mouse leaves through the top of the window', async () => {
+        await open();
+        page.document.dispatchEvent(new page.window.MouseEvent('mouseleave', { clientY: 300 }));
+        assert.equal(popupShown(), false);
+
+        leaveThroughTop();
+
+        assert.equal(popupShown(), true);
+        assert.equal(page.document.getElementById('exitPopup').getAttribute('aria-hidden'), 'false');
+        assert.equal(page.document.activeElement.classList.contains('exit-call-btn'), true);
+        assert.deepEqual(shownEvents().map(e => e.params.trigger), ['mouse_leave']);
+    });
+
+    it('waits until the visitor has been on the page a moment', async () => {
+        page = await loadPage({ server });
+        leaveThroughTop();
+        assert.equal(popupShown(), false);
+    });
+
+    it('closes with the close button', async () => {
+        await open();
+        leaveThroughTop();
+        page.document.querySelector('#exitPopup .exit-popup-close').click();
+
+        assert.equal(popupShown(), false);
+        assert.equal(page.document.getElementById('exitPopup').getAttribute('aria-hidden'), 'true');
+
+        // Once per page load
+        leaveThroughTop();
+        assert.equal(popupShown(), false);
+        assert.equal(shownEvents().length, 1);
+
+        const [dismissed] = page.gtagEvents().filter(e => e.name === 'exit_intent_dismissed');
+        assert.equal(dismissed.params.method, 'close_button');
+    });
+
+    it('closes with a tap on the backdrop or Escape', async () => {
+        await open();
+        leaveThroughTop();
+        page.document.querySelector('#exitPopup .exit-popup-content').click();
+        assert.equal(popupShown(), true);
+        page.document.getElementById('exitPopup').click();
+        assert.equal(popupShown(), false);
+
+        page.close();
+        await open();
+        leaveThroughTop();
+        page.document.activeElement.dispatchEvent(new page.window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+        assert.equal(popupShown(), false);
+    });
+
+    it('reports calls from the popup and stops showing to that visitor', async () => {
+        await open();
+        leaveThroughTop();
+
+        const call = page.document.querySelector('#exitPopup .exit-call-btn');
+        call.addEventListener('click', e => e.preventDefault()); // jsdom can't open tel:
+        call.click();
+
+        assert.equal(popupShown(), false);
+        assert.equal(page.gtagEvents().filter(e => e.name === 'exit_intent_call_click').length, 1);
+        assert.equal(JSON.parse(page.window.localStorage.getItem('doski_converted')).how, 'call');
+    });
+
+    it('is capped per visitor across visits', async () => {
+        const now = Date.now();
+        await open({ localStorage: { doski_exit_intent: { shows: [now - 1000, now - 2000] } } });
+        leaveThroughTop();
+        assert.equal(popupShown(), false);
+
+        page.close();
+        const weekAgo = now - 8 * 24 * 60 * 60 * 1000;
+        await open({ localStorage: { doski_exit_intent: { shows: [weekAgo, now - 1000] } } });
+        leaveThroughTop();
+        assert.equal(popupShown(), true);
+
+        const stored = JSON.parse(page.window.localStorage.getItem('doski_exit_intent'));
+        assert.equal(stored.shows.length, 2);
+        assert.ok(!stored.shows.includes(weekAgo));
+    });
+
+    it('never shows to a visitor who has converted', async () => {
+        await open({ localStorage: { doski_converted: { how: 'lead', at: new Date().toISOString() } } });
+        leaveThroughTop();
+        assert.equal(popupShown(), false);
+    });
+
+    it('stops showing once the quiz has been submitted', async () => {
+        await open();
+        page.choose('yes');
+        await page.waitForStep('stepProjectType');
+        page.choose('Garage Floor Coating');
+        await page.waitForStep('stepGarageSize');
+        page.choose('Not sure');
+        await page.waitForStep('stepCondition');
+        page.choose('Good');
+        await page.waitForStep('stepFinish');
+        page.choose('Flake');
+        await page.waitForStep('stepEstimate');
+        page.next();
+        await page.waitForStep('stepTimeline');
+        page.choose('Just researching');
+        await page.waitForStep('stepNotes');
+
+        // Not while the quiz dialog is open
+        leaveThroughTop();
+        assert.equal(popupShown(), false);
+
+        page.fill('');
+        await page.waitForStep('stepName');
+        page.fill('Jane Doe');
+        await page.waitForStep('stepZip');
+        page.fill('13901');
+        await page.waitForStep('stepStreet');
+        page.fill('1 Main St');
+        await page.waitForStep('stepEmail');
+        page.fill('jane@example.com');
+        await page.waitForStep('stepPhone');
+        page.agree();
+        page.fill('6072345678');
+        await page.waitForStep('stepSuccess');
+
+        leaveThroughTop();
+        assert.equal(popupShown(), false);
+        assert.equal(JSON.parse(page.window.localStorage.getItem('doski_converted')).how, 'lead');
+    });
+
+    describe('on touch screens', () => {
+        it('shows on a fast scroll back up the page', async () => {
+            await open({ beforeParse: touchScreen });
+            const scrollTo = y => {
+                page.window.scrollY = y;
+                page.window.dispatchEvent(new page.window.Event('scroll'));
+            };
+
+            scrollTo(400);
+            scrollTo(200); // Not far enough down the page yet
+            assert.equal(popupShown(), false);
+
+            scrollTo(1500);
+            await sleep(500);
+            scrollTo(1400); // Slow scrolling is reading, not leaving
+            assert.equal(popupShown(), false);
+
+            scrollTo(1000);
+            assert.equal(popupShown(), true);
+            assert.deepEqual(shownEvents().map(e => e.params.trigger), ['scroll_up']);
+        });
+
+        it('shows after a long pause', async () => {
+            await open({ beforeParse: touchScreen });
+            page.window.eval('EXIT_INTENT.INACTIVITY_MS = 50;');
+            page.window.dispatchEvent(new page.window.Event('touchstart'));
+
+            await page.waitFor(popupShown, 1000);
+            assert.deepEqual(shownEvents().map(e => e.params.trigger), ['inactivity']);
+        });
+
+        it('ignores mouse movement', async () => {
+            await open({ beforeParse: touchScreen });
+            leaveThroughTop();
+            assert.equal(popupShown(), false);
+        });
+    });
+
+    describe('back button', () => {
+        it('shows when Back would leave the page', async () => {
+            await open();
+            page.document.body.click(); // Browsers only keep entries added after an interaction
+
+            page.window.history.back();
+            await page.waitFor(popupShown, 1000);
+            assert.deepEqual(shownEvents().map(e => e.params.trigger), ['back_button']);
+        });
+
+        function countBackCalls() {
+            const calls = { count: 0 };
+            const back = page.window.history.back.bind(page.window.history);
+            page.window.history.back = () => {
+                calls.count++;
+                back();
+            };
+            return calls;
+        }
+
+        it('adds no extra Back step once the visitor is capped', async () => {
+            const now = Date.now();
+            await open({ localStorage: { doski_exit_intent: { shows: [now - 1000, now - 2000] } } });
+            page.document.body.click();
+
+            assert.equal(Boolean(page.window.history.state && page.window.history.state.exitSentinel), false);
+        });
+
+        it('adds no extra Back step until the popup could show', async () => {
+            page = await loadPage({ server });
+            page.document.body.click(); // Too soon after arriving
+            assert.equal(Boolean(page.window.history.state && page.window.history.state.exitSentinel), false);
+
+            page.window.eval('EXIT_INTENT.MIN_TIME_ON_PAGE_MS = 0;');
+            page.document.body.click();
+            assert.equal(page.window.history.state.exitSentinel, true);
+        });
+
+        it('adds no extra Back step after another trigger showed the popup', async () => {
+            await open();
+            leaveThroughTop();
+            page.document.querySelector('#exitPopup .exit-popup-close').click();
+            page.document.body.click();
+
+            assert.equal(Boolean(page.window.history.state && page.window.history.state.exitSentinel), false);
+        });
+
+        it('carries on with Back when the popup already showed', async () => {
+            await open();
+            page.document.body.click();
+            leaveThroughTop();
+            page.document.querySelector('#exitPopup .exit-popup-close').click();
+            const backCalls = countBackCalls();
+
+            page.window.history.back();
+            await page.waitFor(() => backCalls.count === 2, 1000);
+            assert.equal(popupShown(), false);
+            assert.deepEqual(shownEvents().map(e => e.params.trigger), ['mouse_leave']);
+        });
+
+        it('lets Back move between quiz steps first', async () => {
+            await open();
+            page.choose('yes');
+            await page.waitForStep('stepProjectType');
+
+            page.window.history.back();
+            await page.waitForStep('stepHomeowner');
+            assert.equal(popupShown(), false);
+
+            page.window.history.back();
+            await page.waitFor(popupShown, 1000);
+        });
+    });
+});
@@ -0,0 +1,335 @@
+// In-memory fakes of the Apps Script services GOOGLE_APPS_SCRIPT.gs uses,
+// and a loader that runs the webhook (plus its shared files) against them.
+//
+// Only the calls the webhook makes are implemented. Sheets keep their
+// cells in plain arrays, so tests can read them back directly.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const crypto = require('crypto');
+
+const ROOT = path.join(__dirname, '..', '..');
+const WEBHOOK_FILES = ['phone.js', 'service-area.js', 'GOOGLE_APPS_SCRIPT.gs'];
+
+function createSheet(name) {
+    const rows = [];
+
+    const sheet = {
+        rows,
+        frozenRows: 0,
+        reads: 0, // getValues() calls, to catch reads inside loops
+        protections: [],
+        validations: [],
+
+        getName: () => name,
+        getLastRow: () => rows.length,
+        getMaxRows: () => Math.max(1000, rows.length),
+        getLastColumn: () => rows.reduce((max, row) => Math.max(max, row.length), 0),
+        setFrozenRows(count) { sheet.frozenRows = count; },
+        appendRow(values) {
+            rows.push(Array.from(values));
+            return sheet;
+        },
+        clear() {
+            rows.length = 0;
+            return sheet;
+        },
+        getRange(row, column, numRows = 1, numColumns = 1) {
+            return createRange(sheet, row, column, numRows, numColumns);
+        },
+
+        /** Header row as an array */
+        headers: () => (rows[0] || []).slice(),
+
+        /** Data rows as objects keyed by header */
+        records() {
+            const headers = sheet.headers();
+            return rows.slice(1).map(row => {
+                const record = {};
+                headers.forEach((header, i) => { record[header] = row[i] === undefined ? '' : row[i]; });
+                return record;
+            });
+        }
+    };
+
+    return sheet;
+}
+
+function createRange(sheet, row, column, numRows, numColumns) {
+    const rows = sheet.rows;
+
+    const range = {
+        getValues() {
+            sheet.reads++;
+            const values = [];
+            for (let r = 0; r < numRows; r++) {
+                const source = rows[row - 1 + r] || [];
+                const out = [];
+                for (let c = 0; c < numColumns; c++) {
+                    const value = source[column - 1 + c];
+                    out.push(value === undefined ? '' : value);
+                }
+                values.push(out);
+            }
+            return values;
+        },
+        getValue: () => range.getValues()[0][0],
+        setValues(values) {
+            values.forEach((valueRow, r) => {
+                while (rows.length < row + r) rows.push([]);
+                const target = rows[row - 1 + r];
+                valueRow.forEach((value, c) => {
+                    while (target.length < column - 1 + c) target.push('');
+                    target[column - 1 + c] = value;
+                });
+            });
+            return range;
+        },
+        setValue: value => range.setValues([[value]]),
+        setFontWeight: () => range,
+        setDataValidation(rule) {
+            sheet.validations.push({ row, column, numRows, numColumns, rule });
+            return range;
+        },
+        getSheet: () => sheet,
+        getRow: () => row,
+        getColumn: () => column,
+        protect() {
+            const protection = { description: '', setDescription(text) { protection.description = text; return protection; } };
+            sheet.protections.push(protection);
+            return protection;
+        }
+    };
+
+    return range;
+}
+
+function createSpreadsheet() {
+    const sheets = {};
+    return {
+        sheets,
+        getUrl: () => 'https://docs.google.com/spreadsheets/d/test-sheet/edit',
+        getSheetByName: name => sheets[name] || null,
+        insertSheet(name) {
+            if (sheets[name]) throw new Error(`A sheet with the name "${name}" already exists.`);
+            sheets[name] = createSheet(name);
+            return sheets[name];
+        }
+    };
+}
+
+function createLock() {
+    const lock = {
+        acquired: 0,
+        held: false,
+        waitLock() {
+            lock.acquired++;
+            lock.held = true;
+        },
+        tryLock() {
+            lock.waitLock();
+            return true;
+        },
+        releaseLock() { lock.held = false; },
+        hasLock: () => lock.held
+    };
+    return lock;
+}
+
+function createCache() {
+    const entries = {};
+    return {
+        entries,
+        get: key => (key in entries ? entries[key] : null),
+        put(key, value) { entries[key] = String(value); },
+        remove(key) { delete entries[key]; }
+    };
+}
+
+/**
+ * Data validation builder; build() returns the options it was given
+ */
+function newDataValidation() {
+    const rule = {};
+    const builder = {
+        requireValueInList(values, showDropdown) {
+            rule.values = Array.from(values);
+            rule.showDropdown = showDropdown;
+            return builder;
+        },
+        setAllowInvalid(allow) {
+            rule.allowInvalid = allow;
+            return builder;
+        },
+        build: () => rule
+    };
+    return builder;
+}
+
+/** MailApp that keeps sent messages in `sent` */
+function createMail() {
+    const mail = {
+        sent: [],
+        sendEmail(message) { mail.sent.push(message); }
+    };
+    return mail;
+}
+
+/** ScriptApp with just enough of the trigger API to install time-based triggers */
+function createScriptApp() {
+    const scriptApp = {
+        triggers: [],
+        getProjectTriggers: () => scriptApp.triggers.slice(),
+        deleteTrigger(trigger) {
+            scriptApp.triggers = scriptApp.triggers.filter(t => t !== trigger);
+        },
+        newTrigger(handler) {
+            const trigger = { handler, getHandlerFunction: () => handler };
+            const builder = {
+                timeBased: () => builder,
+                everyDays(days) { trigger.everyDays = days; return builder; },
+                atHour(hour) { trigger.atHour = hour; return builder; },
+                create() {
+                    scriptApp.triggers.push(trigger);
+                    return trigger;
+                }
+            };
+            return builder;
+        }
+    };
+    return scriptApp;
+}
+
+function createProperties(initial) {
+    const values = Object.assign({}, initial);
+    return {
+        values,
+        getProperty: key => (key in values ? values[key] : null),
+        setProperty(key, value) { values[key] = String(value); }
+    };
+}
+
+/**
+ * UrlFetchApp that records requests and answers with `respond(url, params)`,
+ * which returns {status, body}. Defaults to 200 with an empty JSON object.
+ */
+function createUrlFetch() {
+    const urlFetch = {
+        requests: [],
+        respond: () => ({ status: 200, body: '{}' }),
+        fetch(url, params) {
+            urlFetch.requests.push({ url, params });
+            const response = urlFetch.respond(url, params);
+            return {
+                getResponseCode: () => response.status,
+                getContentText: () => response.body
+            };
+        }
+    };
+    return urlFetch;
+}
+
+// Apps Script returns signatures and digests as signed bytes
+function toSignedBytes(buffer) {
+    return Array.from(buffer, byte => (byte > 127 ? byte - 256 : byte));
+}
+
+const Utilities = {
+    DigestAlgorithm: { SHA_256: 'sha256' },
+    Charset: { UTF_8: 'utf8' },
+    getUuid: () => crypto.randomUUID(),
+    sleep() {},
+    computeDigest: (algorithm, value) => toSignedBytes(crypto.createHash(algorithm).update(value, 'utf8').digest()),
+    computeHmacSha256Signature: (value, key) => toSignedBytes(crypto.createHmac('sha256', key).update(value, 'utf8').digest()),
+    base64EncodeWebSafe: bytes => Buffer.from(bytes.map(byte => byte & 255)).toString('base64')
+        .replace(/\+/g, '-').replace(/\//g, '_')
+};
+
+const ContentService = {
+    MimeType: { JSON: 'application/json' },
+    createTextOutput(content) {
+        const output = {
+            mimeType: null,
+            setMimeType(type) { output.mimeType = type; return output; },
+            getContent: () => content
+        };
+        return output;
+    }
+};
+
+/**
+ * Runs the webhook in a fresh sandbox
+ * @param {Object} [options]
+ * @param {Object} [options.properties] - Initial script properties
+ * @returns {{context, spreadsheet, sheet, constant, lock, cache, properties, urlFetch, mail, scriptApp, post, postRaw, get}}
+ */
+function loadAppsScript(options = {}) {
+    const spreadsheet = createSpreadsheet();
+    const lock = createLock();
+    const cache = createCache();
+    const properties = createProperties(options.properties);
+    const urlFetch = createUrlFetch();
+    const mail = createMail();
+    const scriptApp = createScriptApp();
+    const logs = [];
+
+    const context = vm.createContext({
+        console: {
+            log: (...args) => logs.push(args),
+            warn: (...args) => logs.push(args),
+            error: (...args) => logs.push(args)
+        },
+        SpreadsheetApp: { getActiveSpreadsheet: () => spreadsheet, newDataValidation },
+        ContentService,
+        LockService: { getScriptLock: () => lock },
+        CacheService: { getScriptCache: () => cache },
+        PropertiesService: { getScriptProperties: () => properties },
+        UrlFetchApp: urlFetch,
+        MailApp: mail,
+        ScriptApp: scriptApp,
+        Utilities
+    });
+
+    WEBHOOK_FILES.forEach(file => {
+        const filename = path.join(ROOT, file);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+    });
+
+    const gas = {
+        context,
+        spreadsheet,
+        lock,
+        cache,
+        properties,
+        urlFetch,
+        mail,
+        scriptApp,
+        logs,
+
+        /** Value of a top-level const, e.g. constant('LEAD_COLUMNS') */
+        constant: name => vm.runInContext(name, context),
+
+        /** Sheet by name, or null */
+        sheet: name => spreadsheet.getSheetByName(name),
+
+        /** Calls doPost with a raw request body and parses the JSON reply */
+        postRaw(contents) {
+            const output = context.doPost({ postData: { contents } });
+            return JSON.parse(output.getContent());
+        },
+
+        /** Calls doPost with an object as the JSON body */
+        post: payload => gas.postRaw(JSON.stringify(payload)),
+
+        /** Calls doGet with query parameters */
+        get(parameter = {}) {
+            const output = context.doGet({ parameter });
+            return JSON.parse(output.getContent());
+        }
+    };
+
+    return gas;
+}
+
+module.exports = { loadAppsScript, createSheet };
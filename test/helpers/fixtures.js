@@ -0,0 +1,77 @@
+// Sample webhook payloads, shaped like the ones script.js sends
+
+let counter = 0;
+
+/**
+ * A lead that passes the webhook's screening
+ * @param {Object} gas - From loadAppsScript(); signs the form token
+ * @param {Object} [overrides] - Fields to replace; guard fields merge
+ */
+function leadPayload(gas, overrides = {}) {
+    counter++;
+    const guard = Object.assign({
+        token: gas.context.createTestFormToken(),
+        elapsed_ms: 30000,
+        honeypot: '',
+        client_id: 'client-' + counter
+    }, overrides.guard);
+
+    return Object.assign({
+        submission_id: 'sub-' + counter,
+        session_id: 'session-' + counter,
+        first_name: 'Jane',
+        last_name: 'Doe',
+        full_name: 'Jane Doe',
+        phone: '+16072345678',
+        phone_extension: '',
+        email: 'jane@example.com',
+        street: '12 Elm St',
+        city: 'Vestal',
+        state: 'NY',
+        zip: '13850',
+        project_type: 'Garage Floor Coating',
+        approx_sqft: '2-car garage',
+        surface_condition: 'Fair',
+        finish_type: 'Flake',
+        estimate_low: 4500,
+        estimate_high: 5900,
+        timeline: 'Before Winter',
+        owns_home: 'Yes',
+        notes: '',
+        out_of_area: false,
+        service_zone: 'Tier 1',
+        market: 'binghamton',
+        consent_text: 'I agree that Doski Concrete Coatings may call and text me.',
+        consent_version: '2026-10-18',
+        consent_timestamp: new Date().toISOString(),
+        consent_url: 'https://doski.test/',
+        tracking_consent: 'accepted',
+        quiz_answers: '{"homeowner":"yes","ab_variant":"A"}',
+        experiments: [{ experiment: 'headline_test_2', variant: 'A', exposed_at: new Date().toISOString() }],
+        attribution: {
+            first_touch: { source: 'facebook', medium: 'paid', campaign: 'fall', fbclid: 'fb-1' },
+            last_touch: { source: 'google', medium: 'cpc', campaign: 'brand', gclid: 'g-1' },
+            fbp: 'fb.1.1700000000000.123',
+            fbc: ''
+        },
+        user_agent: 'Mozilla/5.0 (test)',
+        page_url: 'https://doski.test/',
+        timestamp: new Date().toISOString()
+    }, overrides, { guard });
+}
+
+/**
+ * A partial lead update
+ */
+function partialPayload(sessionId, step, answers = {}) {
+    return {
+        type: 'partial',
+        session_id: sessionId,
+        step,
+        answers,
+        page_url: 'https://doski.test/',
+        timestamp: new Date().toISOString()
+    };
+}
+
+module.exports = { leadPayload, partialPayload };
@@ -0,0 +1,208 @@
+// Loads index.html and its local scripts into jsdom, with the webhook
+// URLs pointed at a mock server.
+//
+// The page's own <script src> files (phone.js, service-area.js,
+// script.js) are inlined so they run exactly as in the browser.
+// External scripts (gtag, Meta Pixel, Clarity) are never fetched.
+//
+// Visitors have accepted tracking unless options.trackingConsent says
+// otherwise, so the tracking globals exist and events can be read back.
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+const PAGE_URL = 'https://doski.test/';
+const TRACKING_CONSENT_KEY = 'doski_tracking_consent';
+
+// Hosts in CONFIG that are routed to the mock server
+const WEBHOOK_HOSTS = {
+    'script.google.com': 'sheetsUrl',
+    'hooks.zapier.com': 'zapierUrl'
+};
+
+function readPage() {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    return html.replace(/<script src="([^"?]+)(\?[^"]*)?"><\/script>/g, (tag, src) => {
+        const file = path.join(ROOT, src);
+        if (!fs.existsSync(file)) return tag;
+        // "</script" inside the source would end the inline element early
+        return '<script>' + fs.readFileSync(file, 'utf8').replace(/<\/script/g, '<\\/script') + '</script>';
+    });
+}
+
+/**
+ * @param {Object} options
+ * @param {{sheetsUrl: string, zapierUrl: string}} options.server - From startMockServer()
+ * @param {string} [options.path] - Path of the page URL, e.g. "ithaca"
+ * @param {string} [options.query] - Query string for the page URL, without "?"
+ * @param {Object} [options.localStorage] - Entries to seed before scripts run
+ * @param {Object} [options.sessionStorage] - Same, for sessionStorage
+ * @param {string|null} [options.trackingConsent='accepted'] - Banner choice already
+ *   made: 'accepted', 'declined', or null for a visitor who hasn't chosen
+ * @param {Object} [options.config] - CONFIG overrides, applied once the page has loaded
+ * @param {Function} [options.beforeParse] - Extra window setup before scripts run
+ */
+async function loadPage(options) {
+    const alerts = [];
+    const errors = [];
+    const fbqCalls = [];
+
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => errors.push(error));
+
+    const dom = new JSDOM(readPage(), {
+        url: PAGE_URL + (options.path || '') + (options.query ? '?' + options.query : ''),
+        runScripts: 'dangerously',
+        pretendToBeVisual: true,
+        virtualConsole,
+        beforeParse(window) {
+            const consent = options.trackingConsent === undefined ? 'accepted' : options.trackingConsent;
+            if (consent) {
+                window.localStorage.setItem(TRACKING_CONSENT_KEY, JSON.stringify({ choice: consent, version: 1, at: new Date().toISOString() }));
+            }
+            seedStorage(window.localStorage, options.localStorage);
+            seedStorage(window.sessionStorage, options.sessionStorage);
+
+            // Node's fetch, with the live webhook hosts swapped for the mock server.
+            // AbortController has to come from the same realm as fetch.
+            window.AbortController = AbortController;
+            window.fetch = (url, init) => fetch(routeUrl(String(url), options.server), init);
+
+            window.alert = message => alerts.push(String(message));
+            window.HTMLElement.prototype.scrollIntoView = () => {};
+
+            if (options.beforeParse) options.beforeParse(window);
+        }
+    });
+
+    const { window } = dom;
+    await new Promise(resolve => {
+        if (window.document.readyState === 'complete') resolve();
+        else window.addEventListener('load', resolve);
+    });
+
+    // The Pixel snippet defines fbq as a queue; record calls instead
+    if (window.fbq) window.fbq = (...args) => fbqCalls.push(args);
+
+    Object.entries(options.config || {}).forEach(([key, value]) => {
+        window.eval(`CONFIG[${JSON.stringify(key)}] = ${JSON.stringify(value)};`);
+    });
+
+    return createPage(window, { alerts, errors, fbqCalls });
+}
+
+function seedStorage(storage, entries) {
+    Object.entries(entries || {}).forEach(([key, value]) => {
+        storage.setItem(key, typeof value === 'string' ? value : JSON.stringify(value));
+    });
+}
+
+function routeUrl(url, server) {
+    const parsed = new URL(url);
+    const target = WEBHOOK_HOSTS[parsed.hostname];
+    return target ? server[target] + parsed.search : url;
+}
+
+function createPage(window, recorded) {
+    const document = window.document;
+
+    const page = Object.assign({
+        window,
+        document,
+
+        /** Id of the quiz step currently shown */
+        currentStep() {
+            const step = document.querySelector('.quiz-step:not(.hidden)');
+            return step ? step.id : null;
+        },
+
+        /** gtag('event', ...) calls as {name, params} */
+        gtagEvents() {
+            return Array.from(window.dataLayer || [])
+                .filter(args => args[0] === 'event')
+                .map(args => ({ name: args[1], params: args[2] || {} }));
+        },
+
+        /** Text of the visible step's inline message, '' if none */
+        message() {
+            const message = document.querySelector('.quiz-step:not(.hidden) .quiz-message');
+            return message ? message.textContent : '';
+        },
+
+        /** Clicks an option on the visible choice step */
+        choose(value) {
+            const option = document.querySelector(`.quiz-step:not(.hidden) .quiz-option[data-answer="${value}"]`);
+            if (!option) throw new Error(`No option "${value}" on ${page.currentStep()}`);
+            option.click();
+        },
+
+        /** Ticks the visible step's consent checkbox */
+        agree() {
+            const checkbox = document.querySelector('.quiz-step:not(.hidden) .quiz-consent input');
+            if (!checkbox) throw new Error(`No consent checkbox on ${page.currentStep()}`);
+            checkbox.checked = true;
+            checkbox.dispatchEvent(new window.Event('change', { bubbles: true }));
+        },
+
+        /** Types into the visible step's input and presses its button */
+        fill(value) {
+            const step = document.querySelector('.quiz-step:not(.hidden)');
+            const input = step && step.querySelector('.quiz-input');
+            if (!input) throw new Error(`No input on ${page.currentStep()}`);
+            input.value = value;
+            input.dispatchEvent(new window.Event('input', { bubbles: true }));
+            step.querySelector('.quiz-btn-next').click();
+        },
+
+        /** Presses the visible step's continue button */
+        next() {
+            const button = document.querySelector('.quiz-step:not(.hidden) .quiz-btn-next');
+            if (!button) throw new Error(`No continue button on ${page.currentStep()}`);
+            button.click();
+        },
+
+        /** Resolves once the given step is shown */
+        waitForStep(stepId, timeout) {
+            return waitFor(() => page.currentStep() === stepId, timeout,
+                () => `Expected ${stepId}, still on ${page.currentStep()}`);
+        },
+
+        waitFor,
+
+        /** Copy of a storage area, for carrying it over to a reloaded page */
+        storage(area = 'sessionStorage') {
+            const storage = window[area];
+            const entries = {};
+            for (let i = 0; i < storage.length; i++) {
+                entries[storage.key(i)] = storage.getItem(storage.key(i));
+            }
+            return entries;
+        },
+
+        close() {
+            window.close();
+        }
+    }, recorded);
+
+    return page;
+}
+
+/**
+ * Polls until predicate() is truthy
+ * @param {Function} predicate
+ * @param {number} [timeout=3000]
+ * @param {Function} [describe] - Builds the failure message
+ */
+async function waitFor(predicate, timeout = 3000, describe) {
+    const deadline = Date.now() + timeout;
+    while (!predicate()) {
+        if (Date.now() > deadline) {
+            throw new Error(describe ? describe() : 'Timed out waiting for condition');
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+module.exports = { loadPage, waitFor };
@@ -0,0 +1,180 @@
+// Local stand-in for the Google Sheets and Zapier webhooks.
+//
+// Both endpoints record every request. Each one answers according to
+// its current mode:
+//   'ok'       - a successful response (Sheets: {success: true})
+//   'error'    - HTTP 500
+//   'not-json' - HTTP 200 with an HTML body, like a Google login page
+//   'timeout'  - never answers (until the server is closed)
+//   object     - that object as the JSON body, e.g. {success: true, duplicate: true}
+//
+// GETs to the Sheets endpoint are answered by ?action=, and booking
+// POSTs by the 'booking' action (see setAction).
+
+const http = require('http');
+
+const SUCCESS_BODIES = {
+    sheets: { success: true, duplicate: false, status: 'new' },
+    zapier: { status: 'success' }
+};
+
+const DEFAULT_ACTIONS = {
+    token: { token: 'test-token' },
+    recent_jobs: { jobs: [] },
+    booking_slots: { slots: [] },
+    // Books whatever slot was asked for
+    booking: body => ({
+        success: true,
+        status: 'booked',
+        booking: {
+            start: body.slot_start,
+            end: new Date(Date.parse(body.slot_start) + 60 * 60 * 1000).toISOString(),
+            owner: 'Rami',
+            address: '12 Elm St, Vestal, NY, 13850'
+        }
+    })
+};
+
+function startMockServer() {
+    const requests = [];
+    const modes = { sheets: 'ok', zapier: 'ok' };
+    const actions = Object.assign({}, DEFAULT_ACTIONS);
+    const pending = [];
+
+    const server = http.createServer((req, res) => {
+        const endpoint = req.url.split('?')[0].replace(/^\//, '');
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            let body = null;
+            try { body = raw ? JSON.parse(raw) : null; } catch (error) { body = raw; }
+            requests.push({ endpoint, method: req.method, url: req.url, body });
+
+            if (!(endpoint in modes)) {
+                res.writeHead(404);
+                res.end();
+                return;
+            }
+
+            // The page asks the Sheets webhook for a form token and recent jobs on load
+            if (endpoint === 'sheets' && req.method === 'GET') {
+                sendAction(res, new URL(req.url, 'http://localhost').searchParams.get('action'), body);
+                return;
+            }
+
+            if (endpoint === 'sheets' && body && body.type === 'booking') {
+                sendAction(res, 'booking', body);
+                return;
+            }
+
+            // Partial leads and error reports are fire-and-forget; always accept them
+            if (body && body.type === 'partial') {
+                sendJson(res, { success: true, status: 'partial' });
+                return;
+            }
+            if (body && body.type === 'client_error') {
+                sendJson(res, { success: true, status: 'logged' });
+                return;
+            }
+
+            const mode = modes[endpoint];
+            if (mode === 'timeout') {
+                pending.push(res);
+            } else if (mode === 'error') {
+                res.writeHead(500, { 'Content-Type': 'text/plain' });
+                res.end('Internal Server Error');
+            } else if (mode === 'not-json') {
+                res.writeHead(200, { 'Content-Type': 'text/html' });
+                res.end('<!DOCTYPE html><html><body>Sign in to continue</body></html>');
+            } else if (mode === 'ok') {
+                sendJson(res, SUCCESS_BODIES[endpoint]);
+            } else {
+                sendJson(res, mode);
+            }
+        });
+    });
+
+    function sendAction(res, name, body) {
+        const answer = typeof actions[name] === 'function' ? actions[name](body) : actions[name];
+        if (answer === 'error') {
+            res.writeHead(500, { 'Content-Type': 'text/plain' });
+            res.end('Internal Server Error');
+        } else {
+            sendJson(res, answer || { status: 'ok' });
+        }
+    }
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            const base = `http://127.0.0.1:${server.address().port}`;
+            resolve({
+                sheetsUrl: base + '/sheets',
+                zapierUrl: base + '/zapier',
+                requests,
+
+                /** Sets how an endpoint ('sheets' or 'zapier') answers */
+                setMode(endpoint, mode) {
+                    modes[endpoint] = mode;
+                },
+
+                /**
+                 * Sets the answer to GET ?action=name (or a 'booking' POST): an
+                 * object, a function(body) returning one, or 'error' for HTTP 500
+                 */
+                setAction(name, body) {
+                    actions[name] = body;
+                },
+
+                /** Recorded lead POSTs to an endpoint (token, partial, booking and error reports excluded) */
+                leads(endpoint) {
+                    return requests
+                        .filter(r => r.endpoint === endpoint && r.method === 'POST')
+                        .filter(r => !(r.body && ['partial', 'booking', 'client_error'].includes(r.body.type)))
+                        .map(r => r.body);
+                },
+
+                /** Recorded client error reports */
+                clientErrors() {
+                    return requests
+                        .filter(r => r.method === 'POST' && r.body && r.body.type === 'client_error')
+                        .map(r => r.body);
+                },
+
+                /** Recorded booking POSTs */
+                bookings() {
+                    return requests
+                        .filter(r => r.method === 'POST' && r.body && r.body.type === 'booking')
+                        .map(r => r.body);
+                },
+
+                /** Recorded partial lead POSTs */
+                partials() {
+                    return requests
+                        .filter(r => r.method === 'POST' && r.body && r.body.type === 'partial')
+                        .map(r => r.body);
+                },
+
+                reset() {
+                    requests.length = 0;
+                    modes.sheets = 'ok';
+                    modes.zapier = 'ok';
+                    Object.keys(actions).forEach(name => delete actions[name]);
+                    Object.assign(actions, DEFAULT_ACTIONS);
+                },
+
+                close() {
+                    pending.forEach(res => res.destroy());
+                    server.closeAllConnections();
+                    return new Promise(done => server.close(done));
+                }
+            });
+        });
+    });
+}
+
+function sendJson(res, body) {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+module.exports = { startMockServer };
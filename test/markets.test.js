@@ -0,0 +1,99 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer } = require('./helpers/mock-server');
+const { loadPage } = require('./helpers/load-page');
+
+describe('markets', () => {
+    let server;
+    let page;
+
+    before(async () => {
+        server = await startMockServer();
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    afterEach(() => {
+        if (page) page.close();
+        page = null;
+        server.reset();
+    });
+
+    function cityNames() {
+        return Array.from(page.document.querySelectorAll('[data-market="city"]')).map(el => el.textContent);
+    }
+
+    it('is Binghamton by default', async () => {
+        page = await loadPage({ server });
+
+        assert.equal(page.window.eval('MARKET.id'), 'binghamton');
+        assert.equal(page.document.documentElement.getAttribute('data-current-market'), 'binghamton');
+        assert.ok(cityNames().length > 0);
+        assert.ok(cityNames().every(name => name === 'Binghamton'));
+    });
+
+    it('is picked by the path or ?market=', async () => {
+        page = await loadPage({ server, path: 'ithaca' });
+        assert.equal(page.window.eval('MARKET.id'), 'ithaca');
+        assert.ok(cityNames().every(name => name === 'Ithaca'));
+        assert.match(page.document.getElementById('heroHeadline').textContent, /^Ithaca — /);
+
+        page.close();
+        page = await loadPage({ server, query: 'market=Elmira' });
+        assert.equal(page.window.eval('MARKET.id'), 'elmira');
+
+        page.close();
+        page = await loadPage({ server, path: 'nowhere', query: 'market=atlantis' });
+        assert.equal(page.window.eval('MARKET.id'), 'binghamton');
+    });
+
+    it('fills experiment variants with the market city', async () => {
+        page = await loadPage({ server, path: 'ithaca', query: 'variant=headline_test_2:B' });
+        assert.match(page.document.getElementById('heroHeadline').textContent, /^Ithaca — Protect Your Garage Floor/);
+    });
+
+    it('puts the market phone number, owner, offer and reviews on the page', async () => {
+        // Market copy is applied on DOMContentLoaded; change the config just before
+        page = await loadPage({
+            server,
+            path: 'ithaca',
+            beforeParse(window) {
+                window.addEventListener('DOMContentLoaded', () => {
+                    window.eval(`Object.assign(MARKETS.ithaca, {
+                        phone: '+16072551234',
+                        owner: 'Dana',
+                        offer: '15% off',
+                        testimonials: [{ title: 'Like new', text: 'Great crew.', name: 'Pat R., Ithaca' }]
+                    });`);
+                }, { capture: true, once: true });
+            }
+        });
+
+        const exitPhone = page.document.querySelector('.exit-popup-phone');
+        assert.equal(exitPhone.textContent, '(607) 255-1234');
+        assert.equal(exitPhone.getAttribute('href'), 'tel:+16072551234');
+        assert.equal(page.document.getElementById('userPhone').placeholder, '(607) 123-4567');
+
+        const success = page.document.getElementById('quizSuccessTemplate').content;
+        assert.equal(success.querySelector('[data-market="owner"]').textContent, 'Dana');
+        assert.equal(success.querySelector('.call-offer-title').textContent, 'Call now for 15% off');
+        assert.equal(success.querySelector('.call-button').getAttribute('href'), 'tel:+16072551234');
+
+        const reviews = page.document.querySelectorAll('#proofGrid .proof-card');
+        assert.equal(reviews.length, 1);
+        assert.equal(reviews[0].querySelector('.proof-name').textContent, '— Pat R., Ithaca');
+    });
+
+    it('puts the market first in the recent jobs popup', async () => {
+        server.setAction('recent_jobs', { jobs: [
+            { first_name: 'Tom', town: 'Vestal', state: 'NY', service: 'Driveway Coating', completed_on: '2026-10-16' },
+            { first_name: 'Ann', town: 'Horseheads', state: 'NY', service: 'Patio Coating', completed_on: '2026-10-01' }
+        ] });
+        page = await loadPage({ server, path: 'elmira' });
+
+        await page.waitFor(() => page.document.getElementById('proofName').textContent !== '', 5000);
+        assert.equal(page.document.getElementById('proofName').textContent, 'Ann from Horseheads, NY');
+    });
+});
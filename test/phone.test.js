@@ -0,0 +1,120 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// phone.js is plain functions, run here the way the webhook runs it
+const context = vm.createContext({});
+const filename = path.join(__dirname, '..', 'phone.js');
+vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+const { parsePhone, formatPhoneInput } = context;
+
+describe('parsePhone', () => {
+    it('accepts the usual ways of typing a number', () => {
+        ['(607) 234-5678', '607.234.5678', '607 234 5678', '6072345678'].forEach(input => {
+            const phone = parsePhone(input);
+            assert.equal(phone.valid, true, input);
+            assert.equal(phone.e164, '+16072345678', input);
+            assert.equal(phone.national, '(607) 234-5678', input);
+            assert.equal(phone.reason, '', input);
+        });
+    });
+
+    it('drops a +1 or 1 country code and refuses other countries', () => {
+        ['+1 607 234 5678', '+1 (607) 234-5678', '1-607-234-5678', '16072345678'].forEach(input => {
+            assert.equal(parsePhone(input).e164, '+16072345678', input);
+        });
+        assert.equal(parsePhone('+44 20 7946 0958').reason, 'invalid_country');
+    });
+
+    it('splits off an extension', () => {
+        const cases = {
+            '(607) 234-5678 ext. 12': '12',
+            '607-234-5678 extension 4': '4',
+            '607-234-5678x9': '9',
+            '607 234 5678 #123': '123'
+        };
+        Object.keys(cases).forEach(input => {
+            const phone = parsePhone(input);
+            assert.equal(phone.valid, true, input);
+            assert.equal(phone.e164, '+16072345678', input);
+            assert.equal(phone.extension, cases[input], input);
+        });
+        assert.equal(parsePhone('607-234-5678').extension, '');
+    });
+
+    it('rejects numbers that can not be dialed', () => {
+        const cases = {
+            '911-234-5678': 'invalid_area_code',
+            '107-234-5678': 'invalid_area_code',
+            '1607234567': 'invalid_area_code', // ten digits, so the 1 is not a country code
+            '607-411-5678': 'invalid_exchange',
+            '607-034-5678': 'invalid_exchange'
+        };
+        Object.keys(cases).forEach(input => assert.equal(parsePhone(input).reason, cases[input], input));
+    });
+
+    it('rejects 555 numbers reserved for fiction, but not other 555 numbers', () => {
+        assert.equal(parsePhone('607-555-0123').reason, 'fictional');
+        assert.equal(parsePhone('607-555-0199').reason, 'fictional');
+        assert.equal(parsePhone('607-555-1234').valid, true);
+    });
+
+    it('rejects made-up numbers', () => {
+        assert.equal(parsePhone('222-222-2222').reason, 'repeated_digits');
+        assert.equal(parsePhone('607-777-7777').reason, 'repeated_digits');
+        assert.equal(parsePhone('234-567-8901').reason, 'sequential_digits');
+        assert.equal(parsePhone('987-654-3210').reason, 'sequential_digits');
+    });
+
+    it('rejects too few or too many digits', () => {
+        assert.equal(parsePhone('607-234-567').reason, 'too_short');
+        assert.equal(parsePhone('+1 607 234').reason, 'too_short');
+        assert.equal(parsePhone('607-234-56789').reason, 'too_long');
+        assert.equal(parsePhone('1-607-234-56789').reason, 'too_long');
+    });
+
+    it('rejects empty input and letters', () => {
+        assert.equal(parsePhone('').reason, 'empty');
+        assert.equal(parsePhone('   ').reason, 'empty');
+        assert.equal(parsePhone(null).reason, 'empty');
+        assert.equal(parsePhone('607-CALL-NOW').reason, 'invalid_characters');
+        const phone = parsePhone('607-CALL-NOW');
+        assert.equal(phone.valid, false);
+        assert.equal(phone.e164, '');
+    });
+});
+
+describe('formatPhoneInput', () => {
+    it('formats partial input as it grows', () => {
+        const cases = {
+            '': '',
+            '6': '(6',
+            '607': '(607',
+            '6072': '(607) 2',
+            '607234': '(607) 234',
+            '6072345': '(607) 234-5',
+            '6072345678': '(607) 234-5678'
+        };
+        Object.keys(cases).forEach(input => assert.equal(formatPhoneInput(input), cases[input], input));
+    });
+
+    it('reformats what is already formatted, so backspacing over a separator works', () => {
+        assert.equal(formatPhoneInput('(607) 23'), '(607) 23');
+        assert.equal(formatPhoneInput('(607) '), '(607');
+        assert.equal(formatPhoneInput('(607) 234-'), '(607) 234');
+    });
+
+    it('drops a leading 1 and shows digits past ten as an extension', () => {
+        assert.equal(formatPhoneInput('+1 607 234 5678'), '(607) 234-5678');
+        assert.equal(formatPhoneInput('1'), '');
+        assert.equal(formatPhoneInput('607234567812'), '(607) 234-5678 x12');
+    });
+
+    it('ignores anything that is not a digit', () => {
+        assert.equal(formatPhoneInput('607.234.5678'), '(607) 234-5678');
+        assert.equal(formatPhoneInput('abc'), '');
+        assert.equal(formatPhoneInput(undefined), '');
+    });
+});
@@ -0,0 +1,919 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer } = require('./helpers/mock-server');
+const { loadPage } = require('./helpers/load-page');
+
+const OUTBOX_KEY = 'doski_lead_outbox';
+
+/**
+ * Answers every question from the homeowner step to the phone step
+ * @param {Object} page - From loadPage()
+ * @param {Object} [answers] - Overrides for the default answers
+ */
+async function completeQuiz(page, answers = {}) {
+    const a = Object.assign({
+        projectType: 'Garage Floor Coating',
+        sqft: '2-car garage',
+        sqftCustom: '',
+        condition: 'Fair',
+        finish: 'Flake',
+        timeline: 'Before Winter',
+        notes: 'Oil stains by the door',
+        name: 'Jane Doe',
+        zip: '13850',
+        street: '12 Elm St',
+        email: 'Jane@Example.com',
+        phone: '(607) 234-5678',
+        consent: true
+    }, answers);
+
+    page.choose('yes');
+    await page.waitForStep('stepProjectType');
+    page.choose(a.projectType);
+    await page.waitForStep(a.projectType === 'Garage Floor Coating' ? 'stepGarageSize' : 'stepSqft');
+    page.choose(a.sqft);
+    if (a.sqft === 'custom') {
+        await page.waitForStep('stepSqftCustom');
+        page.fill(a.sqftCustom);
+    }
+    await page.waitForStep('stepCondition');
+    page.choose(a.condition);
+    await page.waitForStep('stepFinish');
+    page.choose(a.finish);
+    await page.waitForStep('stepEstimate');
+    page.next();
+    await page.waitForStep('stepTimeline');
+    page.choose(a.timeline);
+    await page.waitForStep('stepNotes');
+    page.fill(a.notes);
+    await page.waitForStep('stepName');
+    page.fill(a.name);
+    await page.waitForStep('stepZip');
+    page.fill(a.zip);
+
+    if (page.currentStep() !== 'stepEmail') {
+        await page.waitFor(() => ['stepStreet', 'stepEmail'].includes(page.currentStep()));
+    }
+    if (page.currentStep() === 'stepStreet') {
+        page.fill(a.street);
+        await page.waitForStep('stepEmail');
+    }
+
+    page.fill(a.email);
+    await page.waitForStep('stepPhone');
+    if (a.consent) page.agree();
+    page.fill(a.phone);
+}
+
+function readOutbox(page) {
+    return JSON.parse(page.window.localStorage.getItem(OUTBOX_KEY) || '[]');
+}
+
+describe('quiz flow', () => {
+    let server;
+    let page;
+
+    before(async () => {
+        server = await startMockServer();
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    afterEach(() => {
+        if (page) page.close();
+        page = null;
+        server.reset();
+    });
+
+    it('renders the homeowner question first', async () => {
+        page = await loadPage({ server });
+
+        assert.equal(page.currentStep(), 'stepHomeowner');
+        assert.equal(page.document.querySelectorAll('#quizSteps .quiz-step').length, 17);
+        assert.deepEqual(page.errors, []);
+    });
+
+    it('sends a complete lead to both webhooks and shows the thank-you step', async () => {
+        page = await loadPage({ server });
+        await completeQuiz(page);
+        await page.waitForStep('stepSuccess');
+
+        const [lead] = server.leads('sheets');
+        assert.equal(lead.first_name, 'Jane');
+        assert.equal(lead.last_name, 'Doe');
+        assert.equal(lead.email, 'jane@example.com');
+        assert.equal(lead.phone, '+16072345678');
+        assert.equal(lead.zip, '13850');
+        assert.equal(lead.city, 'Vestal');
+        assert.equal(lead.state, 'NY');
+        assert.equal(lead.service_zone, 'Tier 1');
+        assert.equal(lead.market, 'binghamton');
+        assert.equal(lead.project_type, 'Garage Floor Coating');
+        assert.equal(lead.approx_sqft, '2-car garage');
+        assert.equal(lead.surface_condition, 'Fair');
+        assert.equal(lead.finish_type, 'Flake');
+        assert.equal(lead.estimate_low, 4500);
+        assert.equal(lead.estimate_high, 5900);
+        assert.equal(lead.timeline, 'Before Winter');
+        assert.equal(lead.notes, 'Oil stains by the door');
+        assert.equal(lead.owns_home, 'Yes');
+        assert.equal(lead.out_of_area, false);
+        assert.equal(lead.guard.token, 'test-token');
+        assert.ok(lead.submission_id);
+
+        assert.deepEqual(server.leads('zapier'), [lead]);
+        assert.deepEqual(readOutbox(page), []);
+
+        const leadEvent = page.fbqCalls.find(call => call[1] === 'Lead');
+        assert.equal(leadEvent[3].eventID, lead.submission_id);
+        assert.deepEqual(page.alerts, []);
+    });
+
+    it('tags the lead with the market page it came from', async () => {
+        page = await loadPage({ server, path: 'elmira' });
+        await completeQuiz(page, { zip: '14901', street: '5 Water St' });
+        await page.waitForStep('stepSuccess');
+
+        const [lead] = server.leads('sheets');
+        assert.equal(lead.market, 'elmira');
+        assert.equal(lead.service_zone, 'Tier 3');
+    });
+
+    it('records a partial lead after each answered step', async () => {
+        page = await loadPage({ server });
+        await completeQuiz(page);
+        await page.waitForStep('stepSuccess');
+
+        const steps = server.partials().map(p => p.step);
+        assert.deepEqual(steps, [
+            'stepHomeowner', 'stepProjectType', 'stepGarageSize', 'stepCondition', 'stepFinish',
+            'stepEstimate', 'stepTimeline', 'stepNotes', 'stepName', 'stepZip', 'stepStreet', 'stepEmail'
+        ]);
+        assert.equal(server.partials()[0].session_id, server.leads('sheets')[0].session_id);
+    });
+
+    it('stops non-homeowners at the first question', async () => {
+        page = await loadPage({ server });
+        page.choose('no');
+
+        assert.equal(page.currentStep(), 'stepHomeowner');
+        assert.equal(page.message(), 'We primarily work with homeowners.');
+        assert.deepEqual(page.alerts, []);
+    });
+
+    it('keeps the visitor on a step until the answer is valid', async () => {
+        page = await loadPage({ server });
+        await completeQuiz(page, { phone: '607-123-4567' });
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        assert.equal(page.currentStep(), 'stepPhone');
+        assert.equal(server.leads('sheets').length, 0);
+
+        const input = page.document.getElementById('userPhone');
+        const message = page.document.getElementById(input.getAttribute('aria-describedby'));
+        assert.equal(input.getAttribute('aria-invalid'), 'true');
+        assert.match(message.textContent, /doesn't look right/);
+        assert.equal(message.getAttribute('aria-live'), 'assertive');
+        assert.equal(page.document.activeElement, input);
+
+        // Editing the field clears the error
+        input.value = '607-234-567';
+        input.dispatchEvent(new page.window.Event('input', { bubbles: true }));
+        assert.equal(input.hasAttribute('aria-invalid'), false);
+        assert.equal(message.textContent, '');
+    });
+
+    it('formats the phone number as it is typed without moving the caret', async () => {
+        page = await loadPage({ server });
+        await completeQuiz(page, { phone: '' });
+        await page.waitForStep('stepPhone');
+
+        const input = page.document.getElementById('userPhone');
+        const type = (value, caret) => {
+            input.value = value;
+            input.setSelectionRange(caret, caret);
+            input.dispatchEvent(new page.window.Event('input', { bubbles: true }));
+        };
+
+        type('6072345678', 10);
+        assert.equal(input.value, '(607) 234-5678');
+        assert.equal(input.selectionStart, input.value.length);
+
+        // A digit typed in the middle: the caret stays after it
+        type('(607) 2394-5678', 10);
+        assert.equal(input.value, '(607) 239-4567 x8');
+        assert.equal(input.selectionStart, 11);
+
+        // ...and deleted again: the caret stays after the digit before it
+        type('(607) 239-567 x8', 10);
+        assert.equal(input.value, '(607) 239-5678');
+        assert.equal(input.selectionStart, 9);
+    });
+
+    it('needs call/text consent before sending the lead, and records it', async () => {
+        page = await loadPage({ server, query: 'utm_source=facebook' });
+        await completeQuiz(page, { consent: false });
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        assert.equal(page.currentStep(), 'stepPhone');
+        assert.match(page.message(), /check the box/);
+        assert.equal(server.leads('sheets').length, 0);
+
+        page.agree();
+        assert.equal(page.message(), '');
+        page.next();
+        await page.waitForStep('stepSuccess');
+
+        const [lead] = server.leads('sheets');
+        const label = page.document.querySelector('#stepPhone .quiz-consent').textContent;
+        assert.equal(lead.consent_text, label);
+        assert.equal(lead.consent_version, page.window.eval('CONSENT.CALL_CONSENT_VERSION'));
+        assert.equal(lead.consent_url, 'https://doski.test/?utm_source=facebook');
+        assert.ok(Date.parse(lead.consent_timestamp) <= Date.now());
+    });
+
+    it('sends out-of-area visitors to the waitlist without a street address', async () => {
+        page = await loadPage({ server });
+        await completeQuiz(page, { zip: '10001' });
+        await page.waitForStep('stepWaitlist');
+
+        const [lead] = server.leads('sheets');
+        assert.equal(lead.out_of_area, true);
+        assert.equal(lead.service_zone, 'Out of area');
+        assert.equal(lead.street, '');
+    });
+
+    it('still succeeds through Zapier when Google Sheets errors', async () => {
+        server.setMode('sheets', 'error');
+        page = await loadPage({ server });
+        await completeQuiz(page);
+        await page.waitForStep('stepSuccess');
+
+        assert.equal(server.leads('zapier').length, 1);
+        const [entry] = readOutbox(page);
+        assert.deepEqual(entry.delivered, { sheets: false, zapier: true });
+    });
+
+    it('treats a non-JSON Sheets response as a failed delivery', async () => {
+        server.setMode('sheets', 'not-json');
+        page = await loadPage({ server });
+        await completeQuiz(page);
+        await page.waitForStep('stepSuccess');
+
+        assert.equal(server.leads('sheets').length, 1);
+        assert.equal(server.leads('zapier').length, 1);
+        assert.deepEqual(readOutbox(page)[0].delivered, { sheets: false, zapier: true });
+    });
+
+    it('gives up on a webhook that does not answer in time', async () => {
+        server.setMode('sheets', 'timeout');
+        page = await loadPage({ server, config: { REQUEST_TIMEOUT_MS: 200 } });
+        await completeQuiz(page);
+        await page.waitForStep('stepSuccess');
+
+        assert.equal(server.leads('zapier').length, 1);
+        assert.deepEqual(readOutbox(page)[0].delivered, { sheets: false, zapier: true });
+    });
+
+    it('does not beacon a lead that is still being delivered when the page is hidden', async () => {
+        const beacons = [];
+        server.setMode('zapier', 'timeout');
+        page = await loadPage({
+            server,
+            config: { REQUEST_TIMEOUT_MS: 300 },
+            beforeParse(window) {
+                window.navigator.sendBeacon = url => {
+                    beacons.push(String(url));
+                    return true;
+                };
+            }
+        });
+        await completeQuiz(page);
+        await page.waitFor(() => server.leads('zapier').length === 1);
+
+        page.window.dispatchEvent(new page.window.Event('pagehide'));
+        assert.equal(beacons.filter(url => url.includes('zapier')).length, 0);
+
+        // Once the delivery has given up, the lead is beaconed as before
+        await page.waitForStep('stepSuccess');
+        assert.deepEqual(readOutbox(page)[0].delivered, { sheets: true, zapier: false });
+        page.window.dispatchEvent(new page.window.Event('pagehide'));
+        assert.equal(beacons.filter(url => url.includes('zapier')).length, 1);
+    });
+
+    it('gives look-alike browsers their own client id and keeps it across visits', async () => {
+        page = await loadPage({ server });
+        await completeQuiz(page);
+        await page.waitForStep('stepSuccess');
+        const first = server.leads('sheets')[0].guard.client_id;
+        const storage = page.storage('localStorage');
+        page.close();
+
+        server.reset();
+        page = await loadPage({ server });
+        await completeQuiz(page);
+        await page.waitForStep('stepSuccess');
+        assert.notEqual(server.leads('sheets')[0].guard.client_id, first);
+        page.close();
+
+        server.reset();
+        page = await loadPage({ server, localStorage: storage });
+        assert.equal(page.window.eval('getClientFingerprint()'), first);
+    });
+
+    it('queues the lead when both webhooks fail', async () => {
+        server.setMode('sheets', 'error');
+        server.setMode('zapier', 'error');
+        page = await loadPage({ server });
+        await completeQuiz(page);
+        await page.waitForStep('stepSuccess');
+
+        const [entry] = readOutbox(page);
+        assert.equal(entry.payload.email, 'jane@example.com');
+        assert.equal(entry.attempts, 1);
+        assert.deepEqual(entry.delivered, { sheets: false, zapier: false });
+    });
+
+    function queuedLead(token) {
+        return {
+            [OUTBOX_KEY]: [{
+                id: 'queued-1',
+                payload: { submission_id: 'queued-1', email: 'queued@example.com', guard: { token, elapsed_ms: 60000 } },
+                createdAt: Date.now(),
+                attempts: 1,
+                nextAttemptAt: 0,
+                delivered: { sheets: false, zapier: false }
+            }]
+        };
+    }
+
+    it('replays a queued lead on the next page load', async () => {
+        page = await loadPage({ server, localStorage: queuedLead('earlier-token') });
+        await page.waitFor(() => server.leads('zapier').length === 1);
+        await page.waitFor(() => readOutbox(page).length === 0);
+
+        assert.equal(server.leads('sheets')[0].submission_id, 'queued-1');
+        assert.equal(server.leads('sheets')[0].guard.token, 'earlier-token');
+    });
+
+    it('holds a replayed lead that borrows a new token until the webhook would accept it', async () => {
+        page = await loadPage({ server, localStorage: queuedLead('') });
+        await page.waitFor(() => readOutbox(page)[0].payload.guard.token === 'test-token');
+
+        const [entry] = readOutbox(page);
+        assert.equal(server.leads('sheets').length, 0);
+        assert.equal(server.leads('zapier').length, 0);
+        assert.equal(entry.attempts, 1);
+        assert.ok(entry.nextAttemptAt >= Date.now() + 5000);
+
+        // Once it is old enough the lead goes out with the borrowed token
+        entry.nextAttemptAt = 0;
+        page.window.localStorage.setItem(OUTBOX_KEY, JSON.stringify([entry]));
+        page.window.eval("formGuard.tokenReceivedAt = Date.now() - FORM_TOKEN_MIN_AGE_MS; flushOutbox()");
+        await page.waitFor(() => readOutbox(page).length === 0);
+        assert.equal(server.leads('sheets')[0].guard.token, 'test-token');
+    });
+
+    it('keeps a lead queued for the sheet while no form token can be had', async () => {
+        server.setAction('token', 'error');
+        page = await loadPage({ server, localStorage: queuedLead('') });
+        await page.waitFor(() => server.leads('zapier').length === 1);
+
+        assert.equal(server.leads('sheets').length, 0);
+        assert.deepEqual(readOutbox(page)[0].delivered, { sheets: false, zapier: true });
+    });
+
+    it('skips Zapier when the sheet already has the lead', async () => {
+        server.setMode('sheets', { success: true, duplicate: true, status: 'duplicate', reason: 'phone' });
+        page = await loadPage({ server });
+        await completeQuiz(page);
+        await page.waitForStep('stepSuccess');
+
+        assert.equal(server.leads('sheets').length, 1);
+        assert.equal(server.leads('zapier').length, 0);
+    });
+
+    it('does not retry a lead while its first delivery is still waiting on a webhook', async () => {
+        server.setMode('sheets', 'timeout');
+        page = await loadPage({ server, config: { REQUEST_TIMEOUT_MS: 300, OUTBOX_RETRY_BASE_MS: 50 } });
+
+        const submitted = page.window.eval(`submitLead({
+            name: 'Jane Doe', zip: '13850', email: 'jane@example.com', phone: '6072345678'
+        })`);
+        await new Promise(resolve => setTimeout(resolve, 100));
+        await page.window.eval('flushOutbox()'); // Due by now, but still being sent
+
+        const result = await submitted;
+        assert.equal(result.success, true);
+        assert.equal(server.leads('sheets').length, 1);
+        assert.equal(server.leads('zapier').length, 1);
+    });
+
+    it('still forwards a replayed lead to Zapier when the sheet saved it but the reply was lost', async () => {
+        server.setMode('sheets', 'timeout');
+        server.setMode('zapier', 'error');
+        page = await loadPage({ server, config: { REQUEST_TIMEOUT_MS: 200, OUTBOX_RETRY_BASE_MS: 100 } });
+        await completeQuiz(page);
+        await page.waitForStep('stepSuccess');
+        assert.deepEqual(readOutbox(page)[0].delivered, { sheets: false, zapier: false });
+
+        // The first request did write the row, so the retry matches it by submission id
+        server.setMode('sheets', { success: true, duplicate: true, status: 'duplicate', reason: 'submission_id' });
+        server.setMode('zapier', 'ok');
+        await page.waitFor(() => readOutbox(page).length === 0);
+
+        const zapier = server.leads('zapier');
+        assert.equal(zapier.length, 2);
+        assert.equal(zapier[1].submission_id, server.leads('sheets')[0].submission_id);
+    });
+
+    it('counts a thank-you step experiment as seen only once that step is shown', async () => {
+        page = await loadPage({ server, query: 'variant=headline_test_2:A' });
+        // As if offer_text_1 (targets the thank-you template) were running
+        page.window.eval("abAssignments.offer_text_1 = 'B'; recordExperimentExposures(document.getElementById('stepHomeowner'))");
+        const exposures = () => page.gtagEvents()
+            .filter(e => e.name === 'experiment_exposure')
+            .map(e => e.params.experiment_id);
+        assert.deepEqual(exposures(), ['headline_test_2']);
+
+        await completeQuiz(page);
+        await page.waitForStep('stepSuccess');
+
+        assert.deepEqual(exposures(), ['headline_test_2', 'offer_text_1']);
+        const experiments = Array.from(page.window.eval('getExperimentPayload()'));
+        assert.deepEqual(experiments.map(e => e.experiment + ':' + e.variant), ['headline_test_2:A', 'offer_text_1:B']);
+    });
+
+    it('asks the visitor to call when the webhook rejects the lead', async () => {
+        server.setMode('sheets', { success: false, rejected: true, error: 'Submission rejected' });
+        page = await loadPage({ server });
+        await completeQuiz(page);
+        await page.waitFor(() => page.message() !== '');
+
+        assert.equal(page.currentStep(), 'stepPhone');
+        assert.match(page.message(), /call us directly/);
+        assert.deepEqual(page.alerts, []);
+        assert.equal(server.leads('zapier').length, 0);
+        assert.deepEqual(readOutbox(page), []);
+    });
+
+    describe('sticky modal', () => {
+        function pressKey(key, options = {}) {
+            const event = new page.window.KeyboardEvent('keydown', Object.assign({ key, bubbles: true, cancelable: true }, options));
+            page.document.activeElement.dispatchEvent(event);
+            return event;
+        }
+
+        it('becomes a modal dialog once the quiz is started', async () => {
+            page = await loadPage({ server });
+            const card = page.document.getElementById('quizCard');
+            assert.equal(card.getAttribute('role'), null);
+
+            page.choose('yes');
+            await page.waitForStep('stepProjectType');
+
+            assert.equal(card.getAttribute('role'), 'dialog');
+            assert.equal(card.getAttribute('aria-modal'), 'true');
+            assert.equal(card.getAttribute('aria-labelledby'), 'stepProjectTypeTitle');
+            assert.equal(page.document.activeElement.id, 'stepProjectTypeTitle');
+        });
+
+        it('keeps Tab inside the quiz card', async () => {
+            page = await loadPage({ server });
+            page.choose('yes');
+            await page.waitForStep('stepProjectType');
+
+            const buttons = page.document.querySelectorAll('#stepProjectType button');
+            const first = buttons[0];
+            const last = buttons[buttons.length - 1];
+            assert.equal(last.className, 'quiz-btn-back');
+            last.focus();
+            assert.equal(pressKey('Tab').defaultPrevented, true);
+            assert.equal(page.document.activeElement, first);
+
+            assert.equal(pressKey('Tab', { shiftKey: true }).defaultPrevented, true);
+            assert.equal(page.document.activeElement, last);
+
+            // Focus moved outside the card is pulled back in
+            page.document.querySelector('header a, nav a, a').focus();
+            assert.ok(page.document.getElementById('quizCard').contains(page.document.activeElement));
+        });
+
+        it('closes with Escape and keeps the answers', async () => {
+            page = await loadPage({ server });
+            page.choose('yes');
+            await page.waitForStep('stepProjectType');
+
+            pressKey('Escape');
+
+            const card = page.document.getElementById('quizCard');
+            assert.equal(page.document.getElementById('quiz-overlay'), null);
+            assert.equal(card.classList.contains('quiz-sticky-active'), false);
+            assert.equal(card.getAttribute('role'), null);
+            assert.equal(page.document.body.classList.contains('quiz-modal-open'), false);
+            assert.equal(page.currentStep(), 'stepProjectType');
+        });
+    });
+
+    describe('resuming and going back', () => {
+        const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+        async function answerUpTo(stepId) {
+            const answers = [
+                ['stepHomeowner', () => page.choose('yes')],
+                ['stepProjectType', () => page.choose('Driveway Coating')],
+                ['stepSqft', () => page.choose('600-800 sq ft')],
+                ['stepCondition', () => page.choose('Good')],
+                ['stepFinish', () => page.choose('Solid')],
+                ['stepEstimate', () => page.next()],
+                ['stepTimeline', () => page.choose('As soon as possible')],
+                ['stepNotes', () => page.fill('')],
+                ['stepName', () => page.fill('Sam Smith')],
+                ['stepZip', () => page.fill('13850')]
+            ];
+            for (const [id, answer] of answers) {
+                if (id === stepId) return;
+                await page.waitForStep(id);
+                answer();
+            }
+        }
+
+        async function reload() {
+            const sessionStorage = page.storage('sessionStorage');
+            page.close();
+            page = await loadPage({ server, sessionStorage });
+        }
+
+        it('resumes at the same step with answers and sticky mode after a reload', async () => {
+            page = await loadPage({ server });
+            await answerUpTo('stepStreet');
+            await page.waitForStep('stepStreet');
+
+            await reload();
+
+            assert.equal(page.currentStep(), 'stepStreet');
+            assert.match(page.document.getElementById('stepStreetTitle').textContent, /Vestal/);
+            assert.ok(page.document.getElementById('quizCard').classList.contains('quiz-sticky-active'));
+            assert.equal(page.document.getElementById('userName').value, 'Sam Smith');
+
+            page.fill('9 Oak Ave');
+            await page.waitForStep('stepEmail');
+            page.fill('sam@example.com');
+            await page.waitForStep('stepPhone');
+            page.agree();
+            page.fill('607-234-5678');
+            await page.waitForStep('stepSuccess');
+
+            const [lead] = server.leads('sheets');
+            assert.equal(lead.full_name, 'Sam Smith');
+            assert.equal(lead.project_type, 'Driveway Coating');
+            assert.equal(lead.city, 'Vestal');
+            assert.equal(lead.street, '9 Oak Ave');
+            // Timed from the first answer before the reload, with the same token
+            assert.ok(lead.guard.elapsed_ms > 0);
+            assert.equal(server.requests.filter(r => r.url.includes('action=token')).length, 1);
+        });
+
+        it('saves progress and history entries by step id', async () => {
+            page = await loadPage({ server });
+            await answerUpTo('stepTimeline');
+            await page.waitForStep('stepTimeline');
+
+            assert.equal(JSON.parse(page.window.sessionStorage.getItem('doski_quiz_state')).step, 'stepTimeline');
+            assert.equal(page.window.history.state.quizStep, 'stepTimeline');
+            assert.equal(page.window.history.state.quizPrev, 'stepEstimate');
+
+            // Progress saved before steps were renumbered still lands on its step
+            page.close();
+            page = await loadPage({
+                server,
+                sessionStorage: {
+                    doski_quiz_state: JSON.stringify({ step: 'stepName', userData: { homeowner: 'yes', projectType: 'Driveway Coating' } })
+                }
+            });
+            assert.equal(page.currentStep(), 'stepName');
+            assert.equal(page.window.history.state.quizStep, 'stepName');
+
+            // A saved step that no longer exists starts over
+            page.close();
+            page = await loadPage({ server, sessionStorage: { doski_quiz_state: JSON.stringify({ step: 'stepGone', userData: {} }) } });
+            assert.equal(page.currentStep(), 'stepHomeowner');
+        });
+
+        it('moves between steps with the Back button and browser history', async () => {
+            page = await loadPage({ server });
+            await answerUpTo('stepNotes');
+            await page.waitForStep('stepNotes');
+
+            page.document.querySelector('#stepNotes .quiz-btn-back').click();
+            await page.waitForStep('stepTimeline');
+
+            page.window.history.back();
+            await page.waitForStep('stepEstimate');
+
+            page.window.history.forward();
+            await page.waitForStep('stepTimeline');
+
+            page.window.history.go(-6);
+            await page.waitForStep('stepHomeowner');
+            assert.equal(page.document.getElementById('quiz-overlay'), null);
+        });
+
+        it('goes back past steps that were skipped', async () => {
+            page = await loadPage({ server });
+            await answerUpTo('stepName');
+            await page.waitForStep('stepName');
+            page.fill('Sam Smith');
+            await page.waitForStep('stepZip');
+            page.fill('10001');
+            await page.waitForStep('stepEmail');
+
+            await reload();
+            assert.equal(page.currentStep(), 'stepEmail');
+
+            // No history entries after the reload in a fresh page, so Back works it out
+            page.document.querySelector('#stepEmail .quiz-btn-back').click();
+            await page.waitForStep('stepZip');
+            assert.equal(page.document.getElementById('userZip').value, '10001');
+        });
+
+        it('keeps the thank-you step once the lead is sent', async () => {
+            page = await loadPage({ server });
+            await completeQuiz(page);
+            await page.waitForStep('stepSuccess');
+            await sleep(50);
+
+            // The quiz's entries are gone: the thank-you step sits on the
+            // page's first entry, so Back leaves the page
+            assert.equal(page.window.history.state.quizStep, 'stepSuccess');
+            assert.equal(page.window.history.state.pageDepth, 0);
+            let popped = 0;
+            page.window.addEventListener('popstate', () => popped++);
+            page.window.history.back();
+            await sleep(50);
+            assert.equal(popped, 0);
+            assert.equal(page.currentStep(), 'stepSuccess');
+
+            await reload();
+            assert.equal(page.currentStep(), 'stepSuccess');
+            assert.equal(page.fbqCalls.some(call => call[1] === 'Lead'), false);
+            assert.equal(server.leads('sheets').length, 1);
+        });
+    });
+
+    describe('price estimate', () => {
+        async function answerSize(choose, projectType = 'Garage Floor Coating') {
+            page.choose('yes');
+            await page.waitForStep('stepProjectType');
+            page.choose(projectType);
+            await page.waitForStep(projectType === 'Garage Floor Coating' ? 'stepGarageSize' : 'stepSqft');
+            await choose();
+        }
+
+        function shownEstimate() {
+            return Array.from(page.document.querySelectorAll('#stepEstimate .quiz-content p')).map(p => p.textContent);
+        }
+
+        it('prices the chosen size, condition and finish before asking for contact details', async () => {
+            page = await loadPage({ server });
+            await answerSize(() => page.choose('3-car garage'));
+            await page.waitForStep('stepCondition');
+            page.choose('Poor');
+            await page.waitForStep('stepFinish');
+            page.choose('Solid');
+            await page.waitForStep('stepEstimate');
+
+            const [range, detail] = shownEstimate();
+            assert.equal(range, '$6,100 – $8,800');
+            assert.equal(detail, 'Solid finish for a 3-car garage, installed in one day');
+            assert.equal(page.document.activeElement.id, 'stepEstimateTitle');
+        });
+
+        it('asks other projects for an area and sends the range they picked', async () => {
+            page = await loadPage({ server });
+            await completeQuiz(page, { projectType: 'Patio / Walkway Coating', sqft: 'Over 800 sq ft', condition: 'Good', finish: 'Flake' });
+            await page.waitForStep('stepSuccess');
+
+            assert.doesNotMatch(page.document.getElementById('stepSqft').textContent, /garage/i);
+            const [lead] = server.leads('sheets');
+            assert.equal(lead.approx_sqft, 'Over 800 sq ft');
+            assert.equal(lead.estimate_low, 8100);
+            assert.equal(lead.estimate_high, 10800);
+            assert.ok(!server.partials().some(p => p.step === 'stepGarageSize'));
+        });
+
+        it('takes an exact size and sends it with the quoted range', async () => {
+            page = await loadPage({ server });
+            await completeQuiz(page, { sqft: 'custom', sqftCustom: '520', condition: 'Good', finish: 'Flake' });
+            await page.waitForStep('stepSuccess');
+
+            const [lead] = server.leads('sheets');
+            assert.equal(lead.approx_sqft, '520');
+            assert.equal(lead.estimate_low, 4700);
+            assert.equal(lead.estimate_high, 6200);
+        });
+
+        it('rejects a size that is not a number', async () => {
+            page = await loadPage({ server });
+            await answerSize(() => page.choose('custom'));
+            await page.waitForStep('stepSqftCustom');
+
+            page.fill('big');
+            assert.match(page.message(), /between 50 and 10,000/);
+            assert.equal(page.currentStep(), 'stepSqftCustom');
+        });
+
+        it('quotes a typical-size project when the visitor is not sure of the size', async () => {
+            page = await loadPage({ server });
+            await answerSize(() => page.choose('Not sure'), 'Driveway Coating');
+            await page.waitForStep('stepCondition');
+            page.choose('Good');
+            await page.waitForStep('stepFinish');
+            page.choose('Flake');
+            await page.waitForStep('stepEstimate');
+
+            const [range, detail] = shownEstimate();
+            assert.equal(range, '$4,100 – $5,400');
+            assert.equal(detail, 'Flake finish for a typical-size project (450 sq ft), installed in one day');
+        });
+
+        it('updates the estimate after going back to change an answer', async () => {
+            page = await loadPage({ server });
+            await answerSize(() => page.choose('1-car garage'));
+            await page.waitForStep('stepCondition');
+            page.choose('Good');
+            await page.waitForStep('stepFinish');
+            page.choose('Flake');
+            await page.waitForStep('stepEstimate');
+            assert.equal(shownEstimate()[0], '$2,300 – $3,000');
+
+            page.document.querySelector('#stepEstimate .quiz-btn-back').click();
+            await page.waitForStep('stepFinish');
+            page.choose('Solid');
+            await page.waitForStep('stepEstimate');
+            assert.equal(shownEstimate()[0], '$1,800 – $2,500');
+        });
+    });
+
+    describe('attribution', () => {
+        function storedTouch(key) {
+            return JSON.parse(page.window.localStorage.getItem('attribution_' + key + '_touch'));
+        }
+
+        async function visit(query, localStorage) {
+            if (page) page.close();
+            page = await loadPage({ server, query, localStorage });
+            return page.storage('localStorage');
+        }
+
+        it('stores first and last touch on the first visit', async () => {
+            await visit('utm_source=facebook&utm_medium=paid&utm_campaign=fall&utm_term=coating&utm_content=video&gclid=g-1&fbclid=fb-1');
+
+            const first = storedTouch('first');
+            assert.equal(first.source, 'facebook');
+            assert.equal(first.medium, 'paid');
+            assert.equal(first.campaign, 'fall');
+            assert.equal(first.term, 'coating');
+            assert.equal(first.content, 'video');
+            assert.equal(first.gclid, 'g-1');
+            assert.equal(first.fbclid, 'fb-1');
+            assert.match(first.landing_page, /utm_campaign=fall/);
+            assert.deepEqual(storedTouch('last'), first);
+        });
+
+        it('keeps the first touch, follows the last campaign and ignores direct visits', async () => {
+            let storage = await visit('utm_source=facebook&utm_medium=paid&utm_campaign=fall&fbclid=fb-1');
+            storage = await visit('utm_source=google&utm_medium=cpc&utm_campaign=brand&gclid=g-2', storage);
+
+            assert.equal(storedTouch('first').campaign, 'fall');
+            assert.equal(storedTouch('first').fbclid, 'fb-1');
+            assert.equal(storedTouch('last').campaign, 'brand');
+            assert.equal(storedTouch('last').gclid, 'g-2');
+
+            await visit('', storage);
+            assert.equal(storedTouch('first').campaign, 'fall');
+            assert.equal(storedTouch('last').campaign, 'brand');
+            assert.equal(page.window.currentTouch.source, '(direct)');
+
+            await completeQuiz(page);
+            await page.waitForStep('stepSuccess');
+
+            const { attribution } = server.leads('sheets')[0];
+            assert.equal(attribution.first_touch.source, 'facebook');
+            assert.equal(attribution.first_touch.fbclid, 'fb-1');
+            assert.equal(attribution.last_touch.source, 'google');
+            assert.equal(attribution.last_touch.gclid, 'g-2');
+            assert.match(attribution.fbc, /^fb\.1\.\d+\.fb-1$/);
+        });
+    });
+
+    describe('booking a quote visit', () => {
+        // Tomorrow at 10 and 11, and 9 the day after, in local time
+        function upcomingSlots() {
+            const at = (days, hour) => {
+                const date = new Date();
+                date.setDate(date.getDate() + days);
+                date.setHours(hour, 0, 0, 0);
+                return { start: date.toISOString(), end: new Date(date.getTime() + 60 * 60 * 1000).toISOString() };
+            };
+            return [at(1, 10), at(1, 11), at(2, 9)];
+        }
+
+        function widget() {
+            return page.document.querySelector('#stepSuccess .booking-widget');
+        }
+
+        function slotButtons() {
+            return Array.from(widget().querySelectorAll('.booking-slot'));
+        }
+
+        async function reachThankYou() {
+            page = await loadPage({ server });
+            await completeQuiz(page);
+            await page.waitForStep('stepSuccess');
+        }
+
+        it('books an open slot and offers a calendar file', async () => {
+            const slots = upcomingSlots();
+            server.setAction('booking_slots', { slots });
+            await reachThankYou();
+            await page.waitFor(() => slotButtons().length === 3);
+
+            assert.equal(widget().hidden, false);
+            assert.equal(widget().querySelectorAll('.booking-day').length, 2);
+            assert.deepEqual(slotButtons().map(b => b.textContent), ['10:00 AM', '11:00 AM', '9:00 AM']);
+
+            slotButtons()[1].click();
+            await page.waitFor(() => widget().querySelector('.booking-ics'));
+
+            const [booking] = server.bookings();
+            assert.equal(booking.slot_start, slots[1].start);
+            assert.equal(booking.submission_id, server.leads('sheets')[0].submission_id);
+
+            assert.match(widget().querySelector('.booking-confirmation').textContent, /at 11:00 AM with Rami/);
+            const link = widget().querySelector('.booking-ics');
+            assert.equal(link.getAttribute('download'), 'doski-quote-visit.ics');
+            const ics = decodeURIComponent(link.href.replace('data:text/calendar;charset=utf-8,', ''));
+            assert.match(ics, /^BEGIN:VCALENDAR\r\n/);
+            assert.ok(ics.includes('DTSTART:' + slots[1].start.replace(/[-:]/g, '').replace('.000', '')));
+            assert.ok(ics.includes('LOCATION:12 Elm St\\, Vestal\\, NY\\, 13850'));
+            assert.equal(page.gtagEvents().filter(e => e.name === 'booking_confirmed').length, 1);
+        });
+
+        it('asks for another time when the slot was just taken', async () => {
+            server.setAction('booking_slots', { slots: upcomingSlots() });
+            server.setAction('booking', { success: false, status: 'slot_taken', error: 'That time is no longer available' });
+            await reachThankYou();
+            await page.waitFor(() => slotButtons().length === 3);
+
+            server.setAction('booking_slots', { slots: upcomingSlots().slice(1) });
+            slotButtons()[0].click();
+
+            await page.waitFor(() => slotButtons().length === 2);
+            assert.match(widget().querySelector('.booking-message').textContent, /just taken/);
+            assert.ok(slotButtons().every(b => !b.disabled));
+        });
+
+        it('waits until the sheet has the lead before offering slots', async () => {
+            server.setAction('booking_slots', { slots: upcomingSlots() });
+            server.setMode('sheets', 'error');
+            page = await loadPage({ server, config: { OUTBOX_RETRY_BASE_MS: 100 } });
+            await completeQuiz(page);
+            await page.waitForStep('stepSuccess');
+            await new Promise(resolve => setTimeout(resolve, 50));
+
+            assert.equal(widget().hidden, true);
+            assert.ok(!server.requests.some(r => r.url.includes('action=booking_slots')));
+
+            server.setMode('sheets', 'ok');
+            await page.waitFor(() => slotButtons().length === 3);
+            assert.equal(widget().hidden, false);
+        });
+
+        it('stays hidden when there are no open slots', async () => {
+            await reachThankYou();
+            await page.waitFor(() => server.requests.some(r => r.url.includes('action=booking_slots')));
+            await new Promise(resolve => setTimeout(resolve, 100));
+
+            assert.equal(widget().hidden, true);
+        });
+
+        it('keeps the confirmation after a reload', async () => {
+            server.setAction('booking_slots', { slots: upcomingSlots() });
+            await reachThankYou();
+            await page.waitFor(() => slotButtons().length === 3);
+            slotButtons()[0].click();
+            await page.waitFor(() => widget().querySelector('.booking-ics'));
+
+            const sessionStorage = page.storage('sessionStorage');
+            page.close();
+            page = await loadPage({ server, sessionStorage });
+
+            assert.equal(page.currentStep(), 'stepSuccess');
+            assert.ok(widget().querySelector('.booking-ics'));
+            assert.equal(server.bookings().length, 1);
+        });
+    });
+});
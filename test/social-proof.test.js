@@ -0,0 +1,108 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer } = require('./helpers/mock-server');
+const { loadPage } = require('./helpers/load-page');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const JOBS = [
+    { first_name: 'Tom', town: 'Endicott', state: 'NY', service: 'Driveway Coating', completed_on: '2026-10-16' },
+    { first_name: '', town: 'Owego', state: 'NY', service: 'Patio Coating', completed_on: '2026-10-01' }
+];
+
+describe('social proof popup', () => {
+    let server;
+    let page;
+
+    before(async () => {
+        server = await startMockServer();
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    afterEach(() => {
+        if (page) page.close();
+        page = null;
+        server.reset();
+    });
+
+    function popup() {
+        return page.document.getElementById('socialProofPopup');
+    }
+
+    function jobRequests() {
+        return server.requests.filter(r => r.url.includes('action=recent_jobs'));
+    }
+
+    it('describes jobs without naming anyone in full', async () => {
+        page = await loadPage({ server });
+        const now = 'new Date(2026, 9, 18, 15, 30)';
+        const describeJob = index => page.window.eval(`describeJob(${JSON.stringify(JOBS[index])}, ${now})`);
+
+        assert.equal(describeJob(0).name, 'Tom from Endicott, NY');
+        assert.equal(describeJob(0).action, 'Had a driveway coating installed');
+        assert.equal(describeJob(0).time, 'Completed 2 days ago');
+        assert.equal(describeJob(1).name, 'A homeowner in Owego, NY');
+        assert.equal(describeJob(1).time, 'Completed 2 weeks ago');
+
+        const ago = day => page.window.eval(`formatDaysAgo('${day}', ${now})`);
+        assert.deepEqual(['2026-10-18', '2026-10-17', '2026-10-12', '2026-10-11', '2026-09-18', '2026-07-01'].map(ago),
+            ['today', 'yesterday', '6 days ago', '1 week ago', '1 month ago', '3 months ago']);
+    });
+
+    it('shows the recent jobs feed after a short delay', async () => {
+        server.setAction('recent_jobs', { jobs: JOBS });
+        page = await loadPage({ server });
+
+        assert.equal(popup().classList.contains('show'), false);
+        await page.waitFor(() => popup().classList.contains('show'), 5000);
+
+        assert.equal(page.document.getElementById('proofName').textContent, 'Tom from Endicott, NY');
+
+        const cached = JSON.parse(page.window.localStorage.getItem('doski_recent_jobs'));
+        assert.equal(cached.jobs.length, 2);
+    });
+
+    it('stays hidden while the quiz is open', async () => {
+        server.setAction('recent_jobs', { jobs: JOBS });
+        page = await loadPage({ server });
+        page.document.body.classList.add('quiz-modal-open');
+
+        await sleep(3500);
+        assert.equal(popup().classList.contains('show'), false);
+    });
+
+    it('uses a fresh cached feed without asking the webhook', async () => {
+        page = await loadPage({
+            server,
+            localStorage: { doski_recent_jobs: { fetchedAt: Date.now(), jobs: JOBS } }
+        });
+
+        const jobs = await page.window.eval('loadRecentJobs()');
+        assert.equal(jobs.length, 2);
+        assert.equal(jobRequests().length, 0);
+    });
+
+    it('falls back to an old feed, or none, when the webhook fails', async () => {
+        server.setAction('recent_jobs', 'error');
+        const stale = { fetchedAt: Date.now() - 24 * 60 * 60 * 1000, jobs: JOBS };
+
+        page = await loadPage({ server, localStorage: { doski_recent_jobs: stale } });
+        assert.equal((await page.window.eval('loadRecentJobs()')).length, 2);
+
+        page.close();
+        page = await loadPage({ server });
+        assert.equal((await page.window.eval('loadRecentJobs()')).length, 0);
+        assert.equal(page.errors.length, 0);
+    });
+
+    it('never shows when there are no recent jobs', async () => {
+        page = await loadPage({ server });
+
+        await sleep(3500);
+        assert.equal(popup().classList.contains('show'), false);
+        assert.equal(page.document.getElementById('proofName').textContent, '');
+    });
+});